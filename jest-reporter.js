@@ -0,0 +1,90 @@
+const path = require('path');
+const { SpiraReporter, attach, stripAnsi } = require('./spira-reporter');
+
+/**
+ * Jest reporter that sends the test results to Spira when the run ends, without writing a report file.
+ * The reporter options are the config file (configFile, default spira.cfg) and any settings that
+ * override it, e.g. ['spira-xunit-reader-nodejs/jest-reporter', { configFile: 'spira.cfg', create_build: true }]
+ */
+class SpiraJestReporter {
+    // The Jest test statuses that are recorded as skipped, any others are passed or failed
+    static SKIPPED_STATUSES = ['pending', 'skipped', 'todo', 'disabled'];
+
+    constructor(globalConfig = {}, options = {}) {
+        this.rootDir = globalConfig.rootDir || process.cwd();
+        this.reporter = new SpiraReporter(options);
+    }
+
+    /**
+     * Send the results of all of the test files to Spira
+     */
+    async onRunComplete(testContexts, results) {
+        for (const fileResult of results.testResults) {
+            this.addTestFile(fileResult);
+        }
+        await this.reporter.send('jest', this.rootDir);
+    }
+
+    /**
+     * Get the failed attempts of a test before its last one. Jest only keeps their errors with
+     * jest.retryTimes(count, { logErrorsBeforeRetry: true }), otherwise just the number of attempts is known
+     */
+    getRetries(assertion) {
+        const reasons = assertion.retryReasons || [];
+        const retries = reasons.map(reason => ({ message: stripAnsi(reason).replace(/^\w*(?:Error|Exception):\s*/, ''), details: reason }));
+        while (retries.length < (assertion.invocations || 1) - 1) {
+            retries.push({ message: 'Test Failed', details: 'The test failed and was retried' });
+        }
+        return retries;
+    }
+
+    /**
+     * Add the tests of a test file, its relative path is the name of the test suite
+     */
+    addTestFile(fileResult) {
+        const suiteName = path.relative(this.rootDir, fileResult.testFilePath).replace(/\\/g, '/');
+        const fileName = path.basename(fileResult.testFilePath).replace(/\.[^.]+$/, '');
+
+        // Without a start time of its own, each test starts when the one before it finished
+        let startTime = fileResult.perfStats?.start || null;
+        for (const assertion of fileResult.testResults) {
+            if (assertion.startAt) startTime = assertion.startAt;
+            // The message starts with the error type, e.g. 'TypeError: boom'
+            const failureMessage = stripAnsi(assertion.failureMessages?.[0]).trim();
+            const typeMatch = failureMessage.match(/^(\w*(?:Error|Exception)):\s*/);
+
+            this.reporter.addTest(suiteName, {
+                // The describe blocks the test is in give its class name
+                classname: assertion.ancestorTitles.length > 0 ? assertion.ancestorTitles.join('.') : fileName,
+                name: assertion.title,
+                file: fileResult.testFilePath,
+                fullName: assertion.fullName,
+                status: SpiraJestReporter.SKIPPED_STATUSES.includes(assertion.status) ? 'skipped' : assertion.status,
+                message: failureMessage.substring(typeMatch ? typeMatch[0].length : 0) || (assertion.status === 'todo' ? 'Test Todo' : ''),
+                details: failureMessage,
+                type: typeMatch?.[1],
+                duration: (assertion.duration || 0) / 1000,
+                startTime,
+                retries: this.getRetries(assertion)
+            });
+            if (startTime) startTime += assertion.duration || 0;
+        }
+
+        // A test file that could not run (e.g. a syntax error) has no tests, so it is recorded as one
+        if (fileResult.testExecError && fileResult.testResults.length === 0) {
+            this.reporter.addTest(suiteName, {
+                classname: fileName,
+                name: 'Test suite failed to run',
+                file: fileResult.testFilePath,
+                status: 'error',
+                message: fileResult.testExecError.message,
+                details: fileResult.failureMessage || fileResult.testExecError.stack,
+                type: fileResult.testExecError.name,
+                startTime
+            });
+        }
+    }
+}
+
+module.exports = SpiraJestReporter;
+module.exports.attach = attach;
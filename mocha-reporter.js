@@ -0,0 +1,65 @@
+const path = require('path');
+const { SpiraReporter, attach, setCurrentTest } = require('./spira-reporter');
+
+/**
+ * Mocha reporter that sends the test results to Spira when the run ends, without writing a report file.
+ * The reporter options are the config file (configFile, default spira.cfg) and any settings that
+ * override it, e.g. mocha --reporter spira-xunit-reader-nodejs/mocha-reporter --reporter-option create_build=true
+ */
+class SpiraMochaReporter {
+    constructor(runner, options = {}) {
+        this.rootDir = process.cwd();
+        this.reporter = new SpiraReporter(options.reporterOptions || options.reporterOption || {});
+        // The start time of each test, and the failed attempts by file and full title (a retried test is a copy)
+        this.startTimes = new Map();
+        this.retries = new Map();
+
+        runner.on('test', test => {
+            this.startTimes.set(test, Date.now());
+            setCurrentTest({ file: test.file, name: test.fullTitle() });
+        });
+        runner.on('retry', (test, error) => {
+            const key = `${test.file}|${test.fullTitle()}`;
+            if (!this.retries.has(key)) this.retries.set(key, []);
+            this.retries.get(key).push({ message: error.message, details: error.stack });
+        });
+        runner.on('pass', test => this.addTest(test, 'passed'));
+        runner.on('pending', test => this.addTest(test, 'skipped'));
+        runner.on('fail', (test, error) => this.addTest(test, test.type === 'hook' ? 'error' : 'failed', error));
+        runner.on('test end', () => setCurrentTest(null));
+    }
+
+    /**
+     * Add the result of a test (or of a hook that failed) to the suite of its test file
+     */
+    addTest(test, status, error = null) {
+        const titlePath = test.titlePath();
+        const fileName = test.file ? path.basename(test.file).replace(/\.[^.]+$/, '') : 'mocha';
+        console.log(`${status === 'passed' ? '✓' : status === 'skipped' ? '-' : '✗'} ${titlePath.join(' ')}`);
+
+        this.reporter.addTest(test.file ? path.relative(this.rootDir, test.file).replace(/\\/g, '/') : 'mocha', {
+            // The describe blocks the test is in give its class name
+            classname: titlePath.length > 1 ? titlePath.slice(0, -1).join('.') : fileName,
+            name: titlePath[titlePath.length - 1],
+            file: test.file ? path.resolve(test.file) : '',
+            fullName: test.fullTitle(),
+            status,
+            message: error ? error.message : '',
+            details: error ? error.stack || error.message : '',
+            type: error ? error.name : undefined,
+            duration: (test.duration || 0) / 1000,
+            startTime: this.startTimes.get(test) || null,
+            retries: this.retries.get(`${test.file}|${test.fullTitle()}`) || []
+        });
+    }
+
+    /**
+     * Called by Mocha when the run ends, it waits for the results to be sent before exiting
+     */
+    done(failures, callback) {
+        this.reporter.send('mocha', this.rootDir).then(() => callback(failures));
+    }
+}
+
+module.exports = SpiraMochaReporter;
+module.exports.attach = attach;
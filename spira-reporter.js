@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The environment variable that holds the file the attachments of the current run are registered in
+const ATTACHMENTS_FILE_VARIABLE = 'SPIRA_REPORTER_ATTACHMENTS';
+
+// The test that attachments are registered for when no test is given (set by reporters that run in the same process)
+let currentTest = null;
+
+/**
+ * Set (or clear) the test that attachments are registered for by default
+ */
+function setCurrentTest(test) {
+    currentTest = test;
+}
+
+/**
+ * Register an attachment for the current test, from inside the test. The attachment is either the path
+ * of a file, or a Buffer (or string) with its contents and an options.filename. The test is found from
+ * the reporter (Mocha) or from expect (Jest), otherwise it has to be given as options.test, which is
+ * { file, name } with the file path of the test and its full name
+ */
+function attach(attachment, options = {}) {
+    const registryFile = process.env[ATTACHMENTS_FILE_VARIABLE];
+    if (!registryFile) return false;
+
+    let test = options.test || currentTest;
+    if (!test && typeof expect !== 'undefined' && typeof expect.getState === 'function') {
+        const state = expect.getState();
+        test = { file: state.testPath, name: state.currentTestName };
+    }
+    if (!test) {
+        console.log('Unable to find the test that the attachment is for, so skipping attachment.');
+        return false;
+    }
+
+    const entry = { file: test.file ? path.resolve(test.file) : '', name: test.name };
+    if (Buffer.isBuffer(attachment) || options.filename) {
+        entry.filename = options.filename || 'attachment';
+        entry.binary_data = Buffer.from(attachment).toString('base64');
+    } else {
+        entry.path = path.resolve(String(attachment));
+    }
+    fs.appendFileSync(registryFile, `${JSON.stringify(entry)}\n`);
+    return true;
+}
+
+/**
+ * Remove the ANSI colour codes that test frameworks add to their failure messages
+ */
+function stripAnsi(text) {
+    return String(text || '').replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+/**
+ * Collects the results of a test framework run as JUnit style test suites and sends them to Spira
+ * with the same configuration, mappings and uploading as the report files
+ */
+class SpiraReporter {
+    constructor(options = {}) {
+        // The reporter options are the config file and any settings that override it
+        const { configFile, ...overrides } = options;
+        this.configFile = configFile || 'spira.cfg';
+        this.overrides = overrides;
+        // The test suites by name, each with its test cases, in the order they were run
+        this.suites = new Map();
+
+        // The tests register their attachments in a file, since they can run in other processes
+        this.attachmentsFile = path.join(os.tmpdir(), `spira-attachments-${process.pid}-${crypto.randomBytes(4).toString('hex')}.jsonl`);
+        process.env[ATTACHMENTS_FILE_VARIABLE] = this.attachmentsFile;
+    }
+
+    /**
+     * Add the result of a test to its suite. The status is 'passed', 'failed', 'error' or 'skipped', and
+     * any failed attempts before the last one are given in retries as [{ message, details }]
+     */
+    addTest(suiteName, test) {
+        if (!this.suites.has(suiteName)) {
+            this.suites.set(suiteName, { name: suiteName, testcase: [] });
+        }
+
+        const testcase = {
+            name: test.name,
+            classname: test.classname,
+            time: test.duration || 0,
+            // The file and full name that the test's attachments are registered with
+            test_key: `${test.file || ''}|${test.fullName || ''}`
+        };
+        if (test.startTime) testcase.timestamp = new Date(test.startTime).toISOString();
+
+        const node = { message: stripAnsi(test.message).split('\n')[0], type: test.type, _: stripAnsi(test.details || test.message) };
+        if (test.status === 'failed') {
+            testcase.failure = node;
+        } else if (test.status === 'error') {
+            testcase.error = node;
+        } else if (test.status === 'skipped') {
+            testcase.skipped = { message: test.message || 'Test Skipped' };
+        }
+
+        // The failed attempts before the last one are recorded like Surefire's flaky failures
+        if (test.retries && test.retries.length > 0) {
+            testcase.flakyFailure = test.retries.map(retry => ({
+                message: stripAnsi(retry.message).split('\n')[0],
+                _: stripAnsi(retry.details || retry.message)
+            }));
+        }
+
+        this.suites.get(suiteName).testcase.push(testcase);
+        return testcase;
+    }
+
+    /**
+     * Add the attachments that the tests registered to their test cases
+     */
+    addAttachments(testcases) {
+        if (!fs.existsSync(this.attachmentsFile)) return;
+
+        const byKey = new Map(testcases.map(testcase => [testcase.test_key, testcase]));
+        const lines = fs.readFileSync(this.attachmentsFile, 'utf-8').split('\n').filter(Boolean);
+        for (const line of lines) {
+            const entry = JSON.parse(line);
+            const testcase = byKey.get(`${entry.file}|${entry.name}`);
+            if (!testcase) {
+                console.log(`Unable to find test '${entry.name}' for attachment '${entry.path || entry.filename}', so skipping attachment.`);
+                continue;
+            }
+
+            if (entry.path) {
+                // Files are attached with an 'attachment' property, the same as in the report files
+                testcase.properties = testcase.properties || { property: [] };
+                testcase.properties.property.push({ name: 'attachment', value: entry.path });
+            } else {
+                testcase.embedded_attachments = testcase.embedded_attachments || [];
+                testcase.embedded_attachments.push({ filename: entry.filename, binary_data: entry.binary_data });
+            }
+        }
+    }
+
+    /**
+     * Get the JUnit style root node of all of the test suites, with the run level totals
+     */
+    getTestSuites(name) {
+        const suites = [...this.suites.values()];
+        const testcases = suites.flatMap(suite => suite.testcase);
+        this.addAttachments(testcases);
+
+        return {
+            name,
+            tests: testcases.length,
+            failures: testcases.filter(testcase => testcase.failure !== undefined).length,
+            errors: testcases.filter(testcase => testcase.error !== undefined).length,
+            skipped: testcases.filter(testcase => testcase.skipped !== undefined).length,
+            testsuite: suites
+        };
+    }
+
+    /**
+     * Send all of the test results to Spira. Returns the summary of the run, or null if it could not be sent
+     */
+    async send(name, rootDir = process.cwd()) {
+        // Only load the uploader when it is needed, the tests themselves just need attach()
+        const { SpiraResultsParser } = require('./spira-xunit-reader');
+        try {
+            const parser = new SpiraResultsParser(path.resolve(rootDir, this.configFile), this.overrides);
+            // Relative attachment paths are found from the root folder of the run
+            return await parser.sendTestSuites(this.getTestSuites(name), path.join(rootDir, name));
+        } catch (error) {
+            console.log(`Unable to report test results back to Spira due to error '${error.message}'.`);
+            return null;
+        } finally {
+            fs.rmSync(this.attachmentsFile, { force: true });
+        }
+    }
+}
+
+module.exports = { SpiraReporter, attach, setCurrentTest, stripAnsi, ATTACHMENTS_FILE_VARIABLE };
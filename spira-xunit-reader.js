@@ -1,19 +1,477 @@
 #!/usr/bin/env node
 
+const crypto = require('crypto');
 const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
 const path = require('path');
+const tls = require('tls');
+const zlib = require('zlib');
 const axios = require('axios');
+const sax = require('sax');
 const xml2js = require('xml2js');
+const yaml = require('yaml');
 
 // Name of this extension
 const RUNNER_NAME = 'xUnit (Node.js)';
 
+/**
+ * Join the Spira URL and the parts of an API path, with a single slash between each of them
+ * (so a Spira URL that ends with a slash doesn't give '//Services')
+ */
+function joinUrl(baseUrl, ...parts) {
+    const trimmedParts = parts.map(part => String(part).replace(/^\/+|\/+$/g, '')).filter(Boolean);
+    return [String(baseUrl || '').replace(/\/+$/, ''), ...trimmedParts].join('/');
+}
+
+/**
+ * Remove the API key and any password from a URL, so that it can be logged
+ */
+function redactUrl(url) {
+    return String(url).replace(/([?&]api-key=)[^&]*/gi, '$1***').replace(/\/\/[^/@]*@/, '//***@');
+}
+
+/**
+ * See if the host of a URL is in a NO_PROXY style list, separated by commas or spaces. An entry matches
+ * the host and its sub-domains, can have a leading '.' or '*.' and a port, and '*' matches every host
+ */
+function isNoProxyHost(url, noProxy) {
+    const { hostname, port, protocol } = new URL(url);
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const hostPort = port || (protocol === 'https:' ? '443' : '80');
+    return String(noProxy || '').split(/[\s,]+/).filter(Boolean).some(entry => {
+        if (entry === '*') return true;
+        const [entryHost, entryPort] = entry.toLowerCase().split(/:(?=\d+$)/);
+        if (entryPort && entryPort !== hostPort) return false;
+        const domain = entryHost.replace(/^\*?\./, '').replace(/^\[|\]$/g, '');
+        return host === domain || host.endsWith(`.${domain}`);
+    });
+}
+
+/**
+ * See if a failed request is worth retrying: timeouts and other network errors, server errors
+ * and rate limiting are, anything else (e.g. 400 or 404) will fail again in the same way
+ */
+function isTransientError(error) {
+    if (!error) return false;
+    if (!error.response) return true;
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Get an XML node that can appear once or many times (or not at all) as an array
+ */
+function asArray(node) {
+    if (node === undefined || node === null) return [];
+    return Array.isArray(node) ? node : [node];
+}
+
+/**
+ * Get the text of an XML node, whether or not it has attributes
+ */
+function textOf(node) {
+    if (node === undefined || node === null) return '';
+    if (typeof node === 'object') return (node._ || '').trim();
+    return String(node).trim();
+}
+
+/**
+ * Wait for the given number of milliseconds
+ */
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Remove the items with the same key as an earlier one, keeping the order of the rest
+ */
+function uniqueBy(items, getKey) {
+    const keys = new Set();
+    return items.filter(item => {
+        const key = getKey(item);
+        if (keys.has(key)) return false;
+        keys.add(key);
+        return true;
+    });
+}
+
+/**
+ * Run an async worker over all of the items, with no more than the given number running at the
+ * same time. Returns the results in the same order as the items
+ */
+async function runConcurrently(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const runWorker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+    return results;
+}
+
+/**
+ * Convert a file glob pattern (supporting *, ** and ?) into a regular expression
+ */
+function globToRegExp(pattern) {
+    let regex = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                // A '**/' segment matches zero or more folders
+                if (pattern[i + 2] === '/') {
+                    regex += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    regex += '.*';
+                    i++;
+                }
+            } else {
+                regex += '[^/]*';
+            }
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else {
+            regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Convert a mapping key with wildcards (* for any characters, ? for a single character) into a
+ * case-insensitive regular expression. A key ending in '.*' also matches the namespace itself
+ */
+function wildcardToRegExp(pattern) {
+    let regex = '';
+    for (const char of pattern) {
+        if (char === '*') {
+            regex += '.*';
+        } else if (char === '?') {
+            regex += '.';
+        } else {
+            regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    if (pattern.endsWith('.*')) {
+        regex = `${regex.slice(0, -4)}(?:\\..*)?`;
+    }
+    return new RegExp(`^${regex}$`, 'i');
+}
+
+/**
+ * Convert a size such as '512', '200KB' or '10 MB' into bytes, or NaN if it is not a valid size
+ */
+function parseSize(value) {
+    const match = String(value).trim().match(/^(-?\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+    if (!match) return NaN;
+    const multipliers = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+    return Math.round(parseFloat(match[1]) * multipliers[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * See if a path is the same as, or inside, a folder
+ */
+function isInsideFolder(filePath, folder) {
+    const relative = path.relative(folder, filePath);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Recursively list all of the files under a folder
+ */
+function listFiles(folder) {
+    const files = [];
+    for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+        const fullPath = path.join(folder, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listFiles(fullPath));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Split a multipart/form-data body into its parts, each as { name, filename, data }
+ */
+function parseMultipart(body, boundary) {
+    const parts = [];
+    const delimiter = Buffer.from(`--${boundary}`);
+    let start = body.indexOf(delimiter);
+    while (start >= 0) {
+        const headersStart = start + delimiter.length;
+        // The last delimiter is followed by '--'
+        if (body.slice(headersStart, headersStart + 2).toString() === '--') break;
+        const headersEnd = body.indexOf('\r\n\r\n', headersStart);
+        const end = body.indexOf(delimiter, headersStart);
+        if (headersEnd < 0 || end < 0) break;
+
+        const headers = body.slice(headersStart, headersEnd).toString('utf-8');
+        const disposition = headers.match(/content-disposition:[^\r\n]*/i)?.[0] || '';
+        parts.push({
+            name: disposition.match(/\bname="([^"]*)"/i)?.[1] || '',
+            filename: disposition.match(/\bfilename="([^"]*)"/i)?.[1] || '',
+            // The data ends with the line break before the next delimiter
+            data: body.slice(headersEnd + 4, Math.max(headersEnd + 4, end - 2))
+        });
+        start = end;
+    }
+    return parts;
+}
+
+/**
+ * The error thrown when a zip file unpacks to more data than it is allowed to
+ */
+class ZipSizeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipSizeError';
+    }
+}
+
+/**
+ * Extract the files in a zip archive into a folder, returning the paths of the extracted files.
+ * Only stored and deflated entries are supported, and entries that would end up outside of the folder are skipped.
+ * Throws a ZipSizeError if the entries unpack to more than maxSize bytes (-1 for no limit), or to more than their
+ * declared sizes, so that a small zip file can't fill the memory or disk
+ */
+function extractZip(buffer, folder, maxSize = -1) {
+    // The end of central directory record is at the end of the file, after an optional comment
+    let endOffset = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+        if (buffer.readUInt32LE(offset) === 0x06054b50) {
+            endOffset = offset;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('not a zip file');
+    }
+
+    const files = [];
+    let totalSize = 0;
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('invalid zip central directory');
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const entryLength = 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.slice(offset + 46, offset + 46 + nameLength).toString('utf-8');
+        offset += entryLength;
+
+        const target = path.resolve(folder, name);
+        if (name.endsWith('/')) continue;
+        if (!isInsideFolder(target, folder)) {
+            console.log(`Unable to extract '${name}' since it is outside of the attachments folder, so skipping file.`);
+            continue;
+        }
+        if (method !== 0 && method !== 8) {
+            console.log(`Unable to extract '${name}' since it uses an unsupported compression method, so skipping file.`);
+            continue;
+        }
+
+        totalSize += size;
+        if (maxSize >= 0 && totalSize > maxSize) {
+            throw new ZipSizeError(`the zip file unpacks to more than the ${maxSize} bytes allowed`);
+        }
+
+        // The data follows the local file header, which has its own name and extra field lengths
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.slice(dataStart, dataStart + compressedSize);
+        let content = data;
+        if (method === 8) {
+            try {
+                content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, size) });
+            } catch (error) {
+                throw error.code === 'ERR_BUFFER_TOO_LARGE'
+                    ? new ZipSizeError(`'${name}' unpacks to more than its declared ${size} bytes`)
+                    : error;
+            }
+        }
+        if (content.length > size) {
+            throw new ZipSizeError(`'${name}' unpacks to more than its declared ${size} bytes`);
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+        files.push(target);
+    }
+    return files;
+}
+
+/**
+ * Get the Spira execution status id from a status name (e.g. 'Failed', 'fail') or id, or null if it is not one
+ */
+function toExecutionStatusId(status) {
+    const name = String(status).trim().toLowerCase();
+    if (SpiraResultsParser.STATUS_NAMES[name]) return parseInt(name);
+    const statusId = Object.keys(SpiraResultsParser.STATUS_NAMES)
+        .find(id => SpiraResultsParser.STATUS_NAMES[id].toLowerCase() === name);
+    return statusId ? parseInt(statusId) : SpiraResultsParser.STEP_STATUS_ALIASES[name] || null;
+}
+
+/**
+ * Normalise a failure message so that the same failure gives the same text from run to run: only the
+ * first line is kept, in lower case, with numbers (e.g. times, ids and line numbers) replaced by #
+ */
+function normaliseMessage(message) {
+    const firstLine = String(message || '').trim().split(/\r?\n/)[0];
+    return firstLine.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Escape the special HTML characters in text that goes into a Spira rich text field
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Replace the {placeholder} values in a template, {env:NAME} gives the NAME environment variable.
+ * Unknown placeholders are left as they are
+ */
+function renderTemplate(template, values, env = process.env) {
+    return template.replace(/\{(env:)?(\w+)\}/g, (placeholder, envPrefix, key) => {
+        if (envPrefix) return env[key] || '';
+        if (!(key in values)) return placeholder;
+        return values[key] ?? '';
+    });
+}
+
+// The CI providers that are detected from their standard environment variables
+const CI_PROVIDERS = [
+    {
+        name: 'GitHub Actions',
+        detect: env => env.GITHUB_ACTIONS === 'true',
+        commit: env => env.GITHUB_SHA,
+        branch: env => env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME,
+        pipelineUrl: env => env.GITHUB_RUN_ID
+            && `${env.GITHUB_SERVER_URL || 'https://github.com'}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`,
+        job: env => env.GITHUB_RUN_NUMBER
+    },
+    {
+        name: 'GitLab CI',
+        detect: env => env.GITLAB_CI === 'true',
+        commit: env => env.CI_COMMIT_SHA,
+        branch: env => env.CI_MERGE_REQUEST_SOURCE_BRANCH_NAME || env.CI_COMMIT_REF_NAME,
+        pipelineUrl: env => env.CI_PIPELINE_URL,
+        job: env => env.CI_JOB_ID
+    },
+    {
+        name: 'Jenkins',
+        detect: env => Boolean(env.JENKINS_URL),
+        commit: env => env.GIT_COMMIT,
+        branch: env => env.BRANCH_NAME || (env.GIT_BRANCH || '').replace(/^origin\//, ''),
+        pipelineUrl: env => env.BUILD_URL,
+        job: env => env.BUILD_NUMBER
+    },
+    {
+        name: 'Azure DevOps',
+        detect: env => (env.TF_BUILD || '').toLowerCase() === 'true',
+        commit: env => env.BUILD_SOURCEVERSION,
+        branch: env => (env.SYSTEM_PULLREQUEST_SOURCEBRANCH || env.BUILD_SOURCEBRANCH || '').replace(/^refs\/heads\//, ''),
+        pipelineUrl: env => env.SYSTEM_COLLECTIONURI && env.BUILD_BUILDID
+            && `${env.SYSTEM_COLLECTIONURI}${env.SYSTEM_TEAMPROJECT}/_build/results?buildId=${env.BUILD_BUILDID}`,
+        job: env => env.BUILD_BUILDNUMBER
+    }
+];
+
+/**
+ * Detect the CI provider that is running the upload, and get the commit, branch, pipeline URL and
+ * job number from its environment variables. Returns null when not running on a known CI provider
+ */
+function detectCiEnvironment(env = process.env) {
+    const provider = CI_PROVIDERS.find(ciProvider => ciProvider.detect(env));
+    if (!provider) return null;
+    return {
+        provider: provider.name,
+        commit: provider.commit(env) || null,
+        branch: provider.branch(env) || null,
+        pipeline_url: provider.pipelineUrl(env) || null,
+        job: provider.job(env) || null
+    };
+}
+
+/**
+ * The error thrown when the configuration has invalid values, with each problem and where the value came from
+ */
+class SpiraConfigError extends Error {
+    constructor(problems) {
+        super(`The configuration has invalid values:\n${problems.map(problem => `- ${problem}`).join('\n')}`);
+        this.name = 'SpiraConfigError';
+        this.problems = problems;
+    }
+}
+
 /**
  * Configuration class for loading and storing Spira connection settings
  * and test case/test set mappings from the config file
  */
 class SpiraConfig {
-    constructor(configFile) {
+    // The credentials settings that can be overridden from SPIRA_* environment variables
+    static SETTINGS = ['url', 'username', 'token', 'project_id', 'release_id', 'test_set_id', 'create_build',
+        'dry_run', 'dry_run_file', 'create_test_cases', 'test_case_folder_id', 'id_source',
+        'retries', 'retry_delay', 'spool_file', 'concurrency', 'batch_size', 'timezone', 'format', 'rerun_strategy',
+        'build_name', 'build_description', 'build_failed_statuses', 'build_revision', 'ci',
+        'summary_json', 'max_unmapped', 'fail_on_test_failures', 'suite_output',
+        'attachment_dirs', 'attachment_version', 'max_attachment_size', 'max_total_attachment_size',
+        'create_incidents', 'incident_statuses', 'incident_type_id', 'incident_priority_id', 'incident_owner_id',
+        'incident_release_id', 'incident_on_pass', 'incident_resolved_status_id', 'streaming',
+        'watch_state_file', 'watch_interval', 'watch_settle_time', 'ingest_port', 'ingest_max_size', 'ingest_max_unpacked_size',
+        'api_version', 'proxy', 'no_proxy', 'ca_file', 'client_cert', 'client_key', 'client_passphrase', 'request_timeout',
+        'debug_http'];
+    // The credentials settings that are true/false flags
+    static BOOLEAN_SETTINGS = ['create_build', 'dry_run', 'create_test_cases', 'fail_on_test_failures', 'create_incidents',
+        'streaming', 'debug_http'];
+    // The credentials settings that are whole numbers (mostly Spira artifact ids)
+    static INTEGER_SETTINGS = ['project_id', 'release_id', 'test_set_id', 'test_case_folder_id', 'retries', 'retry_delay',
+        'concurrency', 'batch_size', 'max_unmapped', 'incident_type_id', 'incident_priority_id', 'incident_owner_id',
+        'incident_release_id', 'incident_resolved_status_id', 'watch_interval', 'watch_settle_time', 'ingest_port',
+        'request_timeout'];
+    // The credentials settings that are sizes in bytes, which can have a KB, MB or GB unit
+    static SIZE_SETTINGS = ['max_attachment_size', 'max_total_attachment_size', 'ingest_max_size', 'ingest_max_unpacked_size'];
+    // The settings that only have a few allowed values
+    static CHOICE_SETTINGS = {
+        id_source: ['report', 'config'],
+        rerun_strategy: ['last', 'any-pass', 'flaky'],
+        ci: ['auto', 'none'],
+        suite_output: ['test_runs', 'build', 'none'],
+        incident_on_pass: ['none', 'comment', 'resolve'],
+        api_version: ['v6', 'v7']
+    };
+    // The sections of the config file, which each profile can also have
+    static SECTIONS = ['credentials', 'test_cases', 'test_sets', 'custom_properties'];
+    // The file extensions of the JSON and YAML config files, any others are INI style
+    static DOCUMENT_EXTENSIONS = ['.json', '.yaml', '.yml'];
+    // The types of Spira custom property that report values can be converted to
+    static CUSTOM_PROPERTY_TYPES = ['text', 'integer', 'decimal', 'boolean', 'date', 'list', 'multilist'];
+    // The comment that marks the mappings that are no longer in the reports, followed by the date
+    static REMOVED_MARKER = '# Not in the reports since';
+    // The prefix of the environment variables that override the settings
+    static ENVIRONMENT_PREFIX = 'SPIRA_';
+
+    /**
+     * Load the settings from the config file (if it exists), then from the environment
+     * variables, then from the overrides (e.g. command line flags), each one winning over the last
+     */
+    constructor(configFile, overrides = {}, env = process.env) {
         // Model of config object
         this.url = '';
         this.username = '';
@@ -22,650 +480,4962 @@ class SpiraConfig {
         this.release_id = -1;
         this.test_set_id = -1;
         this.create_build = false;
+        this.dry_run = false;
+        this.dry_run_file = '';
+        this.create_test_cases = false;
+        this.test_case_folder_id = -1;
+        // Which ids win when both the report and the config have one for a test ('report' or 'config')
+        this.id_source = 'report';
+        // How many times to retry a request that failed with a transient error, and the first delay (in ms)
+        this.retries = 3;
+        this.retry_delay = 1000;
+        // Where to save the requests that could not be sent, so that they can be replayed later
+        this.spool_file = 'spira-spool.json';
+        // How many results to upload at the same time, and how many test runs to record with each request
+        this.concurrency = 4;
+        this.batch_size = 50;
+        // The time zone of report timestamps that don't have one ('local', 'UTC' or an offset such as '+02:00')
+        this.timezone = 'local';
+        // The format of the report files, or 'auto' to detect it from each file
+        this.format = 'auto';
+        // How to decide the status of a test that was run more than once ('last', 'any-pass' or 'flaky')
+        this.rerun_strategy = 'last';
+        // The templates for the name and description of new builds (an empty description lists the CI details and totals)
+        this.build_name = '{name} Build {time}';
+        this.build_description = '';
+        // The execution statuses (names or ids) that mark a new build as failed
+        this.build_failed_statuses = 'Failed, Blocked';
+        // The source code revision of the build, otherwise the commit from the CI environment
+        this.build_revision = '';
+        // Whether to detect the CI provider from its environment variables ('auto' or 'none')
+        this.ci = 'auto';
+        // Where to write the JSON summary of the run, if anywhere
+        this.summary_json = '';
+        // How many unmapped tests are allowed before the run fails (-1 for any number)
+        this.max_unmapped = -1;
+        // Whether the run fails when a test has one of the build_failed_statuses
+        this.fail_on_test_failures = false;
+        // Where the suite properties and output go ('test_runs', 'build' or 'none')
+        this.suite_output = 'test_runs';
+        // The folders (separated by commas) to look for attachments in, as well as the report's folder
+        this.attachment_dirs = '';
+        // The version name of the uploaded attachments (Spira's default when empty)
+        this.attachment_version = '';
+        // The largest attachment file, and the most attachment data for the whole run, in bytes (-1 for no limit)
+        this.max_attachment_size = -1;
+        this.max_total_attachment_size = -1;
+        // Whether to raise Spira incidents for the results with one of the incident statuses
+        this.create_incidents = false;
+        this.incident_statuses = 'Failed, Blocked';
+        // The type, priority, owner and detected release of new incidents (-1 for Spira's default, or the release_id)
+        this.incident_type_id = -1;
+        this.incident_priority_id = -1;
+        this.incident_owner_id = -1;
+        this.incident_release_id = -1;
+        // What to do with the open incidents of a test that passes ('none', 'comment' or 'resolve')
+        this.incident_on_pass = 'none';
+        this.incident_resolved_status_id = 4;
+        // Whether to read JUnit reports one test case at a time and send each result as soon as it is read
+        this.streaming = false;
+        // Where the watch command records the report files it has uploaded, so that a restart doesn't upload them again
+        this.watch_state_file = 'spira-watch.json';
+        // How often to look for new report files, and how long a file must be unchanged before it is uploaded (in ms)
+        this.watch_interval = 2000;
+        this.watch_settle_time = 5000;
+        // The localhost port that the watch command accepts report files on (0 for none), and the largest upload
+        this.ingest_port = 0;
+        this.ingest_max_size = 100 * 1024 * 1024;
+        // The most data that a posted attachments zip file can unpack to (-1 for no limit)
+        this.ingest_max_unpacked_size = 500 * 1024 * 1024;
+        // The version of the Spira REST API to use ('v6' or 'v7')
+        this.api_version = 'v6';
+        // The proxy to connect to Spira through, otherwise HTTPS_PROXY or HTTP_PROXY, and the hosts that don't use it
+        this.proxy = '';
+        this.no_proxy = '';
+        // The extra CA certificate files to trust (separated by commas), and the client certificate to connect with
+        this.ca_file = '';
+        this.client_cert = '';
+        this.client_key = '';
+        this.client_passphrase = '';
+        // How long to wait for each request to Spira, in ms (0 for no limit)
+        this.request_timeout = 120000;
+        // Whether to log every request to Spira (without the API key)
+        this.debug_http = false;
         this.test_case_ids = {};
         this.test_set_ids = {};
-        
-        this.loadConfig(configFile);
+        // The report properties, testcase attributes and environment variables sent as test run custom properties
+        this.custom_properties = [];
+        // Wildcard and regular expression mappings, checked when there is no exact match
+        this.test_case_patterns = [];
+        this.test_set_patterns = [];
+
+        // Remember where the config came from (and which of its profiles) so that new mappings can be saved back to it
+        this.configFile = configFile;
+        this.profile = overrides.profile || env[`${SpiraConfig.ENVIRONMENT_PREFIX}PROFILE`] || '';
+
+        // Collect all of the invalid values, so that they can be fixed in one go
+        const problems = [];
+        if (configFile && fs.existsSync(configFile)) {
+            // Settings that the environment or an option override are not loaded (or checked) from the file
+            const overridden = SpiraConfig.SETTINGS.filter(key => overrides[key] !== undefined
+                || (env[`${SpiraConfig.ENVIRONMENT_PREFIX}${key.toUpperCase()}`] ?? '') !== '');
+            this.loadConfig(configFile, problems, overridden);
+        } else if (this.profile) {
+            problems.push(`profile '${this.profile}' can't be used without a config file`);
+        }
+        this.applyEnvironment(env, problems);
+        for (const [key, value] of Object.entries(overrides)) {
+            if (value !== undefined && key !== 'profile') this.loadValue(key, value, `option '${key}'`, problems);
+        }
+        if (problems.length > 0) {
+            throw new SpiraConfigError(problems);
+        }
+    }
+
+    /**
+     * Set a credentials setting, converting the value to the right type
+     */
+    setValue(key, value) {
+        if (SpiraConfig.BOOLEAN_SETTINGS.includes(key)) {
+            this[key] = String(value).toLowerCase() === 'true';
+        } else if (SpiraConfig.INTEGER_SETTINGS.includes(key)) {
+            this[key] = parseInt(value);
+        } else if (SpiraConfig.SIZE_SETTINGS.includes(key)) {
+            this[key] = parseSize(value);
+        } else {
+            this[key] = value;
+        }
+    }
+
+    /**
+     * Check a value for a setting, returning what is wrong with it or null if it is valid
+     */
+    static checkValue(key, value) {
+        const text = String(value).trim();
+        const choices = key === 'format'
+            ? ['auto', ...REPORT_FORMATS.map(reportFormat => reportFormat.NAME)]
+            : SpiraConfig.CHOICE_SETTINGS[key];
+
+        if (SpiraConfig.BOOLEAN_SETTINGS.includes(key) && !['true', 'false'].includes(text.toLowerCase())) {
+            return `'${text}' is not true or false`;
+        } else if (SpiraConfig.INTEGER_SETTINGS.includes(key) && !/^-?\d+$/.test(text)) {
+            return `'${text}' is not a whole number`;
+        } else if (SpiraConfig.SIZE_SETTINGS.includes(key) && isNaN(parseSize(text))) {
+            return `'${text}' is not a size, e.g. 10MB`;
+        } else if (choices && !choices.includes(key === 'format' ? text.toLowerCase() : text)) {
+            return `'${text}' is not one of ${choices.join(', ')}`;
+        } else if (key === 'timezone' && !/^(local|utc|[+-]\d{2}:?\d{2})$/i.test(text)) {
+            return `'${text}' is not local, UTC or an offset such as +02:00`;
+        }
+        return null;
+    }
+
+    /**
+     * Set a setting from the config file, the environment or an option, if its value is valid. Otherwise
+     * a problem is added, saying where the value came from. Empty values leave the setting as it is,
+     * except for the text settings
+     */
+    loadValue(key, value, source, problems) {
+        if (!SpiraConfig.SETTINGS.includes(key)) {
+            console.log(`Unknown setting '${key}' in ${source}, so ignoring it`);
+            return;
+        }
+
+        // YAML and JSON files can give a list of values (e.g. of folders), which the settings separate with commas
+        if (Array.isArray(value)) value = value.join(', ');
+        const isText = ![...SpiraConfig.BOOLEAN_SETTINGS, ...SpiraConfig.INTEGER_SETTINGS, ...SpiraConfig.SIZE_SETTINGS].includes(key);
+        if (value === null || (typeof value === 'object' && !isText)) {
+            if (value !== null) problems.push(`${source}: ${key} must be a single value`);
+            return;
+        }
+        if (!isText && String(value).trim() === '') return;
+
+        const problem = SpiraConfig.checkValue(key, value);
+        if (problem) {
+            problems.push(`${source}: ${key} ${problem}`);
+        } else {
+            this.setValue(key, value);
+        }
+    }
+
+    /**
+     * Override the settings from any matching SPIRA_* environment variables (e.g. SPIRA_PROJECT_ID)
+     */
+    applyEnvironment(env, problems = []) {
+        for (const key of SpiraConfig.SETTINGS) {
+            const name = `${SpiraConfig.ENVIRONMENT_PREFIX}${key.toUpperCase()}`;
+            if (env[name] !== undefined && env[name] !== '') this.loadValue(key, env[name], `environment variable ${name}`, problems);
+        }
+    }
+
+    /**
+     * Parse the config file and populate the configuration object. The settings of the file's base sections
+     * are merged with those of the profile in use (and the profiles it extends), each one winning over the last,
+     * and only the merged values are loaded and checked. The overridden settings are left out
+     */
+    loadConfig(configFile, problems = [], overridden = []) {
+        const content = fs.readFileSync(configFile, 'utf-8').replace(/^\uFEFF/, '');
+        const fileProblems = [];
+        const file = SpiraConfig.isDocumentFile(configFile)
+            ? SpiraConfig.readDocumentFile(content, configFile, fileProblems)
+            : SpiraConfig.readIniFile(content, configFile, fileProblems);
+
+        const layers = this.getProfileLayers(file, configFile, fileProblems);
+        for (const section of SpiraConfig.SECTIONS) {
+            for (const entry of SpiraConfig.mergeEntries(section, layers)) {
+                if (section === 'credentials' && overridden.includes(entry.key)) continue;
+                this.loadEntry(section, entry, `${configFile}:${entry.line}`, fileProblems);
+            }
+        }
+
+        // List the problems in the order of the file's lines
+        const lineOf = problem => parseInt(problem.slice(configFile.length + 1)) || 0;
+        problems.push(...fileProblems.sort((a, b) => lineOf(a) - lineOf(b)));
+    }
+
+    /**
+     * Load a setting or mapping from a section of the config file
+     */
+    loadEntry(section, entry, source, problems) {
+        const { key, value } = entry;
+        if (section === 'credentials') {
+            this.loadValue(key, value, source, problems);
+            return;
+        }
+
+        if (section === 'custom_properties') {
+            // Store custom property mappings (source -> custom property number and type)
+            if (!this.addCustomProperty(key, value)) {
+                problems.push(`${source}: custom property ${key} must be a custom property number, then optionally its type and list values, e.g. '2, list, Firefox=16'`);
+            }
+            return;
+        }
+
+        // Store test case mappings (classname.name -> test case ID) and test set mappings (suite name -> test set ID),
+        // skipping any placeholders without an ID
+        if (value === null || String(value).trim() === '') return;
+        if (!/^\d+$/.test(String(value).trim())) {
+            problems.push(`${source}: ${key} '${value}' is not a Spira ID`);
+            return;
+        }
+        try {
+            if (section === 'test_cases') {
+                this.addMapping(this.test_case_ids, this.test_case_patterns, key, parseInt(value));
+            } else {
+                this.addMapping(this.test_set_ids, this.test_set_patterns, key, parseInt(value));
+            }
+        } catch (error) {
+            problems.push(`${source}: ${key} is not a valid regular expression (${error.message})`);
+        }
+    }
+
+    /**
+     * Merge the entries of a section from each layer, an entry replacing one with the same key from an earlier
+     * layer. Empty values (e.g. mapping placeholders) don't replace anything, except for empty text settings
+     */
+    static mergeEntries(section, layers) {
+        const entries = new Map();
+        const isText = key => section === 'credentials'
+            && ![...SpiraConfig.BOOLEAN_SETTINGS, ...SpiraConfig.INTEGER_SETTINGS, ...SpiraConfig.SIZE_SETTINGS].includes(key);
+        for (const layer of layers) {
+            for (const entry of layer.sections[section] || []) {
+                const isEmpty = entry.value === null || (String(entry.value).trim() === '' && !isText(entry.key));
+                // Mapping keys are not case sensitive
+                const key = ['test_cases', 'test_sets'].includes(section) ? entry.key.toLowerCase() : entry.key;
+                if (!isEmpty || !entries.has(key)) entries.set(key, entry);
+            }
+        }
+        return [...entries.values()];
+    }
+
+    /**
+     * Get the layers of settings to load: the base sections, then the profile in use after the profiles it extends
+     */
+    getProfileLayers(file, configFile, problems) {
+        const layers = [];
+        const names = [];
+        let name = this.profile;
+        let source = configFile;
+        while (name) {
+            const profile = file.profiles[name];
+            if (!profile) {
+                problems.push(`${source}: profile '${name}' is not in the config file`);
+                break;
+            }
+            if (names.includes(name)) {
+                problems.push(`${source}: profile '${name}' extends itself (${[...names, name].join(' -> ')})`);
+                break;
+            }
+            names.push(name);
+            layers.unshift(profile);
+            name = profile.extends ? String(profile.extends.value) : '';
+            source = profile.extends ? `${configFile}:${profile.extends.line}` : configFile;
+        }
+        return [file.base, ...layers];
+    }
+
+    /**
+     * See if a config file is JSON or YAML, rather than INI style
+     */
+    static isDocumentFile(configFile) {
+        return SpiraConfig.DOCUMENT_EXTENSIONS.includes(path.extname(configFile).toLowerCase());
+    }
+
+    /**
+     * Read the sections of an INI style config file, as { base, profiles } where each one has the entries
+     * ({ key, value, line }) of its sections. A section is for a profile when the profile's name follows it,
+     * e.g. [credentials:staging], and a profile can extend another one with 'extends = base' in its credentials
+     */
+    static readIniFile(content, configFile, problems) {
+        const file = { base: { sections: {} }, profiles: {} };
+        let sections = null;
+        let currentSection = '';
+        let profile = null;
+
+        content.split('\n').forEach((line, index) => {
+            line = line.trim();
+            // Skip empty lines and comments
+            if (!line || line.startsWith('#')) return;
+
+            // Check for section headers
+            if (line.startsWith('[') && line.endsWith(']')) {
+                const [section, profileName] = line.slice(1, -1).split(':').map(part => part.trim());
+                currentSection = section;
+                profile = profileName ? (file.profiles[profileName] = file.profiles[profileName] || { sections: {} }) : null;
+                sections = (profile || file.base).sections;
+                return;
+            }
+            if (!SpiraConfig.SECTIONS.includes(currentSection)) return;
+
+            const [key, ...valueParts] = line.split('=');
+            if (!key.trim() || valueParts.length === 0) {
+                problems.push(`${configFile}:${index + 1}: '${line}' is not a 'key = value' line`);
+                return;
+            }
+
+            const entry = { key: key.trim(), value: valueParts.join('=').trim(), line: index + 1 };
+            if (profile && currentSection === 'credentials' && entry.key === 'extends') {
+                profile.extends = entry;
+            } else {
+                (sections[currentSection] = sections[currentSection] || []).push(entry);
+            }
+        });
+        return file;
+    }
+
+    /**
+     * Parse a JSON or YAML config file, keeping the positions of its nodes
+     */
+    static parseDocument(content, lineCounter = undefined) {
+        return yaml.parseDocument(content, { lineCounter });
+    }
+
+    /**
+     * Read the sections of a JSON or YAML config file, in the same shape as readIniFile. The file has the same
+     * sections as an INI file, and a 'profiles' section with the sections of each profile and what it 'extends'
+     */
+    static readDocumentFile(content, configFile, problems) {
+        const file = { base: { sections: {} }, profiles: {} };
+        const lineCounter = new yaml.LineCounter();
+        const doc = SpiraConfig.parseDocument(content, lineCounter);
+        for (const error of doc.errors) {
+            const message = error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '');
+            problems.push(`${configFile}:${lineCounter.linePos(error.pos[0]).line}: ${message}`);
+        }
+        if (doc.errors.length > 0 || doc.contents === null) return file;
+
+        const lineOf = node => lineCounter.linePos(node && node.range ? node.range[0] : 0).line;
+        const readMap = (node, where) => {
+            if (yaml.isMap(node)) return node.items;
+            problems.push(`${configFile}:${lineOf(node)}: ${where} must be a set of keys and values`);
+            return [];
+        };
+        const readLayer = (node, layer, where) => {
+            for (const pair of readMap(node, where)) {
+                const key = String(yaml.isScalar(pair.key) ? pair.key.value : pair.key);
+                if (key === 'extends' && layer !== file.base) {
+                    layer.extends = { value: yaml.isNode(pair.value) ? pair.value.toJSON() : pair.value, line: lineOf(pair.value || pair.key) };
+                } else if (SpiraConfig.SECTIONS.includes(key)) {
+                    layer.sections[key] = readMap(pair.value, key).map(item => ({
+                        key: String(yaml.isScalar(item.key) ? item.key.value : item.key),
+                        value: yaml.isNode(item.value) ? item.value.toJSON() : item.value ?? null,
+                        line: lineOf(item.key)
+                    }));
+                } else if (key === 'profiles' && layer === file.base) {
+                    for (const profilePair of readMap(pair.value, 'profiles')) {
+                        const name = String(yaml.isScalar(profilePair.key) ? profilePair.key.value : profilePair.key);
+                        file.profiles[name] = { sections: {} };
+                        readLayer(profilePair.value, file.profiles[name], `profile '${name}'`);
+                    }
+                } else {
+                    problems.push(`${configFile}:${lineOf(pair.key)}: '${key}' is not a section of the config file`);
+                }
+            }
+        };
+        readLayer(doc.contents, file.base, 'the config file');
+        return file;
+    }
+
+    /**
+     * Store a custom property mapping. The key is a property name, 'attribute:name' or 'env:NAME', and the value
+     * is the custom property number, then optionally its type and (for lists) the Spira ids of the values,
+     * e.g. 'browser = 2, list, Google Chrome=15, Firefox=16'. In JSON and YAML files the value can also be
+     * { number, type, values } with the ids of the list values by name. Returns false if the mapping isn't valid
+     */
+    addCustomProperty(key, value) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            const values = Object.entries(value.values || {}).map(([name, id]) => `${name}=${id}`);
+            value = [value.number, value.type || 'text', ...values].join(', ');
+        }
+        const sourceMatch = key.match(/^(property|attribute|env):(.+)$/i);
+        const [number, type = 'text', ...listValues] = String(value ?? '').split(',').map(part => part.trim());
+        const customProperty = {
+            source: sourceMatch ? sourceMatch[1].toLowerCase() : 'property',
+            name: sourceMatch ? sourceMatch[2].trim() : key,
+            propertyNumber: parseInt(number),
+            type: type.toLowerCase(),
+            listValues: {}
+        };
+        if (isNaN(customProperty.propertyNumber) || !SpiraConfig.CUSTOM_PROPERTY_TYPES.includes(customProperty.type)) {
+            return false;
+        }
+        for (const listValue of listValues) {
+            const [name, id] = listValue.split('=').map(part => part.trim());
+            if (name && parseInt(id)) customProperty.listValues[name.toLowerCase()] = parseInt(id);
+        }
+        this.custom_properties.push(customProperty);
+        return true;
+    }
+
+    /**
+     * Store a mapping as an exact key, or as a pattern if the key is a /regular expression/
+     * or contains * or ? wildcards
+     */
+    addMapping(ids, patterns, key, id) {
+        if (key.length > 2 && key.startsWith('/') && key.endsWith('/')) {
+            patterns.push({ key, regex: new RegExp(key.slice(1, -1), 'i'), isRegex: true, id });
+        } else if (/[*?]/.test(key)) {
+            // The more literal characters a wildcard has, the more specific it is
+            patterns.push({ key, regex: wildcardToRegExp(key), isRegex: false, specificity: key.replace(/[*?]/g, '').length, id });
+        } else {
+            ids[key.toLowerCase()] = id;
+        }
+    }
+
+    /**
+     * Find the id mapped to a name. An exact key always wins, followed by the first matching
+     * regular expression in the file, followed by the most specific matching wildcard
+     */
+    findMapping(ids, patterns, name) {
+        const exactId = ids[name.toLowerCase()];
+        if (exactId) return exactId;
+
+        const regexMatch = patterns.find(pattern => pattern.isRegex && pattern.regex.test(name));
+        if (regexMatch) return regexMatch.id;
+
+        let bestWildcard = null;
+        for (const pattern of patterns) {
+            if (!pattern.isRegex && pattern.regex.test(name)
+                && (!bestWildcard || pattern.specificity > bestWildcard.specificity)) {
+                bestWildcard = pattern;
+            }
+        }
+        return bestWildcard ? bestWildcard.id : undefined;
+    }
+
+    /**
+     * Find the Spira test case id mapped to a classname.name
+     */
+    findTestCaseId(fullName) {
+        return this.findMapping(this.test_case_ids, this.test_case_patterns, fullName);
+    }
+
+    /**
+     * Find the Spira test set id mapped to a test suite name
+     */
+    findTestSetId(suiteName) {
+        return this.findMapping(this.test_set_ids, this.test_set_patterns, suiteName);
+    }
+
+    /**
+     * Get the name of the INI section that the profile in use keeps its mappings in, e.g. test_cases:staging
+     */
+    getSectionName(section) {
+        return this.profile ? `${section}:${this.profile}` : section;
+    }
+
+    /**
+     * Get the path of the section that the profile in use keeps its mappings in, in a JSON or YAML file
+     */
+    getSectionPath(section) {
+        return this.profile ? ['profiles', this.profile, section] : [section];
+    }
+
+    /**
+     * Add new test case mappings (classname.name -> test case ID) to the [test_cases] section of
+     * the config file, leaving the existing lines, comments and ordering untouched
+     */
+    saveTestCaseMappings(mappings) {
+        const content = fs.readFileSync(this.configFile, 'utf-8');
+        if (SpiraConfig.isDocumentFile(this.configFile)) {
+            const doc = SpiraConfig.parseDocument(content);
+            SpiraConfig.updateMappingDocument(doc, this.getSectionPath('test_cases'), mappings);
+            SpiraConfig.writeDocument(this.configFile, doc);
+        } else {
+            const newline = content.includes('\r\n') ? '\r\n' : '\n';
+            const { lines } = SpiraConfig.updateMappingLines(content.split(/\r?\n/), this.getSectionName('test_cases'), mappings);
+            fs.writeFileSync(this.configFile, lines.join(newline));
+        }
+
+        // Keep the in-memory mappings in step with the file
+        for (const [name, testCaseId] of Object.entries(mappings)) {
+            this.test_case_ids[name.toLowerCase()] = testCaseId;
+        }
+    }
+
+    /**
+     * Update the mappings in a section of the config file's lines, keeping everything else (such as comments)
+     * as it is. Existing mappings keep their id unless they are a placeholder without one, and new mappings
+     * go straight after the last one in the section (null ids are written as placeholders). When the current
+     * names are given, the exact mappings for any other names are marked with a comment (which is taken away
+     * again if they come back). Returns the new lines and how many mappings were added
+     */
+    static updateMappingLines(lines, section, mappings, currentNames = null) {
+        lines = [...lines];
+        const remaining = new Map(Object.entries(mappings).map(([key, id]) => [key.toLowerCase(), [key, id]]));
+        const current = currentNames && new Set(currentNames.map(name => name.toLowerCase()));
+        const isRemoved = key => current !== null && !current.has(key.toLowerCase()) && !/[*?]/.test(key) && !key.startsWith('/');
+        const marker = `${SpiraConfig.REMOVED_MARKER} ${new Date().toISOString().slice(0, 10)}`;
+        const toLine = (key, id) => `${key} = ${id ?? ''}`.trimEnd();
+
+        let sectionStart = -1;
+        let insertAt = -1;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line.startsWith('[') && line.endsWith(']')) {
+                if (sectionStart !== -1) break;
+                if (line.slice(1, -1) === section) {
+                    sectionStart = i;
+                    insertAt = i + 1;
+                }
+                continue;
+            }
+            if (sectionStart === -1 || !line || line.startsWith('#') || !line.includes('=')) continue;
+            insertAt = i + 1;
+
+            // Fill in any placeholder that we now have an id for
+            const key = line.split('=')[0].trim();
+            const value = line.split('=').slice(1).join('=').trim();
+            const mapping = remaining.get(key.toLowerCase());
+            if (mapping) {
+                if (!value && mapping[1]) lines[i] = toLine(key, mapping[1]);
+                remaining.delete(key.toLowerCase());
+            }
+
+            // Mark (or unmark) the mappings that are no longer in the reports
+            const isMarked = i > 0 && lines[i - 1].trim().startsWith(SpiraConfig.REMOVED_MARKER);
+            if (isRemoved(key) && !isMarked) {
+                lines.splice(i, 0, marker);
+                i++;
+                insertAt++;
+            } else if (!isRemoved(key) && isMarked) {
+                lines.splice(i - 1, 1);
+                i--;
+                insertAt--;
+            }
+        }
+
+        const newLines = [...remaining.values()].map(([key, id]) => toLine(key, id));
+        if (sectionStart === -1) {
+            // No section yet, so add one to the end of the file
+            while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+            lines.push('', `[${section}]`, ...newLines, '');
+        } else {
+            lines.splice(insertAt, 0, ...newLines);
+        }
+        return { lines, added: newLines.length };
+    }
+
+    /**
+     * Update the mappings in a section of a JSON or YAML config document, in the same way as updateMappingLines.
+     * The mappings that are no longer in the reports are only marked in YAML, since JSON has no comments.
+     * Returns how many mappings were added, and how many are left without an id
+     */
+    static updateMappingDocument(doc, sectionPath, mappings, currentNames = null) {
+        const remaining = new Map(Object.entries(mappings).map(([key, id]) => [key.toLowerCase(), [key, id]]));
+        const current = currentNames && new Set(currentNames.map(name => name.toLowerCase()));
+        const isRemoved = key => current !== null && !current.has(key.toLowerCase()) && !/[*?]/.test(key) && !key.startsWith('/');
+        // A YAML comment is the text after the #
+        const markerText = SpiraConfig.REMOVED_MARKER.slice(1).trim();
+        const withoutMarker = comment => (comment || '').split('\n').filter(line => !line.trim().startsWith(markerText)).join('\n') || undefined;
+
+        if (!yaml.isMap(doc.getIn(sectionPath))) {
+            doc.setIn(sectionPath, doc.createNode({}));
+        }
+        const section = doc.getIn(sectionPath);
+        let placeholders = 0;
+        section.items.forEach((pair, index) => {
+            const key = String(yaml.isScalar(pair.key) ? pair.key.value : pair.key);
+            const value = yaml.isScalar(pair.value) ? pair.value.value : pair.value;
+
+            // Fill in any placeholder that we now have an id for
+            const mapping = remaining.get(key.toLowerCase());
+            if (mapping) {
+                if ((value === null || value === '') && mapping[1]) pair.value = doc.createNode(mapping[1]);
+                remaining.delete(key.toLowerCase());
+            }
+            if (!yaml.isScalar(pair.key)) return;
+
+            // Mark (or unmark) the mappings that are no longer in the reports. The comment on the first
+            // mapping is read back as the comment of the section
+            const comments = [pair.key.commentBefore, index === 0 ? section.commentBefore : undefined];
+            const isMarked = comments.some(comment => (comment || '').includes(markerText));
+            if (isRemoved(key) && !isMarked) {
+                pair.key.commentBefore = ` ${markerText} ${new Date().toISOString().slice(0, 10)}`;
+            } else if (!isRemoved(key) && isMarked) {
+                pair.key.commentBefore = withoutMarker(pair.key.commentBefore);
+                if (index === 0) section.commentBefore = withoutMarker(section.commentBefore);
+            }
+            const filledValue = yaml.isScalar(pair.value) ? pair.value.value : pair.value;
+            if ((filledValue === null || filledValue === '') && !isRemoved(key)) placeholders++;
+        });
+
+        for (const [key, id] of remaining.values()) {
+            section.add(doc.createPair(key, id));
+            if (!id) placeholders++;
+        }
+        return { added: remaining.size, placeholders };
+    }
+
+    /**
+     * Write a JSON or YAML config document back to its file, keeping the comments of a YAML file
+     */
+    static writeDocument(configFile, doc) {
+        const content = path.extname(configFile).toLowerCase() === '.json'
+            ? `${JSON.stringify(doc.toJSON(), null, 2)}\n`
+            : doc.toString();
+        fs.writeFileSync(configFile, content);
+    }
+}
+
+/**
+ * An HTTPS agent that connects to Spira through an HTTP (or HTTPS) proxy, tunnelling the TLS connection
+ * through a CONNECT request so that the proxy never sees the requests themselves
+ */
+class ProxyTunnelAgent extends https.Agent {
+    constructor(proxy, options = {}) {
+        super(options);
+        this.proxy = new URL(proxy);
+    }
+
+    /**
+     * Open the tunnel through the proxy, then start TLS with Spira over it
+     */
+    createConnection(options, callback) {
+        const target = `${options.host}:${options.port || 443}`;
+        const headers = { host: target };
+        if (this.proxy.username) {
+            const credentials = `${decodeURIComponent(this.proxy.username)}:${decodeURIComponent(this.proxy.password)}`;
+            headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        }
+
+        const isHttpsProxy = this.proxy.protocol === 'https:';
+        const request = (isHttpsProxy ? https : http).request({
+            host: this.proxy.hostname,
+            port: this.proxy.port || (isHttpsProxy ? 443 : 80),
+            method: 'CONNECT',
+            path: target,
+            headers,
+            timeout: options.timeout,
+            // An HTTPS proxy may also have a certificate from the custom CAs
+            ...(isHttpsProxy ? { ca: options.ca } : {})
+        });
+        request.once('connect', (response, socket) => {
+            if (response.statusCode !== 200) {
+                socket.destroy();
+                callback(new Error(`Unable to connect through the proxy, it responded with HTTP ${response.statusCode}`));
+                return;
+            }
+            callback(null, tls.connect({ ...options, socket }));
+        });
+        request.once('timeout', () => request.destroy(new Error('Timed out connecting to the proxy')));
+        request.once('error', callback);
+        request.end();
+    }
+}
+
+/**
+ * The HTTP client that all of the requests to the Spira REST API go through. It builds the URLs of the
+ * configured API version, and sends the requests with the credentials, proxy, TLS and timeout settings
+ */
+class SpiraClient {
+    // The path of the REST API after the Spira URL, for each API version
+    static API_PATHS = { v6: 'Services/v6_0/RestService.svc', v7: 'Services/v7_0/RestService.svc' };
+
+    constructor(config) {
+        this.config = config;
+        this.tlsOptions = this.getTlsOptions();
+        this.http = axios.create({
+            timeout: Math.max(config.request_timeout, 0),
+            // The proxy is chosen for each request from the settings, rather than by axios from the environment
+            proxy: false,
+            headers: { 'accept': 'application/json', 'User-Agent': RUNNER_NAME }
+        });
+        // The HTTPS agents by the proxy they go through ('' for none), created when first needed
+        this.agents = new Map();
+    }
+
+    /**
+     * Get the client that an artifact is sent with. Before there was a client, the artifacts were sent with
+     * the Spira URL, username and token, so a URL still works and gets a client with the default settings
+     */
+    static from(client, username = '', token = '') {
+        if (typeof client !== 'string') return client;
+        return new SpiraClient(new SpiraConfig(null, { url: client, username, token }, {}));
+    }
+
+    /**
+     * Get the full URL of a path of the REST API, e.g. 'projects/1/test-runs/record'
+     */
+    getUrl(urlPath) {
+        return joinUrl(this.config.url, SpiraClient.API_PATHS[this.config.api_version], urlPath);
+    }
+
+    /**
+     * Post a JSON body to the Spira REST API
+     */
+    postJson(url, body) {
+        return this.request('post', url, body);
+    }
+
+    /**
+     * Put JSON to the Spira REST API, used to update existing artifacts
+     */
+    putJson(url, body) {
+        return this.request('put', url, body);
+    }
+
+    /**
+     * Get JSON from the Spira REST API
+     */
+    getJson(url) {
+        return this.request('get', url);
+    }
+
+    /**
+     * Send a request to Spira with the credentials, logging it when debugging
+     */
+    async request(method, url, body = undefined) {
+        const proxy = this.getProxy(url);
+        const options = {
+            method,
+            url,
+            data: body,
+            params: { username: this.config.username, 'api-key': this.config.token },
+            headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+            ...this.getConnectionOptions(url, proxy)
+        };
+
+        const startTime = Date.now();
+        try {
+            const response = await this.http.request(options);
+            this.logRequest(options, proxy, `HTTP ${response.status}`, startTime);
+            return response;
+        } catch (error) {
+            this.logRequest(options, proxy, error.response ? `HTTP ${error.response.status}` : `error '${error.message}'`, startTime);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the proxy to use for a URL, or '' for none. The proxy setting wins over the HTTPS_PROXY and
+     * HTTP_PROXY environment variables, and the no_proxy setting over the NO_PROXY environment variable
+     */
+    getProxy(url, env = process.env) {
+        const isHttps = new URL(url).protocol === 'https:';
+        const proxy = this.config.proxy
+            || (isHttps ? env.HTTPS_PROXY || env.https_proxy : env.HTTP_PROXY || env.http_proxy) || '';
+        const noProxy = this.config.no_proxy || env.NO_PROXY || env.no_proxy || '';
+        return proxy && !isNoProxyHost(url, noProxy) ? proxy : '';
+    }
+
+    /**
+     * Get the axios options that connect to a URL through the proxy (if any) with the TLS settings
+     */
+    getConnectionOptions(url, proxy) {
+        if (new URL(url).protocol === 'https:') {
+            if (!this.agents.has(proxy)) {
+                this.agents.set(proxy, proxy ? new ProxyTunnelAgent(proxy, this.tlsOptions) : new https.Agent(this.tlsOptions));
+            }
+            return { httpsAgent: this.agents.get(proxy) };
+        }
+        if (!proxy) return {};
+
+        // Plain HTTP requests are sent to the proxy as they are
+        const proxyUrl = new URL(proxy);
+        return {
+            proxy: {
+                protocol: proxyUrl.protocol.slice(0, -1),
+                host: proxyUrl.hostname,
+                port: parseInt(proxyUrl.port) || (proxyUrl.protocol === 'https:' ? 443 : 80),
+                auth: proxyUrl.username
+                    ? { username: decodeURIComponent(proxyUrl.username), password: decodeURIComponent(proxyUrl.password) }
+                    : undefined
+            }
+        };
+    }
+
+    /**
+     * Read the custom CA and client certificate files. The CAs are trusted as well as Node's own, rather than instead
+     */
+    getTlsOptions() {
+        const options = {};
+        const readFile = (setting, file) => {
+            try {
+                return fs.readFileSync(file.trim());
+            } catch (error) {
+                throw new SpiraConfigError([`${setting}: unable to read '${file.trim()}' (${error.message})`]);
+            }
+        };
+
+        if (this.config.ca_file) {
+            const cas = String(this.config.ca_file).split(',').filter(file => file.trim()).map(file => readFile('ca_file', file));
+            options.ca = [...tls.rootCertificates, ...cas];
+        }
+        if (this.config.client_cert) {
+            // A PKCS#12 file has the certificate and the key together
+            const certificate = readFile('client_cert', this.config.client_cert);
+            if (/\.(p12|pfx)$/i.test(this.config.client_cert)) {
+                options.pfx = certificate;
+            } else {
+                options.cert = certificate;
+            }
+        }
+        if (this.config.client_key) options.key = readFile('client_key', this.config.client_key);
+        if (this.config.client_passphrase) options.passphrase = this.config.client_passphrase;
+        return options;
+    }
+
+    /**
+     * Log a request and how it went when debugging, without the API key
+     */
+    logRequest(options, proxy, outcome, startTime) {
+        if (!this.config.debug_http) return;
+        const via = proxy ? ` via proxy ${redactUrl(proxy)}` : '';
+        console.log(`[HTTP] ${options.method.toUpperCase()} ${redactUrl(this.http.getUri(options))}${via} -> ${outcome} in ${Date.now() - startTime} ms`);
+    }
+}
+
+/**
+ * A TestCase object model for Spira
+ * Used to create new test cases for xUnit tests that are not mapped yet
+ */
+class SpiraTestCase {
+    // The URL snippet used to post a new test case. Needs the project ID to work
+    static POST_TEST_CASE = 'projects/{}/test-cases';
+    // The field in the response that holds the id of the new test case
+    static ID_FIELD = 'TestCaseId';
+
+    constructor(projectId, name, testCaseFolderId = -1) {
+        this.projectId = projectId;
+        this.name = name;
+        this.testCaseFolderId = testCaseFolderId;
+    }
+
+    /**
+     * Get the URL that the test case is posted to
+     */
+    getUrl(client) {
+        return SpiraClient.from(client).getUrl(`projects/${this.projectId}/test-cases`);
+    }
+
+    /**
+     * Get the body that is sent to Spira to create the test case
+     */
+    getBody() {
+        // The body we are sending
+        const body = {
+            ProjectId: this.projectId,
+            Name: this.name,
+            Description: `Created automatically by ${RUNNER_NAME} for the xUnit test '${this.name}'.`
+        };
+
+        // The test case folder is optional
+        if (this.testCaseFolderId !== -1) {
+            body.TestCaseFolderId = this.testCaseFolderId;
+        }
+
+        return body;
+    }
+
+    /**
+     * Create a new test case in Spira
+     */
+    async post(client, username, token) {
+        client = SpiraClient.from(client, username, token);
+        const url = this.getUrl(client);
+        const body = this.getBody();
+
+        this.lastError = null;
+        try {
+            const response = await client.postJson(url, body);
+            return response.data.TestCaseId;
+        } catch (error) {
+            this.lastError = error;
+            if (error.response?.status === 404) {
+                // Project or Folder Not Found
+                console.log(`Unable to find a matching Spira project of id PR:${this.projectId} or test case folder, so not able to create test case '${this.name}'`);
+            } else {
+                // General Error
+                console.log(`Unable to create test case due to HTTP error: ${error.message}`);
+            }
+            return -1;
+        }
+    }
+}
+
+/**
+ * An Incident object model for Spira
+ * Used to raise incidents for failing tests
+ */
+class SpiraIncident {
+    // The URL snippet used to post a new incident. Needs the project ID to work
+    static POST_INCIDENT = 'projects/{}/incidents';
+    // The field in the response that holds the id of the new incident
+    static ID_FIELD = 'IncidentId';
+
+    constructor(projectId, name, description, incidentTypeId = -1, priorityId = -1, ownerId = -1, releaseId = -1) {
+        this.projectId = projectId;
+        this.name = name;
+        this.description = description;
+        this.incidentTypeId = incidentTypeId;
+        this.priorityId = priorityId;
+        this.ownerId = ownerId;
+        this.releaseId = releaseId;
+    }
+
+    /**
+     * Get the URL that the incident is posted to
+     */
+    getUrl(client) {
+        return SpiraClient.from(client).getUrl(`projects/${this.projectId}/incidents`);
+    }
+
+    /**
+     * Get the body that is sent to Spira to create the incident
+     */
+    getBody() {
+        const body = {
+            ProjectId: this.projectId,
+            Name: this.name,
+            Description: this.description
+        };
+
+        // The type, priority, owner and release are optional
+        if (this.incidentTypeId !== -1) body.IncidentTypeId = this.incidentTypeId;
+        if (this.priorityId !== -1) body.PriorityId = this.priorityId;
+        if (this.ownerId !== -1) body.OwnerId = this.ownerId;
+        if (this.releaseId !== -1) body.DetectedReleaseId = this.releaseId;
+
+        return body;
+    }
+
+    /**
+     * Create a new incident in Spira
+     */
+    async post(client, username, token) {
+        client = SpiraClient.from(client, username, token);
+        const url = this.getUrl(client);
+        const body = this.getBody();
+
+        this.lastError = null;
+        try {
+            const response = await client.postJson(url, body);
+            return response.data.IncidentId;
+        } catch (error) {
+            this.lastError = error;
+            console.log(`Unable to create incident due to HTTP error: ${error.message}`);
+            return -1;
+        }
+    }
+}
+
+/**
+ * A Comment object model for Spira incidents
+ * Used to note when an open incident's failure happens again (or the test passes)
+ */
+class SpiraIncidentComment {
+    // The URL snippet used to post a comment. Needs the project ID and incident ID to work
+    static POST_COMMENT = 'projects/{}/incidents/{}/comments';
+
+    constructor(projectId, incidentId, text) {
+        this.projectId = projectId;
+        this.incidentId = incidentId;
+        this.text = text;
+    }
+
+    /**
+     * Get the URL that the comment is posted to
+     */
+    getUrl(client) {
+        return SpiraClient.from(client).getUrl(`projects/${this.projectId}/incidents/${this.incidentId}/comments`);
+    }
+
+    /**
+     * Get the body that is sent to Spira to add the comment
+     */
+    getBody() {
+        return [{ ArtifactId: this.incidentId, Text: this.text }];
+    }
+
+    /**
+     * Add the comment to the incident in Spira, returns the incident id
+     */
+    async post(client, username, token) {
+        client = SpiraClient.from(client, username, token);
+        this.lastError = null;
+        try {
+            await client.postJson(this.getUrl(client), this.getBody());
+            return this.incidentId;
+        } catch (error) {
+            this.lastError = error;
+            console.log(`Unable to comment on incident IN:${this.incidentId} due to HTTP error: ${error.message}`);
+            return -1;
+        }
+    }
+}
+
+/**
+ * An Association object model for Spira
+ * Used to link incidents to the test runs that found them
+ */
+class SpiraAssociation {
+    // The URL snippet used to post an association. Needs the project ID to work
+    static POST_ASSOCIATION = 'projects/{}/associations';
+    // The field in the response that holds the id of the new association
+    static ID_FIELD = 'ArtifactLinkId';
+
+    constructor(projectId, incidentId, testRunId, comment = '') {
+        this.projectId = projectId;
+        this.incidentId = incidentId;
+        this.testRunId = testRunId;
+        this.comment = comment;
+    }
+
+    /**
+     * Get the URL that the association is posted to
+     */
+    getUrl(client) {
+        return SpiraClient.from(client).getUrl(`projects/${this.projectId}/associations`);
+    }
+
+    /**
+     * Get the body that is sent to Spira to create the association
+     */
+    getBody() {
+        return {
+            SourceArtifactId: this.incidentId,
+            SourceArtifactTypeId: 3, // Incident
+            DestArtifactId: this.testRunId,
+            DestArtifactTypeId: 5, // Test Run
+            ArtifactLinkTypeId: 1, // Related-to
+            Comment: this.comment
+        };
+    }
+
+    /**
+     * Link the incident to the test run in Spira
+     */
+    async post(client, username, token) {
+        client = SpiraClient.from(client, username, token);
+        this.lastError = null;
+        try {
+            const response = await client.postJson(this.getUrl(client), this.getBody());
+            return response.data.ArtifactLinkId;
+        } catch (error) {
+            this.lastError = error;
+            console.log(`Unable to link incident IN:${this.incidentId} to test run TR:${this.testRunId} due to HTTP error: ${error.message}`);
+            return -1;
+        }
+    }
+}
+
+/**
+ * A Document object model for Spira
+ * Used to attach files or URLs to test runs
+ */
+class SpiraDocument {
+    // The URL snippet used to post a new file or URL attachment linked to a test run
+    static POST_DOCUMENT_FILE = 'projects/{}/documents/file';
+    static POST_DOCUMENT_URL = 'projects/{}/documents/url';
+    // The field in the response that holds the id of the new document
+    static ID_FIELD = 'AttachmentId';
+
+    constructor(projectId, attachmentTypeId, testRunId, filenameOrUrl, versionName) {
+        this.projectId = projectId;
+        this.attachmentTypeId = attachmentTypeId; // 1 = File, 2 = URL
+        this.testRunId = testRunId;
+        this.filenameOrUrl = filenameOrUrl;
+        this.versionName = versionName;
+    }
+
+    /**
+     * Get the URL that the attachment is posted to
+     */
+    getUrl(client, binaryData = null) {
+        // Default to URL attachment
+        const endpoint = this.attachmentTypeId === 1 && binaryData
+            ? `projects/${this.projectId}/documents/file`
+            : `projects/${this.projectId}/documents/url`;
+
+        return SpiraClient.from(client).getUrl(endpoint);
+    }
+
+    /**
+     * Get the body that is sent to Spira to create the attachment
+     */
+    getBody(binaryData = null) {
+        // The body we are sending
+        const body = {
+            ProjectId: this.projectId,
+            AttachmentTypeId: this.attachmentTypeId,
+            FilenameOrUrl: this.filenameOrUrl,
+            AttachedArtifacts: [{
+                ArtifactId: this.testRunId,
+                ArtifactTypeId: 5 // Test Run
+            }]
+        };
+
+        // Spira uses its default version name if we don't give one
+        if (this.versionName) {
+            body.CurrentVersion = this.versionName;
+        }
+
+        // Add the binary data if appropriate
+        if (this.attachmentTypeId === 1 && binaryData) {
+            body.BinaryData = binaryData;
+        }
+
+        return body;
+    }
+
+    /**
+     * Create a new attachment in Spira for associating the test runs with. The old arguments
+     * (spiraUrl, username, token, binaryData) still work too
+     */
+    async post(client, ...args) {
+        const binaryData = (typeof client === 'string' ? args[2] : args[0]) ?? null;
+        client = SpiraClient.from(client, args[0], args[1]);
+        const url = this.getUrl(client, binaryData);
+        const body = this.getBody(binaryData);
+
+        this.lastError = null;
+        try {
+            const response = await client.postJson(url, body);
+            return response.data.AttachmentId;
+        } catch (error) {
+            this.lastError = error;
+            if (error.response?.status === 404) {
+                // Test Run Not Found
+                console.log(`Unable to find a matching Spira test run of id TR:${this.testRunId}, so not able to post result`);
+            } else {
+                // General Error
+                console.log(`Unable to create document due to HTTP error: ${error.message}`);
+            }
+            return null;
+        }
+    }
+}
+
+/**
+ * A link between a document already in Spira and a test run
+ * Used to attach the same file to several test runs while only uploading it once
+ */
+class SpiraDocumentLink {
+    // The URL snippet used to add a document to an artifact. Needs the project, artifact type, artifact and document IDs to work
+    static POST_DOCUMENT_LINK = 'projects/{}/artifact-types/{}/artifacts/{}/documents/{}';
+    // Linking doesn't create anything in Spira, so there is no id in the response
+    static ID_FIELD = null;
+    // The placeholders in the URL of a spooled link for the ids of a spooled test run or document
+    static TEST_RUN_PLACEHOLDER = '{TestRunId}';
+    static DOCUMENT_PLACEHOLDER = '{DocumentId}';
+
+    constructor(projectId, documentId, testRunId) {
+        this.projectId = projectId;
+        this.documentId = documentId;
+        this.testRunId = testRunId;
+    }
+
+    /**
+     * Get the URL that the link is posted to
+     */
+    getUrl(client) {
+        return SpiraClient.from(client).getUrl(`projects/${this.projectId}/artifact-types/5/artifacts/${this.testRunId}/documents/${this.documentId}`);
+    }
+
+    /**
+     * Get the body that is sent to Spira, there is none since the URL has everything it needs
+     */
+    getBody() {
+        return undefined;
+    }
+
+    /**
+     * Link the document to the test run in Spira, returns the document id
+     */
+    async post(client, username, token) {
+        client = SpiraClient.from(client, username, token);
+        const url = this.getUrl(client);
+
+        this.lastError = null;
+        try {
+            await client.postJson(url, this.getBody());
+            return this.documentId;
+        } catch (error) {
+            this.lastError = error;
+            console.log(`Unable to link document DC:${this.documentId} to test run TR:${this.testRunId} due to HTTP error: ${error.message}`);
+            return -1;
+        }
+    }
+}
+
+/**
+ * A Build object model for Spira
+ * Used to create build artifacts that group test runs together
+ */
+class SpiraBuild {
+    // The URL snippet used to post a build. Needs the project ID and release ID to work
+    static POST_BUILD = 'projects/{}/releases/{}/builds';
+    // The field in the response that holds the id of the new build
+    static ID_FIELD = 'BuildId';
+
+    constructor(projectId, releaseId, buildStatusId, name, description = '', revision = null) {
+        this.projectId = projectId;
+        this.releaseId = releaseId;
+        this.buildStatusId = buildStatusId; // 1=Failed, 2=Succeeded, 3=Unstable
+        this.name = name;
+        this.description = description;
+        this.revision = revision;
+    }
+
+    /**
+     * Get the URL that the build is posted to
+     */
+    getUrl(client) {
+        return SpiraClient.from(client).getUrl(`projects/${this.projectId}/releases/${this.releaseId}/builds`);
+    }
+
+    /**
+     * Get the body that is sent to Spira to create the build
+     */
+    getBody() {
+        const body = {
+            ProjectId: this.projectId,
+            BuildStatusId: this.buildStatusId,
+            ReleaseId: this.releaseId,
+            Name: this.name,
+            Description: this.description
+        };
+
+        // Link the build to the commit it was built from
+        if (this.revision) {
+            body.Revisions = [{ RevisionKey: this.revision }];
+        }
+
+        return body;
+    }
+
+    /**
+     * Create a new build in Spira for associating the test runs with
+     */
+    async post(client, username, token) {
+        client = SpiraClient.from(client, username, token);
+        const url = this.getUrl(client);
+        const body = this.getBody();
+
+        this.lastError = null;
+        try {
+            const response = await client.postJson(url, body);
+            return response.data.BuildId;
+        } catch (error) {
+            this.lastError = error;
+            if (error.response?.status === 404) {
+                // Release Not Found
+                console.log(`Unable to find a matching Spira release of id RL:${this.releaseId}, so not able to post result`);
+            } else {
+                // General Error
+                console.log(`Unable to create build due to HTTP error: ${error.message}`);
+            }
+            return null;
+        }
+    }
+}
+
+/**
+ * A TestRun object model for Spira
+ * Represents a single test execution result
+ */
+class SpiraTestRun {
+    // The URL snippet used to post an automated test run. Needs the project ID to work
+    static POST_TEST_RUN = 'projects/%s/test-runs/record';
+    // The field in the response that holds the id of the new test run
+    static ID_FIELD = 'TestRunId';
+
+    constructor(projectId, testCaseId, testName, stackTrace, statusId, startTime, endTime, 
+                message = '', releaseId = -1, testSetId = -1, assertCount = 0, buildId = -1, steps = [],
+                customProperties = []) {
+        this.projectId = projectId;
+        this.testCaseId = testCaseId;
+        this.testName = testName;
+        this.stackTrace = stackTrace;
+        this.statusId = statusId;
+        this.startTime = startTime;
+        this.endTime = endTime;
+        this.message = message;
+        this.releaseId = releaseId;
+        this.testSetId = testSetId;
+        this.assertCount = assertCount;
+        this.buildId = buildId;
+        this.steps = steps;
+        this.customProperties = customProperties;
+    }
+
+    /**
+     * Get the URL that the test run is posted to
+     */
+    getUrl(client) {
+        return SpiraClient.from(client).getUrl(`projects/${this.projectId}/test-runs/record`);
+    }
+
+    /**
+     * Get the body that is sent to Spira to record the test run
+     */
+    getBody() {
+        // The body we are sending
+        const body = {
+            TestRunFormatId: 1, // Constant for plain text
+            StartDate: this.startTime.toISOString().replace(/\.\d{3}Z$/, 'Z'),
+            EndDate: this.endTime.toISOString().replace(/\.\d{3}Z$/, 'Z'),
+            RunnerName: RUNNER_NAME,
+            RunnerTestName: this.testName,
+            RunnerMessage: this.message,
+            RunnerStackTrace: this.stackTrace,
+            RunnerAssertCount: this.assertCount,
+            TestCaseId: this.testCaseId,
+            ExecutionStatusId: this.statusId // Passes (2) if the stack trace length is 0
+        };
+
+        // Releases and Test Sets are optional
+        if (this.releaseId !== -1) {
+            body.ReleaseId = this.releaseId;
+            // If we have a release, also see if we have a build
+            if (this.buildId !== -1) {
+                body.BuildId = this.buildId;
+            }
+        }
+
+        if (this.testSetId !== -1) {
+            body.TestSetId = this.testSetId;
+        }
+
+        // Test run steps are optional
+        if (this.steps.length > 0) {
+            body.TestRunSteps = this.steps.map((step, index) => ({
+                Position: index + 1,
+                Description: step.description,
+                ExpectedResult: step.expected_result || null,
+                ActualResult: step.actual_result || null,
+                ExecutionStatusId: step.execution_status_id
+            }));
+        }
+
+        // Custom properties are optional
+        if (this.customProperties.length > 0) {
+            body.CustomProperties = this.customProperties;
+        }
+
+        return body;
+    }
+
+    /**
+     * Post the test run to Spira
+     */
+    async post(client, username, token) {
+        client = SpiraClient.from(client, username, token);
+        const url = this.getUrl(client);
+        const body = this.getBody();
+
+        this.lastError = null;
+        try {
+            const response = await client.postJson(url, body);
+            return response.data.TestRunId;
+        } catch (error) {
+            this.lastError = error;
+            if (error.response?.status === 404) {
+                // Test Case Not Found
+                console.log(`Unable to find a matching Spira test case of id TC:${this.testCaseId}, so not able to post result`);
+            } else {
+                // General Error
+                console.log(`Unable to send results due to HTTP error: ${error.message}`);
+            }
+            return -1;
+        }
+    }
+}
+
+/**
+ * A batch of TestRun object models for Spira
+ * Used to record many test runs with a single request
+ */
+class SpiraTestRunBatch {
+    // The URL snippet used to post many automated test runs. Needs the project ID to work
+    static POST_TEST_RUNS = 'projects/%s/test-runs/record-multiple';
+
+    constructor(projectId, testRuns) {
+        this.projectId = projectId;
+        this.testRuns = testRuns;
+    }
+
+    /**
+     * Get the URL that the test runs are posted to
+     */
+    getUrl(client) {
+        return SpiraClient.from(client).getUrl(`projects/${this.projectId}/test-runs/record-multiple`);
+    }
+
+    /**
+     * Get the body that is sent to Spira to record the test runs
+     */
+    getBody() {
+        return this.testRuns.map(testRun => testRun.getBody());
+    }
+
+    /**
+     * Post the test runs to Spira, returns the new test run ids (in the same order)
+     */
+    async post(client, username, token) {
+        client = SpiraClient.from(client, username, token);
+        const url = this.getUrl(client);
+        const body = this.getBody();
+
+        this.lastError = null;
+        try {
+            const response = await client.postJson(url, body);
+            return response.data.map(testRun => testRun.TestRunId);
+        } catch (error) {
+            this.lastError = error;
+            if (error.response?.status === 404) {
+                // One of the Test Cases Not Found
+                console.log(`Unable to find all of the Spira test cases in a batch of ${this.testRuns.length} test runs, so sending them one by one`);
+            } else {
+                // General Error
+                console.log(`Unable to send batch of ${this.testRuns.length} results due to HTTP error: ${error.message}`);
+            }
+            return null;
+        }
+    }
+}
+
+/**
+ * A request to Spira that was saved in the spool, so that it can be posted again
+ */
+class SpiraSpooledRequest {
+    constructor(entry) {
+        this.entry = entry;
+    }
+
+    /**
+     * Get the URL that the request is posted to
+     */
+    getUrl() {
+        return this.entry.url;
+    }
+
+    /**
+     * Get the body of the request
+     */
+    getBody() {
+        return this.entry.body;
+    }
+
+    /**
+     * Post the saved request to Spira
+     */
+    async post(client, username, token) {
+        client = SpiraClient.from(client, username, token);
+        this.lastError = null;
+        try {
+            const response = await client.postJson(this.entry.url, this.entry.body);
+            // Requests without an id of their own (e.g. document links) only need to succeed
+            return this.entry.idField ? response.data[this.entry.idField] : 1;
+        } catch (error) {
+            this.lastError = error;
+            console.log(`Unable to replay request to '${this.entry.url}' due to HTTP error: ${error.message}`);
+            return -1;
+        }
+    }
+}
+
+/**
+ * An on-disk spool of the builds, test runs and documents that could not be sent to Spira,
+ * so that they can be replayed later. A spooled request can depend on another one (e.g. a
+ * document on its test run), in which case the id is filled in once the other one is sent,
+ * either at a path in the body or in place of a {placeholder} in the URL
+ */
+class SpiraSpool {
+    constructor(spoolFile) {
+        this.spoolFile = spoolFile;
+        this.entries = [];
+        // The number of requests added to the spool by this run
+        this.added = 0;
+
+        // Keep anything already spooled by an earlier run
+        if (fs.existsSync(spoolFile)) {
+            this.entries = JSON.parse(fs.readFileSync(spoolFile, 'utf-8')).entries || [];
+        }
+    }
+
+    /**
+     * Add a request to the spool, returning the key that dependent requests use to refer to it.
+     * The dependencies map a (dotted) path in the body to the key of the request it needs the id of
+     */
+    add(url, body, idField, dependsOn = {}) {
+        const key = crypto.randomBytes(8).toString('hex');
+        this.entries.push({ key, url, idField, body, dependsOn: { ...dependsOn } });
+        this.added++;
+        return key;
+    }
+
+    /**
+     * Write the spool to disk (through a temporary file, so that it is never left half written),
+     * removing the file once there is nothing left in it
+     */
+    save() {
+        if (this.entries.length > 0) {
+            const tempFile = `${this.spoolFile}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify({ entries: this.entries }, null, 2));
+            fs.renameSync(tempFile, this.spoolFile);
+        } else if (fs.existsSync(this.spoolFile)) {
+            fs.unlinkSync(this.spoolFile);
+        }
+    }
+
+    /**
+     * Remove a request from the spool once it has been sent, filling its new id into the requests that depend on it
+     */
+    resolve(key, id) {
+        this.entries = this.entries.filter(entry => entry.key !== key);
+        for (const entry of this.entries) {
+            for (const [bodyPath, dependencyKey] of Object.entries(entry.dependsOn)) {
+                if (dependencyKey !== key) continue;
+                if (bodyPath.startsWith('{')) {
+                    entry.url = entry.url.replace(bodyPath, id);
+                } else {
+                    const parts = bodyPath.split('.');
+                    const parent = parts.slice(0, -1).reduce((node, part) => node[part], entry.body);
+                    parent[parts[parts.length - 1]] = id;
+                }
+                delete entry.dependsOn[bodyPath];
+            }
+        }
+    }
+
+    /**
+     * Remove a request that can never be sent, along with everything that depends on it
+     */
+    discard(key) {
+        const dependents = this.entries.filter(entry => Object.values(entry.dependsOn).includes(key));
+        this.entries = this.entries.filter(entry => entry.key !== key);
+        return 1 + dependents.reduce((count, entry) => count + this.discard(entry.key), 0);
+    }
+
+    /**
+     * Send all of the spooled requests to Spira, keeping those that still fail with a transient error.
+     * The spool file is rewritten after each request, so that an interrupted replay never sends one twice
+     */
+    async replay(postResults) {
+        let sentCount = 0;
+        let discardedCount = 0;
+
+        // The dependencies are always spooled before the requests that need them
+        for (const entry of [...this.entries]) {
+            // Skip anything already discarded, or still waiting on a request that failed again
+            if (!this.entries.includes(entry) || Object.keys(entry.dependsOn).length > 0) continue;
+
+            const request = new SpiraSpooledRequest(entry);
+            const id = await postResults.postArtifact(request);
+            if (id > 0) {
+                this.resolve(entry.key, id);
+                sentCount++;
+                this.save();
+            } else if (!isTransientError(request.lastError)) {
+                discardedCount += this.discard(entry.key);
+                this.save();
+            }
+        }
+
+        console.log(`Replayed ${sentCount} requests to Spira, ${discardedCount} could not be sent and were discarded, ` +
+            `${this.entries.length} are still in the spool file '${this.spoolFile}'.\n`);
+        return this.entries.length;
+    }
+}
+
+/**
+ * Report format adapter for JUnit style XML (<testsuites>/<testsuite>/<testcase>), which
+ * is also the shape that all of the other adapters convert their reports into
+ */
+class JUnitFormat {
+    static NAME = 'junit';
+
+    /**
+     * See if the report is in this format
+     */
+    static detect(content, xml) {
+        return !!xml && !!(xml.testsuites || xml.testsuite);
+    }
+
+    /**
+     * Convert the report into the JUnit style root node
+     */
+    static parse(content, xml) {
+        return xml.testsuites || xml.testsuite;
+    }
+}
+
+/**
+ * Report format adapter for NUnit 3 XML (<test-run>/<test-suite>/<test-case>)
+ */
+class NUnit3Format {
+    static NAME = 'nunit3';
+    // The labels of failed test cases that were errors rather than assertion failures
+    static ERROR_LABELS = ['Error', 'Cancelled', 'Invalid'];
+
+    /**
+     * See if the report is in this format
+     */
+    static detect(content, xml) {
+        return !!xml && !!xml['test-run'];
+    }
+
+    /**
+     * Convert the report into the JUnit style root node
+     */
+    static parse(content, xml) {
+        const run = xml['test-run'];
+        return {
+            tests: run.total,
+            failures: run.failed,
+            skipped: run.skipped,
+            assertions: run.asserts,
+            timestamp: run['start-time'],
+            testsuite: asArray(run['test-suite']).map(suite => NUnit3Format.convertSuite(suite))
+        };
+    }
+
+    /**
+     * Convert a <test-suite> (which can be nested) into a JUnit style suite
+     */
+    static convertSuite(suite) {
+        return {
+            name: suite.fullname || suite.name,
+            timestamp: suite['start-time'],
+            time: suite.duration,
+            testsuite: asArray(suite['test-suite']).map(child => NUnit3Format.convertSuite(child)),
+            testcase: asArray(suite['test-case']).map(testCase => NUnit3Format.convertTestCase(testCase))
+        };
+    }
+
+    /**
+     * Convert a <test-case> into a JUnit style testcase
+     */
+    static convertTestCase(testCase) {
+        const testcase = {
+            name: testCase.name,
+            classname: testCase.classname || '',
+            time: testCase.duration,
+            timestamp: testCase['start-time'],
+            assertions: testCase.asserts
+        };
+
+        // Convert the result, the details are in the <failure> or <reason> nodes
+        const message = textOf(testCase.failure?.message) || textOf(testCase.reason?.message);
+        const stackTrace = textOf(testCase.failure?.['stack-trace']);
+        if (testCase.result === 'Failed') {
+            const resultType = NUnit3Format.ERROR_LABELS.includes(testCase.label) ? 'error' : 'failure';
+            testcase[resultType] = { message: message || testCase.label, _: [message, stackTrace].filter(Boolean).join('\n') };
+        } else if (testCase.result === 'Warning') {
+            testcase.warning = { message, _: message };
+        } else if (testCase.result === 'Skipped' || testCase.result === 'Inconclusive') {
+            testcase.skipped = { message: message || testCase.label || testCase.result, _: message };
+        }
+
+        if (testCase.output) testcase['system-out'] = textOf(testCase.output);
+
+        // The properties and attachments both become properties
+        const properties = asArray(testCase.properties?.property).map(prop => ({ name: prop.name, value: prop.value }));
+        for (const attachment of asArray(testCase.attachments?.attachment)) {
+            properties.push({ name: 'attachment', value: textOf(attachment.filePath) });
+        }
+        if (properties.length > 0) testcase.properties = { property: properties };
+
+        return testcase;
+    }
+}
+
+/**
+ * Report format adapter for xUnit.net v2 XML (<assemblies>/<assembly>/<collection>/<test>).
+ * The tests in each assembly are grouped into a suite per class
+ */
+class XunitNetFormat {
+    static NAME = 'xunit2';
+
+    /**
+     * See if the report is in this format
+     */
+    static detect(content, xml) {
+        return !!xml && !!(xml.assemblies || xml.assembly);
+    }
+
+    /**
+     * Convert the report into the JUnit style root node
+     */
+    static parse(content, xml) {
+        const assemblies = asArray(xml.assemblies ? xml.assemblies.assembly : xml.assembly);
+        const root = { testsuite: [] };
+
+        for (const assembly of assemblies) {
+            // Add up the counts across all of the assemblies
+            for (const [attribute, total] of [['total', 'tests'], ['failed', 'failures'], ['errors', 'errors'], ['skipped', 'skipped']]) {
+                if (assembly[attribute] !== undefined) {
+                    root[total] = (root[total] || 0) + (parseInt(assembly[attribute]) || 0);
+                }
+            }
+
+            // Group the tests by their class
+            const classes = new Map();
+            for (const collection of asArray(assembly.collection)) {
+                for (const test of asArray(collection.test)) {
+                    if (!classes.has(test.type)) classes.set(test.type, []);
+                    classes.get(test.type).push(XunitNetFormat.convertTest(test));
+                }
+            }
+
+            root.testsuite.push({
+                name: (assembly.name || '').split(/[\\/]/).pop(),
+                timestamp: assembly['run-date'] && assembly['run-time'] ? `${assembly['run-date']}T${assembly['run-time']}` : undefined,
+                time: assembly.time,
+                testsuite: [...classes].map(([type, testcases]) => ({ name: type, testcase: testcases }))
+            });
+        }
+        return root;
+    }
+
+    /**
+     * Convert a <test> into a JUnit style testcase
+     */
+    static convertTest(test) {
+        // The test name usually includes the class name
+        const name = test.name && test.type && test.name.startsWith(`${test.type}.`)
+            ? test.name.slice(test.type.length + 1)
+            : test.name || test.method;
+        const testcase = { name, classname: test.type || '', time: test.time };
+
+        if (test.result === 'Fail') {
+            const message = textOf(test.failure?.message);
+            testcase.failure = {
+                message,
+                type: test.failure?.['exception-type'],
+                _: [message, textOf(test.failure?.['stack-trace'])].filter(Boolean).join('\n')
+            };
+        } else if (test.result === 'Skip') {
+            testcase.skipped = { message: textOf(test.reason) || 'Test Skipped' };
+        } else if (test.result === 'NotRun') {
+            testcase.skipped = { message: 'Test Not Run' };
+        }
+
+        if (test.output) testcase['system-out'] = textOf(test.output);
+
+        // The traits become properties
+        const properties = asArray(test.traits?.trait).map(trait => ({ name: trait.name, value: trait.value }));
+        if (properties.length > 0) testcase.properties = { property: properties };
+
+        return testcase;
+    }
+}
+
+/**
+ * Report format adapter for Visual Studio TRX (<TestRun>/<Results>/<UnitTestResult>).
+ * The results are grouped into a suite per class
+ */
+class TrxFormat {
+    static NAME = 'trx';
+    // The outcomes that are errors rather than assertion failures, and those that were not run
+    static ERROR_OUTCOMES = ['Error', 'Timeout', 'Aborted'];
+    static SKIPPED_OUTCOMES = ['NotExecuted', 'Inconclusive', 'Pending', 'NotRunnable', 'Disconnected'];
+
+    /**
+     * See if the report is in this format
+     */
+    static detect(content, xml) {
+        return !!xml && !!xml.TestRun;
+    }
+
+    /**
+     * Convert the report into the JUnit style root node
+     */
+    static parse(content, xml) {
+        const run = xml.TestRun;
+        const definitions = new Map(asArray(run.TestDefinitions?.UnitTest).map(unitTest => [unitTest.id, unitTest]));
+        const deploymentRoot = run.TestSettings?.Deployment?.runDeploymentRoot;
+
+        // Group the results by their class
+        const classes = new Map();
+        for (const result of asArray(run.Results?.UnitTestResult)) {
+            const className = (definitions.get(result.testId)?.TestMethod?.className || '').split(',')[0].trim();
+            if (!classes.has(className)) classes.set(className, []);
+            classes.get(className).push(TrxFormat.convertResult(result, className, deploymentRoot));
+        }
+
+        const counters = run.ResultSummary?.Counters || {};
+        return {
+            name: run.name,
+            tests: counters.total,
+            failures: counters.failed,
+            errors: counters.error,
+            skipped: counters.notExecuted,
+            timestamp: run.Times?.start,
+            testsuite: [...classes].map(([className, testcases]) => ({ name: className, testcase: testcases }))
+        };
+    }
+
+    /**
+     * Convert a <UnitTestResult> into a JUnit style testcase
+     */
+    static convertResult(result, className, deploymentRoot) {
+        // The test name sometimes includes the class name
+        const name = className && result.testName.startsWith(`${className}.`)
+            ? result.testName.slice(className.length + 1)
+            : result.testName;
+        const testcase = {
+            name,
+            classname: className,
+            time: TrxFormat.parseDuration(result.duration),
+            timestamp: result.startTime
+        };
+
+        const output = result.Output || {};
+        const message = textOf(output.ErrorInfo?.Message);
+        const details = [message, textOf(output.ErrorInfo?.StackTrace)].filter(Boolean).join('\n');
+        if (result.outcome === 'Failed') {
+            testcase.failure = { message: message || 'Test Failed', _: details };
+        } else if (TrxFormat.ERROR_OUTCOMES.includes(result.outcome)) {
+            testcase.error = { message: message || `Test ${result.outcome}`, _: details };
+        } else if (result.outcome === 'Warning') {
+            testcase.warning = { message: message || 'Test Warning', _: details };
+        } else if (TrxFormat.SKIPPED_OUTCOMES.includes(result.outcome)) {
+            testcase.skipped = { message: message || `Test ${result.outcome}`, _: details };
+        }
+
+        if (output.StdOut) testcase['system-out'] = textOf(output.StdOut);
+        if (output.StdErr) testcase['system-err'] = textOf(output.StdErr);
+
+        // The result files are saved under the deployment folder, next to the TRX file
+        const resultFolder = result.relativeResultsDirectory || result.executionId;
+        const properties = asArray(output.ResultFiles?.ResultFile || result.ResultFiles?.ResultFile).map(resultFile => ({
+            name: 'attachment',
+            value: deploymentRoot && resultFolder
+                ? `${deploymentRoot}/In/${resultFolder}/${resultFile.path}`.replace(/\\/g, '/')
+                : resultFile.path
+        }));
+        if (properties.length > 0) testcase.properties = { property: properties };
+
+        return testcase;
+    }
+
+    /**
+     * Convert a TRX duration (hh:mm:ss.fffffff) into seconds
+     */
+    static parseDuration(duration) {
+        const match = (duration || '').match(/^(\d+):(\d+):(\d+(?:\.\d+)?)$/);
+        if (!match) return 0;
+        return parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]);
+    }
+}
+
+/**
+ * Report format adapter for TAP 13 (Test Anything Protocol). Subtests become suites, tests
+ * outside of any subtest are in a suite named after the report file
+ */
+class TapFormat {
+    static NAME = 'tap';
+
+    /**
+     * See if the report is in this format
+     */
+    static detect(content) {
+        return /^TAP version \d+/m.test(content) || (/^\s*(not )?ok\b/m.test(content) && /^\s*\d+\.\.\d+/m.test(content));
+    }
+
+    /**
+     * Convert the report into the JUnit style root node
+     */
+    static parse(content, xml, reportFile) {
+        const defaultName = path.basename(reportFile, path.extname(reportFile));
+        const lines = content.split(/\r?\n/);
+        const suites = new Map();
+        // The subtests that are open, with the indentation of their test points
+        const subtests = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const indent = lines[i].length - lines[i].trimStart().length;
+            const text = lines[i].trim();
+            if (/^Bail out!/i.test(text)) break;
+
+            const subtest = text.match(/^# Subtest:\s*(.*)$/);
+            if (subtest) {
+                subtests.push({ indent: indent + 4, name: subtest[1].trim() });
+                continue;
+            }
+
+            const point = text.match(/^(not )?ok\b\s*(\d+)?\s*(?:-\s*)?(.*)$/);
+            if (!point) continue;
+
+            // Read the YAML diagnostics block that can follow the test point
+            const diagnostics = [];
+            if (lines[i + 1] && lines[i + 1].trim() === '---') {
+                for (i += 2; i < lines.length && lines[i].trim() !== '...'; i++) {
+                    diagnostics.push(lines[i].slice(indent + 2));
+                }
+            }
+
+            // A test point that closes a subtest is just its summary
+            let closedSubtest = null;
+            while (subtests.length > 0 && subtests[subtests.length - 1].indent > indent) {
+                closedSubtest = subtests.pop();
+            }
+            const directive = point[3].match(/^(.*?)\s*(?<!\\)#\s*(SKIP|TODO)\S*\s*(.*)$/i);
+            const description = (directive ? directive[1] : point[3]).trim();
+            if (closedSubtest && closedSubtest.name === description) continue;
+
+            const className = subtests.map(subtestNode => subtestNode.name).join('.') || defaultName;
+            const testcase = TapFormat.convertTestPoint(!point[1], point[2], description, directive, diagnostics.join('\n'));
+            testcase.classname = className;
+            if (!suites.has(className)) suites.set(className, []);
+            suites.get(className).push(testcase);
+        }
+
+        return { testsuite: [...suites].map(([name, testcases]) => ({ name, testcase: testcases })) };
+    }
+
+    /**
+     * Convert a test point and its diagnostics into a JUnit style testcase
+     */
+    static convertTestPoint(isOk, number, description, directive, diagnostics) {
+        const message = (diagnostics.match(/^message:\s*['"]?(.*?)['"]?$/m) || [])[1];
+        const durationMs = parseFloat((diagnostics.match(/^duration_ms:\s*([\d.]+)/m) || [])[1]);
+        const testcase = { name: description || `test ${number}`, time: isNaN(durationMs) ? 0 : durationMs / 1000 };
+
+        const directiveType = directive ? directive[2].toUpperCase() : '';
+        if (directiveType === 'SKIP') {
+            testcase.skipped = { message: directive[3] || 'Test Skipped' };
+        } else if (directiveType === 'TODO' && !isOk) {
+            testcase.skipped = { message: `TODO ${directive[3]}`.trim(), _: diagnostics };
+        } else if (!isOk) {
+            testcase.failure = { message: message || 'Test Failed', _: diagnostics || message || 'Test Failed' };
+        }
+        return testcase;
+    }
+}
+
+/**
+ * Report format adapter for Cucumber JSON. Each feature becomes a suite and each scenario a
+ * testcase, with its steps in the output and any embedded screenshots as attachments
+ */
+class CucumberFormat {
+    static NAME = 'cucumber';
+    // The Spira execution status ids of the Cucumber step statuses, any others are Not Run (3)
+    static STEP_STATUSES = { passed: 2, failed: 1, undefined: 5, ambiguous: 5 };
+
+    /**
+     * See if the report is in this format
+     */
+    static detect(content) {
+        return content.trimStart().startsWith('[') && /"elements"\s*:/.test(content);
+    }
+
+    /**
+     * Convert the report into the JUnit style root node
+     */
+    static parse(content) {
+        const features = JSON.parse(content);
+        return {
+            testsuite: features.map(feature => ({
+                name: feature.name,
+                testcase: CucumberFormat.convertScenarios(feature)
+            }))
+        };
+    }
+
+    /**
+     * Convert the scenarios of a feature into JUnit style testcases, including any background steps
+     */
+    static convertScenarios(feature) {
+        const elements = feature.elements || [];
+
+        // The examples of a scenario outline all have the same name, so they get numbered
+        const nameCounts = {};
+        for (const element of elements) {
+            if (element.type !== 'background') nameCounts[element.name] = (nameCounts[element.name] || 0) + 1;
+        }
+        const nameIndexes = {};
+
+        const testcases = [];
+        let backgroundSteps = [];
+        for (const element of elements) {
+            if (element.type === 'background') {
+                backgroundSteps = element.steps || [];
+                continue;
+            }
+
+            let name = element.name;
+            if (nameCounts[name] > 1) {
+                nameIndexes[name] = (nameIndexes[name] || 0) + 1;
+                name = `${name} #${nameIndexes[name]}`;
+            }
+            testcases.push(CucumberFormat.convertScenario(feature, element, name, [...backgroundSteps, ...(element.steps || [])]));
+            backgroundSteps = [];
+        }
+        return testcases;
+    }
+
+    /**
+     * Convert a scenario and its steps into a JUnit style testcase
+     */
+    static convertScenario(feature, scenario, name, steps) {
+        // Cucumber durations are in nanoseconds
+        const duration = steps.reduce((total, step) => total + (step.result?.duration || 0), 0) / 1e9;
+        const testcase = { name, classname: feature.name, time: duration };
+
+        // The scenario fails if any step fails
+        const statuses = steps.map(step => step.result?.status);
+        const failedStep = steps.find(step => step.result?.status === 'failed');
+        if (failedStep) {
+            const errorMessage = failedStep.result.error_message || '';
+            testcase.failure = { message: errorMessage.split('\n')[0] || 'Step Failed', _: errorMessage };
+        } else if (statuses.includes('undefined') || statuses.includes('ambiguous')) {
+            testcase.error = { message: 'Undefined or ambiguous steps', _: 'Undefined or ambiguous steps' };
+        } else if (statuses.includes('pending') || (statuses.length > 0 && statuses.every(status => status === 'skipped'))) {
+            testcase.skipped = { message: 'Test Skipped' };
+        }
+
+        // List the steps and their output
+        const output = [];
+        const attachments = [];
+        steps.forEach((step, index) => {
+            output.push(`${(step.keyword || '').trim()} ${step.name || ''} (${step.result?.status || 'unknown'})`);
+            output.push(...asArray(step.output).map(line => `    ${line}`));
+            for (const embedding of asArray(step.embeddings)) {
+                const mimeType = embedding.mime_type || embedding.media?.type || 'application/octet-stream';
+                attachments.push({
+                    filename: embedding.name || `${scenario.id || name}-step${index + 1}.${mimeType.split('/')[1].split(/[+;]/)[0]}`,
+                    binary_data: embedding.data
+                });
+            }
+        });
+        testcase['system-out'] = output.join('\n');
+        if (attachments.length > 0) testcase.embedded_attachments = attachments;
+
+        // The steps also become the Spira test run steps
+        testcase.steps = steps.map(step => ({
+            description: `${(step.keyword || '').trim()} ${step.name || ''}`,
+            expected_result: null,
+            actual_result: step.result?.error_message || asArray(step.output).join('\n') || null,
+            execution_status_id: CucumberFormat.STEP_STATUSES[step.result?.status] || 3
+        }));
+
+        // The tags become properties, @TC:xxx and @TX:xxx tags give the Spira ids
+        const properties = [];
+        for (const tag of [...asArray(feature.tags), ...asArray(scenario.tags)]) {
+            const tagName = (tag.name || '').replace(/^@/, '');
+            const idTag = tagName.match(/^(TC|TX):(\d+)$/i);
+            if (idTag) {
+                const propertyName = idTag[1].toUpperCase() === 'TC'
+                    ? SpiraResultsParser.PROPERTY_TEST_CASE
+                    : SpiraResultsParser.PROPERTY_TEST_SET;
+                properties.push({ name: propertyName, value: idTag[2] });
+            } else {
+                properties.push({ name: 'tag', value: tagName });
+            }
+        }
+        if (properties.length > 0) testcase.properties = { property: properties };
+
+        return testcase;
+    }
+}
+
+// The report formats, in the order they are checked when detecting the format of a report
+const REPORT_FORMATS = [JUnitFormat, NUnit3Format, XunitNetFormat, TrxFormat, TapFormat, CucumberFormat];
+
+/**
+ * Main parser class for reading xUnit XML files and extracting test results
+ */
+class SpiraResultsParser {
+    // Regex pattern for finding attachment paths in system output/error
+    // (the path can have spaces, hyphens and brackets, anything but a line break or ']]')
+    static REGEX_ATTACHMENT_PATH = /\[\[ATTACHMENT\|((?:[^\]\r\n]|\](?!\]))+)\]\]/g;
+    // Regex pattern for finding test steps ([[STEP|status|description|expected result|actual result]]) in system output/error
+    static REGEX_STEP = /\[\[STEP\|([^\]]*)\]\]/g;
+    // The file extensions of the report files to use when given a directory
+    static REPORT_FILE_EXTENSIONS = ['.xml', '.trx', '.tap'];
+    // How much of a .json file in a directory is read to see if it is a Cucumber report rather than another JSON file
+    static JSON_DETECT_LENGTH = 64 * 1024;
+    // The attributes of the root node that are totalled across all of the report files
+    static REPORT_TOTAL_ATTRIBUTES = ['tests', 'failures', 'errors', 'skipped', 'assertions'];
+    // The names of the Spira execution statuses
+    static STATUS_NAMES = { 1: 'Failed', 2: 'Passed', 3: 'Not Run', 4: 'N/A', 5: 'Blocked', 6: 'Caution' };
+    // The other names that can be used for the status of a test step
+    static STEP_STATUS_ALIASES = { pass: 2, ok: 2, fail: 1, error: 5, skipped: 3, skip: 3, pending: 3, warning: 6 };
+    // The name of the testcase properties that each hold a test step (status|description|expected result|actual result)
+    static PROPERTY_STEP = 'spira.step';
+    // The names of the testcase properties that can hold the Spira test case and test set ids
+    static PROPERTY_TEST_CASE = 'spira.testcase';
+    static PROPERTY_TEST_SET = 'spira.testset';
+
+    constructor(configFile = 'spira.cfg', overrides = {}) {
+        // Create an array to store the results we want to send to Spira
+        this.testResults = [];
+        // The names of the test cases that could not be mapped to a Spira test case
+        this.unmappedTests = [];
+        // The properties, output and attachments of the test suites
+        this.suiteResults = [];
+        // The sizes of the unique attachments found so far, for the size limit of the run
+        this.attachmentSizes = new Map();
+        // The names of all of the tests (mapped or not) and test suites in the reports
+        this.testNames = new Set();
+        this.suiteNames = new Set();
+        this.config = new SpiraConfig(configFile, overrides);
+        this.attachmentRegex = SpiraResultsParser.REGEX_ATTACHMENT_PATH;
+    }
+
+    /**
+     * Read an attachment file and convert it to base64 for uploading to Spira
+     */
+    readAttachmentFile(reportFile, filepath) {
+        try {
+            const fullPath = this.resolveAttachmentPath(reportFile, filepath.trim());
+            if (!fullPath) return null;
+            return {
+                filename: path.isAbsolute(filepath.trim()) ? path.basename(fullPath) : filepath.trim(),
+                file_path: fullPath,
+                size: fs.statSync(fullPath).size,
+                // The same file is only uploaded once, however many tests refer to it
+                key: fullPath
+            };
+        } catch (error) {
+            console.log(`Unable to read image file '${filepath}' due to error '${error.message}', so skipping attachment.\n`);
+            return null;
+        }
+    }
+
+    /**
+     * Find an attachment file. Relative paths are looked for in the report's folder, then the configured
+     * attachment folders. Files outside of these folders are not allowed
+     */
+    resolveAttachmentPath(reportFile, filepath) {
+        const roots = [
+            path.dirname(reportFile),
+            ...String(this.config.attachment_dirs).split(',').map(folder => folder.trim()).filter(Boolean)
+        ].map(folder => path.resolve(folder)).filter(folder => fs.existsSync(folder)).map(folder => fs.realpathSync(folder));
+
+        const candidates = path.isAbsolute(filepath) ? [filepath] : roots.map(root => path.join(root, filepath));
+        const fullPath = candidates.find(candidate => fs.existsSync(candidate));
+        if (!fullPath) {
+            throw new Error(`no such file in ${roots.map(root => `'${root}'`).join(', ')}`);
+        }
+
+        // Follow any links before checking where the file really is
+        const realPath = fs.realpathSync(fullPath);
+        if (!roots.some(root => isInsideFolder(realPath, root))) {
+            console.log(`Unable to attach file '${filepath}' since it is outside of the report and attachment folders, so skipping attachment.\n`);
+            return null;
+        }
+        return realPath;
+    }
+
+    /**
+     * Add an attachment to a test's attachments, unless it is over the size limit for a file or for the run
+     */
+    addAttachment(attachment, attachments) {
+        if (!attachment) return;
+        const maxSize = this.config.max_attachment_size;
+        if (maxSize >= 0 && attachment.size > maxSize) {
+            console.log(`Unable to attach '${attachment.filename}' since it is ${attachment.size} bytes, more than the ${maxSize} allowed, so skipping attachment.\n`);
+            return;
+        }
+
+        // Each unique file only counts towards the run's limit once
+        if (!this.attachmentSizes.has(attachment.key)) {
+            const maxTotalSize = this.config.max_total_attachment_size;
+            const totalSize = [...this.attachmentSizes.values()].reduce((total, size) => total + size, 0);
+            if (maxTotalSize >= 0 && totalSize + attachment.size > maxTotalSize) {
+                console.log(`Unable to attach '${attachment.filename}' since the run would have more than the ${maxTotalSize} bytes of attachments allowed, so skipping attachment.\n`);
+                return;
+            }
+            this.attachmentSizes.set(attachment.key, attachment.size);
+        }
+        attachments.push(attachment);
+    }
+
+    /**
+     * See if a file is a report file by its extension. A .json file is only a report file when it is a Cucumber
+     * report, since config, summary and spool files are JSON too
+     */
+    static isReportFile(file) {
+        const extension = path.extname(file).toLowerCase();
+        if (SpiraResultsParser.REPORT_FILE_EXTENSIONS.includes(extension)) return true;
+        if (extension !== '.json') return false;
+
+        let fd = null;
+        try {
+            fd = fs.openSync(file, 'r');
+            const buffer = Buffer.alloc(SpiraResultsParser.JSON_DETECT_LENGTH);
+            const length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+            return CucumberFormat.detect(buffer.toString('utf8', 0, length));
+        } catch (error) {
+            return false;
+        } finally {
+            if (fd !== null) fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Expand a list of report files, glob patterns and directories into the matching report files
+     */
+    findReportFiles(patterns) {
+        const reportFiles = [];
+        for (const pattern of patterns) {
+            const normalizedPattern = pattern.replace(/\\/g, '/');
+
+            if (/[*?]/.test(normalizedPattern)) {
+                // Only walk the folders below the part of the pattern without any wildcards
+                const segments = normalizedPattern.split('/');
+                const firstWildcard = segments.findIndex(segment => /[*?]/.test(segment));
+                const baseFolder = segments.slice(0, firstWildcard).join('/') || '.';
+                const regex = globToRegExp(path.posix.normalize(normalizedPattern));
+
+                const matches = fs.existsSync(baseFolder) && fs.statSync(baseFolder).isDirectory()
+                    ? listFiles(baseFolder).filter(file => regex.test(path.posix.normalize(file.replace(/\\/g, '/')))).sort()
+                    : [];
+                if (matches.length === 0) {
+                    console.log(`Unable to find any report files matching '${pattern}'.`);
+                }
+                reportFiles.push(...matches);
+            } else if (fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+                // Use all of the report files in the directory and its sub-directories
+                const matches = listFiles(pattern)
+                    .filter(file => SpiraResultsParser.isReportFile(file))
+                    .sort();
+                if (matches.length === 0) {
+                    console.log(`Unable to find any report files in directory '${pattern}'.`);
+                }
+                reportFiles.push(...matches);
+            } else {
+                reportFiles.push(pattern);
+            }
+        }
+
+        // The same file may be matched by more than one pattern
+        return [...new Set(reportFiles.map(file => path.normalize(file)))];
+    }
+
+    /**
+     * Parse one or more xUnit XML files (or globs/directories of them) and send all test results to Spira.
+     * Returns the summary of the run, or null if there were no report files
+     */
+    async parseResults(reportFiles) {
+        if (this.config.streaming) {
+            return this.streamResults(reportFiles);
+        }
+
+        const testsuitesRoot = await this.readResults(reportFiles);
+        if (!testsuitesRoot) {
+            console.log('Unable to report test results back to Spira since no report files were found');
+            return null;
+        }
+
+        // Send the results to Spira
+        const spiraResults = new SpiraPostResults(this.config);
+        return spiraResults.sendResults(this.testResults, testsuitesRoot, this.unmappedTests, this.suiteResults);
+    }
+
+    /**
+     * Send test results that were built in memory (e.g. by the Jest and Mocha reporters) to Spira. They are
+     * JUnit style test suites, like the converted report formats, and relative attachment paths are found
+     * from the folder of the given report file. Returns the summary of the run
+     */
+    async sendTestSuites(testsuites, reportFile) {
+        this.processTestSuites(testsuites, reportFile);
+
+        // Only send one result for each test, however many times it was run
+        this.mergeReruns();
+
+        const spiraResults = new SpiraPostResults(this.config);
+        return spiraResults.sendResults(this.testResults, testsuites, this.unmappedTests, this.suiteResults);
+    }
+
+    /**
+     * Parse one or more report files (or globs/directories of them) without sending anything to Spira.
+     * Returns the run level totals, or null if there were no report files
+     */
+    async readResults(reportFiles) {
+        const patterns = Array.isArray(reportFiles) ? reportFiles : [reportFiles];
+        const files = this.findReportFiles(patterns);
+        if (files.length === 0) return null;
+
+        // The run level totals across all of the report files
+        const testsuitesRoot = {};
+        for (const reportFile of files) {
+            const root = await this.parseReportFile(reportFile);
+            this.addReportTotals(testsuitesRoot, root);
+        }
+
+        // Only send one result for each test, however many times it was run
+        this.mergeReruns();
+        return testsuitesRoot;
+    }
+
+    /**
+     * Parse one or more report files (or globs/directories of them) one test case at a time, sending each
+     * result to Spira as soon as it has been read so that large reports don't have to fit in memory. The
+     * JUnit reports are read twice: first for the build status and suite details, then to send the results.
+     * Returns the summary of the run, or null if there were no report files
+     */
+    async streamResults(reportFiles) {
+        const patterns = Array.isArray(reportFiles) ? reportFiles : [reportFiles];
+        const files = this.findReportFiles(patterns);
+        if (files.length === 0) {
+            console.log('Unable to report test results back to Spira since no report files were found');
+            return null;
+        }
+
+        // Only JUnit XML reports are streamed, the other formats are read the usual way
+        const testsuitesRoot = {};
+        const statusIds = [];
+        const streamedSuites = new Map();
+        for (const reportFile of files) {
+            if (this.isJUnitReport(reportFile)) {
+                const { root, suiteResults, rerunCounts } = await this.scanReportFile(reportFile, statusIds);
+                streamedSuites.set(reportFile, { suiteResults, rerunCounts });
+                this.addReportTotals(testsuitesRoot, root);
+            } else {
+                this.addReportTotals(testsuitesRoot, await this.parseReportFile(reportFile));
+            }
+        }
+        this.mergeReruns();
+        statusIds.push(...this.testResults.map(testResult => testResult.execution_status_id));
+
+        // The build is created first, then the results follow as they are read
+        const spiraResults = new SpiraPostResults(this.config);
+        if (await spiraResults.startSending(testsuitesRoot, statusIds, this.suiteResults)) {
+            const readResults = this.testResults;
+            this.testResults = [];
+            for (const testResult of readResults) {
+                await spiraResults.addResult(testResult);
+            }
+
+            for (const [reportFile, { suiteResults, rerunCounts }] of streamedSuites) {
+                // The tests that are in the report more than once are held back until their last run has been read
+                const reruns = new Map();
+                await this.streamReportFile(reportFile, async (testcase, suite, startTime) => {
+                    this.processTestCase(testcase, suite.name, reportFile, startTime, suiteResults[suite.index] || null);
+                    for (const testResult of this.testResults.splice(0)) {
+                        const group = [...(reruns.get(testResult.name) || []), testResult];
+                        if (group.length < (rerunCounts.get(testResult.name) || 1)) {
+                            reruns.set(testResult.name, group);
+                            continue;
+                        }
+                        reruns.delete(testResult.name);
+                        await spiraResults.addResult(this.mergeAttempts(group));
+                    }
+                });
+                for (const group of reruns.values()) {
+                    await spiraResults.addResult(this.mergeAttempts(group));
+                }
+            }
+        }
+        return spiraResults.finishSending(this.unmappedTests);
+    }
+
+    /**
+     * See if a report file is a JUnit XML report (that can be streamed), from the first element in it
+     */
+    isJUnitReport(reportFile) {
+        const format = (this.config.format || 'auto').toLowerCase();
+        if (format !== 'auto') return format === JUnitFormat.NAME;
+
+        const buffer = Buffer.alloc(4096);
+        const fd = fs.openSync(reportFile, 'r');
+        try {
+            const content = buffer.toString('utf-8', 0, fs.readSync(fd, buffer, 0, buffer.length, 0));
+            const firstElement = content.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g, '').match(/<([\w:.-]+)/);
+            return !!firstElement && ['testsuites', 'testsuite'].includes(firstElement[1]);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Read a JUnit report without keeping its test cases, adding the final execution status of each test that
+     * will be sent to the status ids. Returns the root node's attributes, the details of each test suite and
+     * how many times each test that is in the report more than once was run, so that its reruns can be merged
+     */
+    async scanReportFile(reportFile, statusIds) {
+        const suites = [];
+        // Only the statuses of each test's attempts are kept, for the status of tests that were rerun
+        const attemptStatuses = new Map();
+        const runCounts = new Map();
+        const root = await this.streamReportFile(reportFile, (testcase, suite) => {
+            const { fullName, testCaseId } = this.getTestCaseIds(testcase, suite.name);
+            if (!testCaseId && !this.config.create_test_cases) return;
+
+            const status = this.getTestCaseStatus(testcase);
+            const attempts = this.getAttempts(testcase, {
+                execution_status_id: status.executionStatusId,
+                message: status.message,
+                details: status.details
+            });
+            attemptStatuses.set(fullName, [
+                ...(attemptStatuses.get(fullName) || []),
+                ...attempts.map(attempt => ({ execution_status_id: attempt.execution_status_id }))
+            ]);
+            runCounts.set(fullName, (runCounts.get(fullName) || 0) + 1);
+        }, (node, suite) => {
+            suites[suite.index] = { node, suite };
+        });
+        for (const attempts of attemptStatuses.values()) {
+            statusIds.push(this.getMergedStatusId(attempts));
+        }
+        const rerunCounts = new Map([...runCounts].filter(([, count]) => count > 1));
+
+        // The nested suites inherit the properties of the suites they are in, which always come first
+        const suiteResults = [];
+        suites.forEach(({ node, suite }, index) => {
+            const parentProperties = suite.parentIndex >= 0 ? suiteResults[suite.parentIndex].properties : [];
+            suiteResults[index] = this.processSuiteDetails(node, suite.name, reportFile, parentProperties);
+        });
+        return { root, suiteResults, rerunCounts };
+    }
+
+    /**
+     * Read a JUnit report one element at a time with a SAX parser. Each test case is given to onTestCase as
+     * soon as it has been read (and handled before reading on), with its suite ({ name, index, parentIndex })
+     * and start time. Each test suite is given to onSuite when it ends, without its test cases and nested
+     * suites. Returns the attributes of the root node
+     */
+    async streamReportFile(reportFile, onTestCase, onSuite = null) {
+        const parser = sax.parser(true);
+        // The elements being read (outermost first), the suites they are in, and the elements read but not handled
+        const elements = [];
+        const suites = [];
+        const events = [];
+        let root = null;
+        let rootIsSuites = false;
+        let rootSuite = null;
+        let suiteCount = 0;
+
+        parser.onopentag = tag => {
+            const parent = elements[elements.length - 1];
+            if (parent) parent.hasChildren = true;
+            const element = { name: tag.name, node: { ...tag.attributes }, text: '', hasChildren: false };
+            element.hasAttributes = Object.keys(tag.attributes).length > 0;
+            element.isSuite = tag.name === 'testsuite' || (!parent && tag.name === 'testsuites');
+            if (!parent) {
+                root = { ...tag.attributes };
+                rootIsSuites = tag.name === 'testsuites';
+            }
+            if (tag.name === 'testsuite') events.push({ type: 'suite', element });
+            elements.push(element);
+        };
+        parser.ontext = parser.oncdata = text => {
+            // The whitespace between test cases is not kept
+            const element = elements[elements.length - 1];
+            if (element && !element.isSuite) element.text += text;
+        };
+        parser.onclosetag = () => {
+            const element = elements.pop();
+            const parent = elements[elements.length - 1];
+
+            // Convert the element into the same node as xml2js (with explicitArray off and mergeAttrs on)
+            let value = element.node;
+            if (!element.hasAttributes && !element.hasChildren && !element.isSuite) {
+                value = element.text.trim() ? element.text : '';
+            } else if (element.text.trim()) {
+                value._ = element.text;
+            }
+
+            if (element.name === 'testcase' || element.isSuite) {
+                events.push({ type: element.name === 'testcase' ? 'testcase' : 'suiteEnd', element, node: value });
+            } else if (parent) {
+                const existing = parent.node[element.name];
+                parent.node[element.name] = existing === undefined ? value : [...asArray(existing), value];
+            }
+        };
+
+        // Keep track of the suite names and start times, in the same way as processTestSuites
+        const handleEvent = async event => {
+            // The suites inherit the timestamp of the testsuites root node, if there is one
+            if (!rootSuite) {
+                const start = rootIsSuites ? this.parseTimestamp(root.timestamp) : null;
+                rootSuite = { name: '', index: -1, parentIndex: -1, start, cursor: start };
+            }
+            const current = suites[suites.length - 1] || rootSuite;
+
+            if (event.type === 'suite') {
+                const attributes = event.element.node;
+                const start = this.parseTimestamp(attributes.timestamp) ?? current.cursor;
+                const suite = { name: attributes.name || current.name, index: suiteCount++, parentIndex: current.index, start, cursor: start };
+                suite.time = attributes.time;
+                event.element.suite = suite;
+                suites.push(suite);
+            } else if (event.type === 'testcase') {
+                const testStart = this.parseTimestamp(event.node.timestamp) ?? current.cursor;
+                await onTestCase(event.node, current, testStart);
+                if (testStart !== null) {
+                    current.cursor = testStart + parseFloat(event.node.time || 0) * 1000;
+                }
+            } else if (event.element.suite) {
+                // Prefer the suite's own time over adding up its tests
+                const suite = suites.pop();
+                const parentSuite = suites[suites.length - 1] || rootSuite;
+                if (suite.start !== null) {
+                    parentSuite.cursor = suite.time !== undefined ? suite.start + parseFloat(suite.time) * 1000 : suite.cursor;
+                }
+                if (onSuite) onSuite(event.node, suite);
+            }
+        };
+
+        let firstChunk = true;
+        for await (const chunk of fs.createReadStream(reportFile, { encoding: 'utf-8' })) {
+            parser.write(firstChunk ? chunk.replace(/^\uFEFF/, '') : chunk);
+            firstChunk = false;
+            while (events.length > 0) {
+                await handleEvent(events.shift());
+            }
+        }
+        parser.close();
+        while (events.length > 0) {
+            await handleEvent(events.shift());
+        }
+        return root || {};
+    }
+
+    /**
+     * Parse a single xUnit XML file and extract all its test results, returns the root node
+     */
+    async parseReportFile(reportFile) {
+        // Open up the report file
+        const content = fs.readFileSync(reportFile, 'utf-8').replace(/^\uFEFF/, '');
+
+        // Parse any XML into a JavaScript object
+        let xml = null;
+        if (content.trimStart().startsWith('<')) {
+            const parser = new xml2js.Parser({ explicitArray: false, mergeAttrs: true });
+            xml = await parser.parseStringPromise(content);
+        }
+
+        // Use the configured format, otherwise detect it
+        const format = this.config.format && this.config.format !== 'auto'
+            ? REPORT_FORMATS.find(reportFormat => reportFormat.NAME === this.config.format.toLowerCase())
+            : REPORT_FORMATS.find(reportFormat => reportFormat.detect(content, xml));
+        if (!format) {
+            console.log(`Unable to find the format of report file '${reportFile}', so skipping this report.`);
+            return {};
+        }
+
+        // Convert the report into JUnit style test suites, then process all test suites and test cases
+        const testsuites = format.parse(content, xml, reportFile);
+        this.processTestSuites(testsuites, reportFile);
+        return testsuites || {};
+    }
+
+    /**
+     * Add the counts from the root node of a report file to the overall totals
+     */
+    addReportTotals(totals, root) {
+        // Use the name of the first report that has one
+        if (root.name && !totals.name) totals.name = root.name;
+
+        for (const attribute of SpiraResultsParser.REPORT_TOTAL_ATTRIBUTES) {
+            if (root[attribute] !== undefined) {
+                totals[attribute] = (totals[attribute] || 0) + (parseInt(root[attribute]) || 0);
+            }
+        }
+    }
+
+    /**
+     * Recursively process test suites (which can be nested). The start time (in ms) is used for the
+     * suites without a timestamp of their own, returns the time that the last suite finished (or null).
+     * Nested suites inherit the properties of the suites they are in
+     */
+    processTestSuites(node, reportFile, suiteName = '', startTime = null, parentProperties = []) {
+        if (!node) return startTime;
+
+        // Handle both single and multiple test suites
+        const suites = Array.isArray(node.testsuite) ? node.testsuite : (node.testsuite ? [node.testsuite] : [node]);
+
+        // The suites inherit the timestamp of the testsuites root node, if there is one
+        let cursor = startTime !== null || suites[0] === node ? startTime : this.parseTimestamp(node.timestamp);
+
+        // Iterate over the test suites
+        for (const suite of suites) {
+            // Get the test suite name
+            const currentSuiteName = suite.name || suiteName;
+            const suiteResult = this.processSuiteDetails(suite, currentSuiteName, reportFile, parentProperties);
+
+            // Without a timestamp, the suite starts when the one before it finished
+            const suiteStart = this.parseTimestamp(suite.timestamp) ?? cursor;
+            let suiteCursor = suiteStart;
+
+            // Recursively process nested test suites
+            if (suite.testsuite) {
+                suiteCursor = this.processTestSuites(suite, reportFile, currentSuiteName, suiteCursor, suiteResult.properties);
+            }
+
+            // Process test cases in this suite
+            if (suite.testcase) {
+                const testcases = Array.isArray(suite.testcase) ? suite.testcase : [suite.testcase];
+                
+                // Iterate over the test cases in the test suite, each one starting when the one before it finished
+                for (const testcase of testcases) {
+                    const testStart = this.parseTimestamp(testcase.timestamp) ?? suiteCursor;
+                    this.processTestCase(testcase, currentSuiteName, reportFile, testStart, suiteResult);
+                    if (testStart !== null) {
+                        suiteCursor = testStart + parseFloat(testcase.time || 0) * 1000;
+                    }
+                }
+            }
+
+            // Prefer the suite's own time over adding up its tests
+            if (suiteStart !== null) {
+                cursor = suite.time !== undefined ? suiteStart + parseFloat(suite.time) * 1000 : suiteCursor;
+            }
+        }
+        return cursor;
+    }
+
+    /**
+     * Get the properties (including the inherited ones), output and attachments of a test suite,
+     * and keep them for the build when it has any of its own
+     */
+    processSuiteDetails(suite, suiteName, reportFile, parentProperties) {
+        const ownProperties = asArray(suite.properties?.property).map(prop => ({
+            name: prop.name,
+            value: prop.value || textOf(prop)
+        }));
+        const suiteResult = {
+            name: suiteName,
+            // A suite's own properties replace the inherited ones with the same name
+            properties: [
+                ...parentProperties.filter(parent => !ownProperties.some(prop => prop.name === parent.name)),
+                ...ownProperties
+            ],
+            own_properties: ownProperties,
+            system_out: textOf(suite['system-out']),
+            system_err: textOf(suite['system-err']),
+            attachments: [],
+            links: []
+        };
+        if (this.config.suite_output === 'none') return suiteResult;
+
+        // See if the suite has any attachments
+        if (suiteResult.system_out) this.extractAttachments(suiteResult.system_out, reportFile, suiteResult.attachments);
+        if (suiteResult.system_err) this.extractAttachments(suiteResult.system_err, reportFile, suiteResult.attachments);
+        for (const prop of ownProperties) {
+            this.addPropertyAttachment(prop.name, prop.value, reportFile, suiteResult.attachments, suiteResult.links);
+        }
+
+        if (ownProperties.length > 0 || suiteResult.system_out || suiteResult.system_err) {
+            this.suiteResults.push(suiteResult);
+        }
+        return suiteResult;
+    }
+
+    /**
+     * Convert a timestamp from the report into milliseconds, or null if there isn't a valid one. Timestamps
+     * without a time zone use the configured one ('local', 'UTC' or an offset such as '+02:00')
+     */
+    parseTimestamp(timestamp) {
+        if (!timestamp || typeof timestamp !== 'string') return null;
+
+        let value = timestamp.trim().replace(' ', 'T');
+        const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+        if (!hasZone && /T/.test(value) && this.config.timezone.toLowerCase() !== 'local') {
+            value += this.config.timezone.toUpperCase() === 'UTC' ? 'Z' : this.config.timezone;
+        }
+
+        const time = new Date(value).getTime();
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * Process a single test case and extract all relevant information
+     */
+    processTestCase(testcase, suiteName, reportFile, startTime = null, suiteResult = null) {
+        const { fullName, suiteTagName, properties, testCaseId, testSetId } = this.getTestCaseIds(testcase, suiteName);
+        const elapsedTime = parseFloat(testcase.time || 0);
+        this.testNames.add(fullName);
+        this.suiteNames.add(suiteTagName);
+
+        if (!testCaseId) {
+            // See if we want to create a new Spira test case for it instead
+            if (!this.config.create_test_cases) {
+                console.log(`Unable to find Spira id tag for test case '${fullName}', so skipping this test case.`);
+                this.unmappedTests.push(fullName);
+                return;
+            }
+            console.log(`Unable to find Spira id tag for test case '${fullName}', so a new Spira test case will be created.`);
+        }
+
+        // Convert the test case status
+        const { executionStatusId, message, failureType, ...status } = this.getTestCaseStatus(testcase);
+        let { details, assertCount } = status;
+
+        // See if we have assertions attribute
+        if (testcase.assertions) {
+            assertCount = parseInt(testcase.assertions);
+        }
+
+        // See if we have any stdout or stderr to capture
+        const attachments = [];
+        const links = [];
+        // Some report formats give us the test steps, otherwise they can be in the output or properties
+        const steps = [...(testcase.steps || [])];
+        const outputSteps = [];
+
+        // See if we have any stdout to capture
+        if (testcase['system-out']) {
+            const systemOut = testcase['system-out'];
+            details += `System Out: ${systemOut}\n`;
+            // See if we have any attachments or steps
+            this.extractAttachments(systemOut, reportFile, attachments);
+            this.extractSteps(systemOut, outputSteps);
+        }
+
+        // See if we have any stderr to capture
+        if (testcase['system-err']) {
+            const systemErr = testcase['system-err'];
+            details += `System Err: ${systemErr}\n`;
+            // See if we have any attachments or steps
+            this.extractAttachments(systemErr, reportFile, attachments);
+            this.extractSteps(systemErr, outputSteps);
+        }
+
+        // Convert the mapped properties, attributes and environment variables into test run custom properties
+        const { customProperties, mappedProperties } = this.getCustomProperties(testcase, properties, suiteResult);
+
+        // See if we have any properties, also see if any are attachments or links
+        if (properties.length > 0) {
+            for (const prop of properties) {
+                const propName = prop.name;
+                const propValue = prop.value || prop._ || '';
+                // The properties sent as custom properties are left out of the console output
+                if (!mappedProperties.includes(prop)) {
+                    details += `- ${propName}=${propValue}\n`;
+                }
+
+                // See if an attachment
+                this.addPropertyAttachment(propName, propValue, reportFile, attachments, links);
+
+                // See if a test step
+                if (propName.toLowerCase() === SpiraResultsParser.PROPERTY_STEP) {
+                    steps.push(this.parseStep(propValue));
+                }
+            }
+        }
+
+        // The steps in the properties come before the ones in the output
+        steps.push(...outputSteps);
+
+        // Some report formats embed their attachments rather than referencing files
+        if (testcase.embedded_attachments) {
+            for (const embedded of testcase.embedded_attachments) {
+                this.addAttachment({
+                    ...embedded,
+                    size: Buffer.byteLength(embedded.binary_data, 'base64'),
+                    key: crypto.createHash('sha1').update(embedded.binary_data).digest('hex')
+                }, attachments);
+            }
+        }
+
+        // Add the suite's details, unless they go to the build instead. Its attachments always go to the test runs
+        if (suiteResult && this.config.suite_output !== 'none') {
+            if (!this.isSuiteOutputForBuild()) {
+                if (suiteResult.properties.length > 0) {
+                    details += `Suite Properties (${suiteResult.name}):\n`;
+                    details += suiteResult.properties.map(prop => `- ${prop.name}=${prop.value}\n`).join('');
+                }
+                if (suiteResult.system_out) details += `Suite System Out: ${suiteResult.system_out}\n`;
+                if (suiteResult.system_err) details += `Suite System Err: ${suiteResult.system_err}\n`;
+            }
+            attachments.push(...suiteResult.attachments);
+            links.push(...suiteResult.links);
+        }
+
+        const attempts = this.getAttempts(testcase, { execution_status_id: executionStatusId, message, details });
+
+        // Create new test result object and append to results array
+        this.testResults.push({
+            test_case_id: testCaseId || null,
+            name: fullName,
+            execution_status_id: executionStatusId,
+            stack_trace: details,
+            message: message,
+            duration_seconds: elapsedTime,
+            start_time: startTime !== null ? new Date(startTime) : null,
+            assert_count: assertCount,
+            test_set_id: testSetId,
+            attachments: attachments,
+            links: links,
+            steps: steps,
+            custom_properties: customProperties,
+            failure_type: failureType,
+            attempts: attempts,
+            report_file: reportFile
+        });
+    }
+
+    /**
+     * Get the name of a test case and its Spira test case and test set ids (null and -1 if it doesn't have them),
+     * any [TC:xxx] or [TX:xxx] tags are not part of the names
+     */
+    getTestCaseIds(testcase, suiteName) {
+        const testCaseTag = this.extractIdTag(testcase.name, 'TC');
+        const testSetTag = this.extractIdTag(testCaseTag.name, 'TX');
+        const suiteTag = this.extractIdTag(suiteName, 'TX');
+        const fullName = `${testcase.classname}.${testSetTag.name}`;
+
+        // See if the report itself gives us the Spira ids, the testcase properties win over the name tags
+        const properties = asArray(testcase.properties?.property);
+        const reportTestCaseId = this.getIdProperty(properties, SpiraResultsParser.PROPERTY_TEST_CASE) || testCaseTag.id;
+        const reportTestSetId = this.getIdProperty(properties, SpiraResultsParser.PROPERTY_TEST_SET)
+            || testSetTag.id || suiteTag.id;
+
+        // Find the matching Spira test case id for this classname.name combination
+        const configTestCaseId = this.config.findTestCaseId(fullName);
+        const testCaseId = this.config.id_source === 'config'
+            ? configTestCaseId || reportTestCaseId
+            : reportTestCaseId || configTestCaseId;
+
+        // See if we have a matching test set ID, otherwise use the default one
+        const configTestSetId = this.config.findTestSetId(suiteTag.name);
+        const testSetId = (this.config.id_source === 'config'
+            ? configTestSetId || reportTestSetId
+            : reportTestSetId || configTestSetId) || -1;
+
+        return { fullName, suiteTagName: suiteTag.name, properties, testCaseId: testCaseId || null, testSetId };
+    }
+
+    /**
+     * Get the execution status of a test case from its failure, warning, error or skipped node
+     */
+    getTestCaseStatus(testcase) {
+        let executionStatusId = 2; // Passed
+        let message = 'Success';
+        let details = 'Nothing Reported\n';
+        let assertCount = 0;
+
+        // See if we have a failure node (an empty node such as <skipped/> is parsed as an empty string)
+        if (testcase.failure !== undefined) {
+            message = testcase.failure.message || 'Test Failed';
+            details = this.getResultDetails(testcase.failure);
+            executionStatusId = 1; // Fail
+            assertCount = 1;
+        } 
+        // See if we have a warning node
+        else if (testcase.warning !== undefined) {
+            message = testcase.warning.message || 'Test Warning';
+            details = this.getResultDetails(testcase.warning);
+            executionStatusId = 6; // Warning
+            assertCount = 1;
+        } 
+        // See if we have an error node
+        else if (testcase.error !== undefined) {
+            message = testcase.error.message || 'Test Error';
+            details = this.getResultDetails(testcase.error);
+            executionStatusId = 5; // Blocked
+            assertCount = 1;
+        } 
+        // See if we have a skipped node
+        else if (testcase.skipped !== undefined) {
+            message = testcase.skipped.message || 'Test Skipped';
+            details = this.getResultDetails(testcase.skipped);
+            executionStatusId = 4; // N/A
+            assertCount = 1;
+        }
+
+        // Keep the output and properties that follow on their own lines
+        if (details && !details.endsWith('\n')) details += '\n';
+
+        // The type of failure (e.g. the exception class) is part of the signature of any incident
+        const resultNode = testcase.failure ?? testcase.warning ?? testcase.error ?? testcase.skipped;
+        const failureType = typeof resultNode === 'object' ? resultNode.type || '' : '';
+
+        return { executionStatusId, message, details, assertCount, failureType };
+    }
+
+    /**
+     * Get all of the attempts of a test case, including the given result of the main one. Maven Surefire
+     * records the failed attempts of flaky tests before the final pass, and the reruns of failed tests after
+     * the first failure
+     */
+    getAttempts(testcase, result) {
+        return [
+            ...this.getRerunAttempts(testcase, 'flakyFailure', 1),
+            ...this.getRerunAttempts(testcase, 'flakyError', 5),
+            result,
+            ...this.getRerunAttempts(testcase, 'rerunFailure', 1),
+            ...this.getRerunAttempts(testcase, 'rerunError', 5)
+        ];
+    }
+
+    /**
+     * Get the attempts recorded in the Surefire rerun elements (e.g. <flakyFailure>) of a test case
+     */
+    getRerunAttempts(testcase, elementName, executionStatusId) {
+        return asArray(testcase[elementName]).map(node => {
+            const details = [
+                typeof node === 'string' ? node : textOf(node.stackTrace) || this.getResultDetails(node),
+                node['system-out'] ? `System Out: ${textOf(node['system-out'])}` : '',
+                node['system-err'] ? `System Err: ${textOf(node['system-err'])}` : ''
+            ].filter(Boolean).join('\n');
+            return {
+                execution_status_id: executionStatusId,
+                message: node.message || (executionStatusId === 1 ? 'Test Failed' : 'Test Error'),
+                details: `${details}\n`
+            };
+        });
+    }
+
+    /**
+     * Combine the results of tests that were run more than once (as duplicate test cases or
+     * Surefire reruns) into a single result per test, using the configured rerun strategy.
+     * Only the results from the same report file are reruns, other files can have tests with the same name
+     */
+    mergeReruns() {
+        // Group the results by report file and test, keeping the order they were run in
+        const groups = new Map();
+        for (const testResult of this.testResults) {
+            const key = `${testResult.report_file}\n${testResult.name}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(testResult);
+        }
+
+        this.testResults = [...groups.values()].map(group => this.mergeAttempts(group));
+    }
+
+    /**
+     * Combine the results of the same test into one, with the status decided from all of their attempts
+     */
+    mergeAttempts(group) {
+        const attempts = group.flatMap(testResult => testResult.attempts || [{
+            execution_status_id: testResult.execution_status_id,
+            message: testResult.message,
+            details: testResult.stack_trace
+        }]);
+        if (attempts.length === 1) return group[0];
+
+        const lastAttempt = attempts[attempts.length - 1];
+        const failedCount = attempts.filter(attempt => [1, 5].includes(attempt.execution_status_id)).length;
+
+        // Keep the details of every attempt
+        const stackTrace = attempts.map((attempt, index) =>
+            `--- Attempt ${index + 1} of ${attempts.length}: ${SpiraResultsParser.STATUS_NAMES[attempt.execution_status_id]} ---\n${attempt.details}`
+        ).join('\n');
+
+        return {
+            ...group[0],
+            execution_status_id: this.getMergedStatusId(attempts),
+            message: `${lastAttempt.message} (${failedCount} of ${attempts.length} attempts failed)`,
+            stack_trace: stackTrace,
+            duration_seconds: group.reduce((total, testResult) => total + testResult.duration_seconds, 0),
+            assert_count: group[group.length - 1].assert_count,
+            // The attempts share any suite attachments and links, which are only needed once
+            attachments: uniqueBy(group.flatMap(testResult => testResult.attachments), attachment => attachment.key || attachment),
+            links: uniqueBy(group.flatMap(testResult => testResult.links), link => link.url),
+            steps: group[group.length - 1].steps || [],
+            attempts
+        };
+    }
+
+    /**
+     * Decide the overall status of a test from its attempts, using the configured rerun strategy
+     */
+    getMergedStatusId(attempts) {
+        const passed = attempts.some(attempt => attempt.execution_status_id === 2);
+        const failedCount = attempts.filter(attempt => [1, 5].includes(attempt.execution_status_id)).length;
+        if (passed && this.config.rerun_strategy === 'any-pass') {
+            return 2; // Passed
+        } else if (passed && failedCount > 0 && this.config.rerun_strategy === 'flaky') {
+            return 6; // Caution
+        }
+        return attempts[attempts.length - 1].execution_status_id;
+    }
+
+    /**
+     * Get the text of a failure, warning, error or skipped node, which only has text when it also has no attributes
+     */
+    getResultDetails(node) {
+        if (typeof node === 'string') return node;
+        return node._ || '';
+    }
+
+    /**
+     * Find a Spira id tag such as [TC:123] in a test or suite name. Returns the name without the tag and the id
+     */
+    extractIdTag(name, prefix) {
+        const match = (name || '').match(new RegExp(`\\s*\\[${prefix}:(\\d+)\\]`, 'i'));
+        if (!match) return { name: name || '', id: null };
+        return {
+            name: (name.slice(0, match.index) + name.slice(match.index + match[0].length)).trim(),
+            id: parseInt(match[1])
+        };
+    }
+
+    /**
+     * Get the Spira id from the testcase property with the given name, if there is one
+     */
+    getIdProperty(properties, propertyName) {
+        const property = properties.find(prop => (prop.name || '').toLowerCase() === propertyName);
+        if (!property) return null;
+        return parseInt(String(property.value || property._ || '').replace(/^[A-Z]{2}:/i, '')) || null;
+    }
+
+    /**
+     * Get the Spira test run custom properties mapped from the testcase's properties (or its suite's) and attributes
+     * and the environment variables, along with the testcase properties that were used for them
+     */
+    getCustomProperties(testcase, properties, suiteResult = null) {
+        const customProperties = [];
+        const mappedProperties = [];
+        for (const mapping of this.config.custom_properties) {
+            let value;
+            let property = null;
+            if (mapping.source === 'property') {
+                const findProperty = props => props.find(prop => (prop.name || '').toLowerCase() === mapping.name.toLowerCase());
+                property = findProperty(properties);
+                if (property) {
+                    value = property.value || textOf(property);
+                } else {
+                    value = findProperty(suiteResult?.properties || [])?.value;
+                }
+            } else if (mapping.source === 'attribute') {
+                value = testcase[mapping.name];
+            } else {
+                value = process.env[mapping.name];
+            }
+            if (value === undefined || value === '') continue;
+
+            const customProperty = this.convertCustomProperty(mapping, String(value).trim());
+            if (customProperty) {
+                customProperties.push(customProperty);
+                if (property) mappedProperties.push(property);
+            } else {
+                console.log(`Unable to convert '${value}' for the ${mapping.type} custom property ${mapping.propertyNumber}, so skipping it.`);
+            }
+        }
+        return { customProperties, mappedProperties };
+    }
+
+    /**
+     * Convert a value into a Spira custom property of the mapped type, or null if it can't be converted
+     */
+    convertCustomProperty(mapping, value) {
+        const customProperty = { PropertyNumber: mapping.propertyNumber };
+        // List values are given by their Spira id, or by a name that is mapped to one
+        const toListValueId = listValue => mapping.listValues[listValue.toLowerCase()] || parseInt(listValue) || null;
+
+        switch (mapping.type) {
+            case 'integer':
+                // Allow values such as '2 - High'
+                customProperty.IntegerValue = /^-?\d+/.test(value) ? parseInt(value) : null;
+                return customProperty.IntegerValue === null ? null : customProperty;
+            case 'decimal':
+                customProperty.DecimalValue = isNaN(Number(value)) ? null : Number(value);
+                return customProperty.DecimalValue === null ? null : customProperty;
+            case 'boolean':
+                customProperty.BooleanValue = ['true', 'yes', '1'].includes(value.toLowerCase());
+                return customProperty;
+            case 'date': {
+                const time = this.parseTimestamp(value);
+                if (time === null) return null;
+                customProperty.DateTimeValue = new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+                return customProperty;
+            }
+            case 'list':
+                customProperty.IntegerValue = toListValueId(value);
+                return customProperty.IntegerValue === null ? null : customProperty;
+            case 'multilist': {
+                const ids = value.split(/[,;]/).map(listValue => toListValueId(listValue.trim()));
+                if (ids.includes(null)) return null;
+                customProperty.IntegerListValue = ids;
+                return customProperty;
+            }
+            default:
+                customProperty.StringValue = value;
+                return customProperty;
+        }
+    }
+
+    /**
+     * See if the suite details go in the build description rather than the test runs, which needs a build
+     */
+    isSuiteOutputForBuild() {
+        return this.config.suite_output === 'build' && this.config.create_build;
+    }
+
+    /**
+     * Add the file or URL attachment from an 'attachment' property (if it is one)
+     */
+    addPropertyAttachment(propName, propValue, reportFile, attachments, links) {
+        if (!propName.startsWith('attachment')) return;
+        if (propValue.startsWith('http')) {
+            links.push({ url: propValue });
+        } else {
+            // Open the image file
+            this.addAttachment(this.readAttachmentFile(reportFile, propValue), attachments);
+        }
+    }
+
+    /**
+     * Extract the test steps from text using regex pattern
+     */
+    extractSteps(text, steps) {
+        for (const match of text.matchAll(SpiraResultsParser.REGEX_STEP)) {
+            steps.push(this.parseStep(match[1]));
+        }
+    }
+
+    /**
+     * Convert a 'status|description|expected result|actual result' step into a test step, only the description is needed
+     */
+    parseStep(value) {
+        const fields = value.split('|').map(field => field.trim());
+        if (fields.length === 1) fields.unshift('');
+        const [status, description, expectedResult, actualResult] = fields;
+        return {
+            description: description,
+            expected_result: expectedResult || null,
+            actual_result: actualResult || null,
+            execution_status_id: this.getStepStatusId(status)
+        };
+    }
+
+    /**
+     * Get the Spira execution status id from the name or id of a step status, steps without one have passed
+     */
+    getStepStatusId(status) {
+        return toExecutionStatusId(status || 'passed') || 3;
+    }
+
+    /**
+     * Extract attachment file paths from text using regex pattern
+     */
+    extractAttachments(text, reportFile, attachments) {
+        const matches = text.matchAll(this.attachmentRegex);
+        for (const match of matches) {
+            const filepath = match[1];
+            this.addAttachment(this.readAttachmentFile(reportFile, filepath), attachments);
+        }
+    }
+}
+
+/**
+ * Class responsible for posting test results to Spira
+ */
+class SpiraPostResults {
+    // The process exit codes, when more than one applies the first one listed here is used
+    static EXIT_CODES = { SUCCESS: 0, ERROR: 1, UPLOAD_FAILED: 2, UNMAPPED_TESTS: 3, TEST_FAILURES: 4 };
+    // The error recorded in the summary for requests that were saved in the spool file
+    static SPOOLED_ERROR = 'Saved to the spool file to replay later';
+    // How many incidents to get with each request when searching for the open incidents of a test
+    static INCIDENT_PAGE_SIZE = 250;
+
+    constructor(config) {
+        this.config = config;
+        this.client = new SpiraClient(config);
+        // The requests that would have been sent to Spira when in dry-run mode
+        this.preview = {
+            build: null, testCases: [], testRuns: [], documents: [], documentLinks: [], incidents: [], incidentLinks: [],
+            unmapped: [], skipped: []
+        };
+        // Placeholder ids handed out in dry-run mode in place of the ones Spira would return
+        this.lastDryRunId = 0;
+        // Where the requests that still fail after retrying are saved
+        this.spool = new SpiraSpool(config.spool_file);
+        // What happened to the build and each test, for the exit code and the JSON summary. The entries are
+        // found by result in a WeakMap, so that the results that have been sent can be let go of when streaming
+        this.summary = { exit_code: null, error: null, build: null, tests: [], unmapped: [] };
+        this.summaryTests = new WeakMap();
+        // The uploads of the documents so far ({ id, spoolKey } promises, while they are uploading) by attachment key
+        this.uploadedDocuments = new Map();
+        // The open incidents found in Spira (as promises, while searching) by test signature
+        this.openIncidents = new Map();
+        // The ids of the incidents raised or updated so far (as promises) by failure signature
+        this.raisedIncidents = new Map();
+    }
+
+    /**
+     * Get the summary entry of a test result, adding it to the summary the first time
+     */
+    getSummaryEntry(testResult) {
+        if (!this.summaryTests.has(testResult)) {
+            const entry = {
+                name: testResult.name,
+                test_case_id: testResult.test_case_id,
+                execution_status_id: testResult.execution_status_id,
+                test_run_id: null,
+                // The build the test run belongs to, so that each test can be linked to it on its own
+                build_id: this.sending?.buildId > 0 ? this.sending.buildId : null,
+                attachment_ids: [],
+                incident_id: null,
+                spooled: false,
+                error: null
+            };
+            this.summaryTests.set(testResult, entry);
+            this.summary.tests.push(entry);
+        }
+        return this.summaryTests.get(testResult);
+    }
+
+    /**
+     * Record the outcome of posting a test run in the summary
+     */
+    recordTestRun(testResult, testRun, testRunId, spoolKey = null) {
+        const entry = this.getSummaryEntry(testResult);
+        entry.test_case_id = testResult.test_case_id;
+        entry.test_run_id = testRunId > 0 ? testRunId : null;
+        entry.spooled = Boolean(spoolKey);
+        if (spoolKey) {
+            entry.error = SpiraPostResults.SPOOLED_ERROR;
+        } else if (!(testRunId > 0)) {
+            entry.error = testRun.lastError?.message || 'Unable to record the test run';
+        }
+    }
+
+    /**
+     * Get the execution status ids that fail the build (and the run, when fail_on_test_failures is on)
+     */
+    getFailedStatusIds() {
+        return this.getStatusIds('build_failed_statuses');
+    }
+
+    /**
+     * Get the execution status ids listed (by name or id, separated by commas) in a setting
+     */
+    getStatusIds(setting) {
+        const statusIds = [];
+        for (const status of String(this.config[setting]).split(',').filter(value => value.trim())) {
+            const statusId = toExecutionStatusId(status);
+            if (statusId) {
+                statusIds.push(statusId);
+            } else {
+                console.log(`Unknown execution status '${status.trim()}' in ${setting}, so ignoring it`);
+            }
+        }
+        return statusIds;
+    }
+
+    /**
+     * Work out the exit code of the run from the summary
+     */
+    getExitCode() {
+        const summary = this.summary;
+        if (summary.error || summary.build?.error || summary.tests.some(entry => entry.error)) {
+            return SpiraPostResults.EXIT_CODES.UPLOAD_FAILED;
+        }
+        if (this.config.max_unmapped >= 0 && summary.unmapped.length > this.config.max_unmapped) {
+            console.log(`There are ${summary.unmapped.length} unmapped tests, more than the ${this.config.max_unmapped} allowed.`);
+            return SpiraPostResults.EXIT_CODES.UNMAPPED_TESTS;
+        }
+        if (this.config.fail_on_test_failures) {
+            const failedStatusIds = this.getFailedStatusIds();
+            if (summary.tests.some(entry => failedStatusIds.includes(entry.execution_status_id))) {
+                return SpiraPostResults.EXIT_CODES.TEST_FAILURES;
+            }
+        }
+        return SpiraPostResults.EXIT_CODES.SUCCESS;
+    }
+
+    /**
+     * Work out the exit code, then write the summary to the configured JSON file (if any). Returns the summary
+     */
+    finishSummary() {
+        this.summary.exit_code = this.getExitCode();
+        if (this.config.summary_json) {
+            try {
+                fs.writeFileSync(this.config.summary_json, JSON.stringify(this.summary, null, 2));
+                console.log(`Wrote the summary of ${this.summary.tests.length} test results to '${this.config.summary_json}'.`);
+            } catch (error) {
+                console.log(`Unable to write the summary to '${this.config.summary_json}' due to error '${error.message}'.`);
+            }
+        }
+        return this.summary;
+    }
+
+    /**
+     * Post a build, test run or document to Spira, retrying with an exponential backoff when it fails
+     * with a transient error. When in dry-run mode, the request is recorded in the preview instead
+     * and a placeholder id is returned
+     */
+    async postArtifact(artifact, binaryData = null) {
+        if (!this.config.dry_run) {
+            for (let attempt = 0; ; attempt++) {
+                const id = await artifact.post(this.client, binaryData);
+                if (!artifact.lastError || !isTransientError(artifact.lastError) || attempt >= this.config.retries) {
+                    return id;
+                }
+
+                // Use the delay Spira asks for when rate limiting, otherwise back off exponentially
+                const retryAfter = parseInt(artifact.lastError.response?.headers?.['retry-after']);
+                const delay = retryAfter > 0 ? retryAfter * 1000 : this.config.retry_delay * Math.pow(2, attempt);
+                console.log(`Retrying in ${delay / 1000} seconds (attempt ${attempt + 2} of ${this.config.retries + 1}).`);
+                await sleep(delay);
+            }
+        }
+
+        const id = ++this.lastDryRunId;
+        const request = { id, url: artifact.getUrl(this.client, binaryData), body: artifact.getBody(binaryData) };
+        if (artifact instanceof SpiraBuild) {
+            this.preview.build = request;
+        } else if (artifact instanceof SpiraTestCase) {
+            this.preview.testCases.push(request);
+        } else if (artifact instanceof SpiraTestRun) {
+            this.preview.testRuns.push(request);
+        } else if (artifact instanceof SpiraDocumentLink) {
+            this.preview.documentLinks.push({ url: request.url, documentId: artifact.documentId });
+            return artifact.documentId;
+        } else if (artifact instanceof SpiraIncident) {
+            this.preview.incidents.push(request);
+        } else if (artifact instanceof SpiraAssociation) {
+            this.preview.incidentLinks.push(request);
+        } else if (artifact instanceof SpiraTestRunBatch) {
+            // Each test run in the batch gets its own placeholder id
+            const ids = request.body.map((body, index) => index === 0 ? id : ++this.lastDryRunId);
+            request.body.forEach((body, index) => this.preview.testRuns.push({ id: ids[index], url: request.url, body }));
+            return ids;
+        } else {
+            this.preview.documents.push(request);
+        }
+        return id;
+    }
+
+    /**
+     * Post a build, test run or document to Spira, saving it in the spool if it still fails with a
+     * transient error. Anything that depends on a spooled request is spooled straight away
+     */
+    async postOrSpool(artifact, binaryData = null, dependsOn = {}) {
+        if (Object.keys(dependsOn).length === 0) {
+            const id = await this.postArtifact(artifact, binaryData);
+            if (id > 0 || !isTransientError(artifact.lastError)) {
+                return { id, spoolKey: null };
+            }
+        }
+
+        const spoolKey = this.spool.add(
+            artifact.getUrl(this.client, binaryData),
+            artifact.getBody(binaryData),
+            artifact.constructor.ID_FIELD,
+            dependsOn
+        );
+        return { id: -1, spoolKey };
+    }
+
+    /**
+     * Print the dry-run preview to the console, or write it to the configured JSON file
+     */
+    writePreview() {
+        if (this.config.dry_run_file) {
+            fs.writeFileSync(this.config.dry_run_file, JSON.stringify(this.preview, null, 2));
+            console.log(`Wrote dry-run preview of ${this.preview.testRuns.length} test runs to '${this.config.dry_run_file}'.`);
+        } else {
+            // Leave out the file contents, they are not useful on the console
+            const output = JSON.stringify(this.preview, (key, value) => key === 'BinaryData'
+                ? `<${value.length} characters of base64 data>`
+                : value, 2);
+            console.log(output);
+        }
+        console.log(`Dry run: ${this.preview.testCases.length} new test cases, ${this.preview.testRuns.length} test runs, ${this.preview.documents.length} documents, ` +
+            `${this.preview.documentLinks.length} document links, ${this.preview.incidents.length} incidents, ${this.preview.unmapped.length} unmapped and ${this.preview.skipped.length} skipped test cases. Nothing was sent to Spira.\n`);
+    }
+
+    /**
+     * Send all test results to Spira, optionally creating a build first. Returns the summary of the run
+     */
+    async sendResults(testResults, testsuites, unmappedTests = [], suiteResults = []) {
+        const statusIds = testResults.map(testResult => testResult.execution_status_id);
+        if (await this.startSending(testsuites, statusIds, suiteResults)) {
+            for (const testResult of testResults) {
+                await this.addResult(testResult);
+            }
+        }
+        return this.finishSending(unmappedTests);
+    }
+
+    /**
+     * Get ready to send test results to Spira, creating the build first if wanted. The build status is worked out
+     * from the execution status ids of all of the results, so they are needed up front. Returns false if the
+     * results can't be sent
+     */
+    async startSending(testsuites, statusIds, suiteResults = []) {
+        // The results waiting to be sent as a batch, and the batches being sent
+        this.sending = { buildId: -1, buildSpoolKey: null, batch: [], inFlight: new Set(), sentCount: 0, errorCount: 0 };
+
+        // Only do stuff if config is specified (a dry run doesn't need to connect)
+        if (!this.config.url && !this.config.dry_run) {
+            console.log('Unable to report test results back to Spira since URL in configuration is empty');
+            this.summary.error = 'The Spira URL is empty';
+            this.sending = null;
+            return false;
+        }
+
+        // See if we want to create a build
+        if (this.config.create_build) {
+            console.log(`Creating new build in Spira at URL '${this.config.url}'.`);
+
+            // Create the build name and description from the templates
+            const ci = this.config.ci === 'none' ? null : detectCiEnvironment();
+            const values = this.getBuildValues(testsuites, ci, suiteResults);
+            const name = renderTemplate(this.config.build_name, values);
+            let description = '';
+            if (this.config.build_description) {
+                description = renderTemplate(this.config.build_description.replace(/\\n/g, '\n'), values);
+            } else {
+                // List the CI details and any totals from the testsuites root node
+                if (ci) description += `CI: ${ci.provider}\n`;
+                if (values.branch) description += `Branch: ${values.branch}\n`;
+                if (values.commit) description += `Commit: ${values.commit}\n`;
+                if (values.pipeline_url) description += `Pipeline: ${values.pipeline_url}\n`;
+                if (values.job) description += `Job: ${values.job}\n`;
+                for (const [label, key] of [['Tests', 'tests'], ['Failures', 'failures'], ['Errors', 'errors'],
+                    ['Skipped', 'skipped'], ['Assertions', 'assertions']]) {
+                    if (testsuites[key] !== undefined) description += `# ${label}: ${testsuites[key]}\n`;
+                }
+                if (values.suites) description += `\n${values.suites}`;
+            }
+
+            // Create the build and get its id
+            const spiraBuild = new SpiraBuild(
+                this.config.project_id,
+                this.config.release_id,
+                this.getBuildStatusId(statusIds),
+                name,
+                description,
+                values.commit
+            );
+            const build = await this.postOrSpool(spiraBuild);
+            const buildId = build.id > 0 ? build.id : -1;
+            this.sending.buildId = buildId;
+            this.sending.buildSpoolKey = build.spoolKey;
+            this.summary.build = {
+                id: buildId > 0 ? buildId : null,
+                spooled: Boolean(build.spoolKey),
+                error: build.spoolKey
+                    ? SpiraPostResults.SPOOLED_ERROR
+                    : buildId > 0 ? null : spiraBuild.lastError?.message || 'Unable to create the build'
+            };
+        }
+
+        if (this.config.dry_run) {
+            console.log(`Previewing test results for Spira at URL '${this.config.url}' (dry run).`);
+        } else {
+            console.log(`Sending test results to Spira at URL '${this.config.url}'.`);
+        }
+        return true;
+    }
+
+    /**
+     * Add a test result to the ones being sent to Spira, it is sent once there are enough for a batch
+     */
+    async addResult(testResult) {
+        if (!this.sending) return;
+
+        // Record the skipped tests for the preview
+        if (this.config.dry_run && testResult.execution_status_id === 4) {
+            this.preview.skipped.push(testResult.name);
+        }
+
+        this.sending.batch.push(testResult);
+        if (this.sending.batch.length >= Math.max(1, this.config.batch_size || 1)) {
+            await this.sendBatch();
+        }
+    }
+
+    /**
+     * Send the waiting results as a batch, once fewer than the configured number of batches are being sent
+     */
+    async sendBatch() {
+        const sending = this.sending;
+        let batch = sending.batch;
+        sending.batch = [];
+        while (sending.inFlight.size >= (this.config.concurrency || 1)) {
+            await Promise.race(sending.inFlight);
+        }
+
+        const request = (async () => {
+            try {
+                // Create Spira test cases for any results that are not mapped yet, skipping those that could not be created
+                if (this.config.create_test_cases) {
+                    await this.createTestCases(batch);
+                    batch = batch.filter(testResult => testResult.test_case_id);
+                }
+                sending.sentCount += batch.length;
+
+                const errors = batch.length > 1
+                    ? await this.sendResultBatch(batch, sending.buildId, sending.buildSpoolKey)
+                    : await Promise.all(batch.map(testResult => this.sendResult(testResult, new Date(), sending.buildId, sending.buildSpoolKey)));
+                sending.errorCount += errors.filter(isError => isError).length;
+            } catch (error) {
+                console.log(`Unable to report test cases to Spira due to error '${error.message}'.\n`);
+                this.summary.error = error.message;
+            }
+        })();
+        sending.inFlight.add(request);
+        request.then(() => sending.inFlight.delete(request));
+    }
+
+    /**
+     * Send any results that are still waiting, then report what happened. Returns the summary of the run
+     */
+    async finishSending(unmappedTests = []) {
+        this.summary.unmapped = [...unmappedTests];
+        if (this.config.dry_run) {
+            this.preview.unmapped = [...unmappedTests];
+        }
+        if (!this.sending) return this.finishSummary();
+
+        const sending = this.sending;
+        if (sending.batch.length > 0) await this.sendBatch();
+        await Promise.all(sending.inFlight);
+
+        // Report to the console
+        if (this.config.dry_run) {
+            this.writePreview();
+        } else {
+            console.log(`Successfully reported ${sending.sentCount - sending.errorCount} test cases to Spira.\n`);
+            if (sending.errorCount > 0) {
+                console.log(`Unable to report ${sending.errorCount} test cases to Spira.\n`);
+            }
+        }
+
+        // Save anything that could not be sent, so it can be replayed later
+        if (this.spool.added > 0) {
+            this.spool.save();
+            console.log(`Saved ${this.spool.added} requests that could not be sent to the spool file '${this.spool.spoolFile}', ` +
+                'use the replay command to send them later.\n');
+        }
+
+        return this.finishSummary();
+    }
+
+    /**
+     * Create a new Spira test case for each result that has no test case id, then save the new
+     * mappings back into the config file so that later runs use the same test cases
+     */
+    async createTestCases(testResults) {
+        const newMappings = {};
+        for (const testResult of testResults) {
+            if (testResult.test_case_id) continue;
+
+            // The same test may be in the results more than once
+            if (!newMappings[testResult.name]) {
+                console.log(`Creating new test case '${testResult.name}' in Spira.`);
+                const spiraTestCase = new SpiraTestCase(
+                    this.config.project_id,
+                    testResult.name,
+                    this.config.test_case_folder_id
+                );
+                const testCaseId = await this.postArtifact(spiraTestCase);
+                if (testCaseId < 1) {
+                    this.getSummaryEntry(testResult).error = spiraTestCase.lastError?.message || 'Unable to create the test case';
+                    continue;
+                }
+                newMappings[testResult.name] = testCaseId;
+            }
+            testResult.test_case_id = newMappings[testResult.name];
+        }
+
+        // A dry run must not change the config file
+        if (Object.keys(newMappings).length > 0 && !this.config.dry_run) {
+            try {
+                this.config.saveTestCaseMappings(newMappings);
+                console.log(`Added ${Object.keys(newMappings).length} new test case mappings to '${this.config.configFile}'.`);
+            } catch (error) {
+                console.log(`Unable to save the new test case mappings to '${this.config.configFile}' due to error '${error.message}'.`);
+            }
+        }
+    }
+
+    /**
+     * Get the values of the placeholders in the build name and description templates
+     */
+    getBuildValues(testsuites, ci, suiteResults = []) {
+        const currentTime = new Date();
+        const commit = this.config.build_revision || ci?.commit || null;
+        return {
+            name: testsuites.name || RUNNER_NAME,
+            runner: RUNNER_NAME,
+            time: currentTime.toISOString(),
+            date: currentTime.toISOString().slice(0, 10),
+            project_id: this.config.project_id,
+            release_id: this.config.release_id,
+            ci: ci?.provider || null,
+            commit: commit,
+            short_commit: commit ? commit.slice(0, 7) : null,
+            branch: ci?.branch || null,
+            pipeline_url: ci?.pipeline_url || null,
+            job: ci?.job || null,
+            tests: testsuites.tests ?? null,
+            failures: testsuites.failures ?? null,
+            errors: testsuites.errors ?? null,
+            skipped: testsuites.skipped ?? null,
+            assertions: testsuites.assertions ?? null,
+            suites: this.config.suite_output === 'build' ? this.getSuiteDescription(suiteResults) : null
+        };
+    }
+
+    /**
+     * List the properties and output of the test suites, for the build description
+     */
+    getSuiteDescription(suiteResults) {
+        return suiteResults.map(suiteResult => {
+            let description = `Suite: ${suiteResult.name}\n`;
+            description += suiteResult.own_properties.map(prop => `- ${prop.name}=${prop.value}\n`).join('');
+            if (suiteResult.system_out) description += `System Out: ${suiteResult.system_out}\n`;
+            if (suiteResult.system_err) description += `System Err: ${suiteResult.system_err}\n`;
+            return description;
+        }).join('\n');
+    }
+
+    /**
+     * Get the status of the new build from the execution status ids of the results: failed if any has one
+     * of the configured failed statuses, unstable if no test passed (e.g. they were all skipped), otherwise succeeded
+     */
+    getBuildStatusId(statusIds) {
+        const failedStatusIds = this.getFailedStatusIds();
+        if (statusIds.some(statusId => failedStatusIds.includes(statusId))) {
+            return 1; // Failed
+        }
+        if (!statusIds.includes(2)) {
+            return 3; // Unstable
+        }
+        return 2; // Succeeded
+    }
+
+    /**
+     * Create the Spira test run for a single test result
+     */
+    createTestRun(testResult, currentTime, buildId) {
+        // See if we have a test specific test set id to use, otherwise use the global one
+        const testSetId = testResult.test_set_id > 0
+            ? testResult.test_set_id
+            : this.config.test_set_id;
+
+        // Use the real start time from the report, otherwise work it out from the duration and upload time
+        let startTime = new Date(currentTime.getTime() - testResult.duration_seconds * 1000);
+        let endTime = currentTime;
+        if (testResult.start_time) {
+            startTime = testResult.start_time;
+            endTime = new Date(startTime.getTime() + testResult.duration_seconds * 1000);
+        }
+
+        return new SpiraTestRun(
+            this.config.project_id,
+            testResult.test_case_id,
+            testResult.name,
+            testResult.stack_trace,
+            testResult.execution_status_id,
+            startTime,
+            endTime,
+            testResult.message,
+            this.config.release_id,
+            testSetId,
+            testResult.assert_count,
+            buildId,
+            testResult.steps,
+            testResult.custom_properties
+        );
+    }
+
+    /**
+     * Send a single test result to Spira
+     */
+    async sendResult(testResult, currentTime, buildId, buildSpoolKey = null) {
+        try {
+            // Create the Spira test run
+            const testRun = this.createTestRun(testResult, currentTime, buildId);
+
+            // Post the test run! If the build was spooled, the test run has to wait for it
+            const { id: testRunId, spoolKey } = await this.postOrSpool(
+                testRun, null, buildSpoolKey ? { BuildId: buildSpoolKey } : {}
+            );
+            const isError = testRunId < 1;
+            this.recordTestRun(testResult, testRun, testRunId, spoolKey);
+
+            if (!isError || spoolKey) {
+                await this.sendAttachments(testResult, testRunId, spoolKey);
+            }
+            if (!isError) {
+                await this.sendIncident(testResult, testRunId);
+            }
+
+            return isError;
+        } catch (error) {
+            console.log(`Unable to report test case '${testResult.name}' to Spira due to error '${error.message}'.\n`);
+            this.getSummaryEntry(testResult).error = error.message;
+            return true;
+        }
+    }
+
+    /**
+     * Send a batch of test results to Spira with a single request, then send the attachments of each one.
+     * If Spira rejects the batch, each result is sent on its own instead. Returns whether each one failed
+     */
+    async sendResultBatch(testResults, buildId, buildSpoolKey = null) {
+        // If the build was spooled, the test runs have to wait for it
+        if (buildSpoolKey) {
+            return Promise.all(testResults.map(testResult => this.sendResult(testResult, new Date(), buildId, buildSpoolKey)));
+        }
+
+        const currentTime = new Date();
+        const testRuns = testResults.map(testResult => this.createTestRun(testResult, currentTime, buildId));
+        const batch = new SpiraTestRunBatch(this.config.project_id, testRuns);
+        const testRunIds = await this.postArtifact(batch);
+
+        if (!testRunIds) {
+            if (!isTransientError(batch.lastError)) {
+                // Find out which of the results Spira does not accept by sending them one by one
+                const errors = [];
+                for (const testResult of testResults) {
+                    errors.push(await this.sendResult(testResult, currentTime, buildId));
+                }
+                return errors;
+            }
+
+            // Spool each test run (and its attachments) so that they can be replayed later
+            for (let i = 0; i < testRuns.length; i++) {
+                const spoolKey = this.spool.add(
+                    testRuns[i].getUrl(this.client),
+                    testRuns[i].getBody(),
+                    SpiraTestRun.ID_FIELD
+                );
+                this.recordTestRun(testResults[i], testRuns[i], -1, spoolKey);
+                await this.sendAttachments(testResults[i], -1, spoolKey);
+            }
+            return testResults.map(() => true);
+        }
+
+        // Each result's attachments still follow its own test run, sending those of several results at the same time
+        testResults.forEach((testResult, i) => this.recordTestRun(testResult, batch, testRunIds[i]));
+        return runConcurrently(testResults, this.config.concurrency || 1, async (testResult, i) => {
+            const isError = !(testRunIds[i] > 0);
+            if (!isError) {
+                await this.sendAttachments(testResult, testRunIds[i]);
+                await this.sendIncident(testResult, testRunIds[i]);
+            }
+            return isError;
+        });
     }
 
     /**
-     * Parse the config file and populate the configuration object
+     * Get the signature tags of a test result's incidents: one for the test (to find all its incidents)
+     * and one for the failure, made from the test name, the failure type and the normalised message
      */
-    loadConfig(configFile) {
-        const content = fs.readFileSync(configFile, 'utf-8');
-        const lines = content.split('\n');
-        let currentSection = '';
+    getIncidentSignature(testResult) {
+        const hash = text => crypto.createHash('sha1').update(text).digest('hex').substring(0, 8);
+        const testTag = `[xunit:${hash(testResult.name)}-`;
+        const failure = [testResult.name, testResult.failure_type || '', normaliseMessage(testResult.message)].join('|');
+        return { testTag, tag: `${testTag}${hash(failure)}]` };
+    }
 
-        for (let line of lines) {
-            line = line.trim();
-            // Skip empty lines and comments
-            if (!line || line.startsWith('#')) continue;
+    /**
+     * Find the open Spira incidents of a test by its signature tag. Each test is only searched for once
+     */
+    findOpenIncidents(testTag) {
+        if (!this.openIncidents.has(testTag)) {
+            this.openIncidents.set(testTag, this.searchIncidents(testTag));
+        }
+        return this.openIncidents.get(testTag);
+    }
 
-            // Check for section headers
-            if (line.startsWith('[') && line.endsWith(']')) {
-                currentSection = line.slice(1, -1);
-                continue;
+    /**
+     * Search Spira for the open incidents whose name contains the text
+     */
+    async searchIncidents(text) {
+        // There is nothing to search in dry-run mode, so every failure raises a new incident
+        if (this.config.dry_run) return [];
+
+        // Get every page of the matches, newest first, so that older open incidents are found too
+        const matches = [];
+        let previousFirstId = null;
+        for (let startRow = 1; ; startRow += SpiraPostResults.INCIDENT_PAGE_SIZE) {
+            const url = this.client.getUrl(`projects/${this.config.project_id}/incidents/search` +
+                `?start_row=${startRow}&number_rows=${SpiraPostResults.INCIDENT_PAGE_SIZE}&sort_field=IncidentId&sort_direction=DESC`);
+            let incidents;
+            try {
+                const response = await this.client.postJson(url, [{ PropertyName: 'Name', StringValue: text }]);
+                incidents = Array.isArray(response.data) ? response.data : [];
+            } catch (error) {
+                console.log(`Unable to search for the incidents of ${text} due to HTTP error: ${error.message}`);
+                return null;
             }
 
-            const [key, ...valueParts] = line.split('=');
-            if (!key || valueParts.length === 0) continue;
+            // Stop at the last page (or if paging is not supported and we got the same page again)
+            if (incidents.length === 0 || incidents[0].IncidentId === previousFirstId) break;
+            previousFirstId = incidents[0].IncidentId;
+            matches.push(...incidents);
+            if (incidents.length < SpiraPostResults.INCIDENT_PAGE_SIZE) break;
+        }
+        return matches.filter(incident => String(incident.Name).includes(text) && incident.IncidentStatusOpenStatus !== false);
+    }
 
-            const trimmedKey = key.trim();
-            const value = valueParts.join('=').trim();
+    /**
+     * Raise an incident for a test result with one of the incident statuses, linked to its test run. If the
+     * same failure already has an open incident, a comment is added to that one instead. When the test
+     * passes, its open incidents can be commented on or resolved
+     */
+    async sendIncident(testResult, testRunId) {
+        if (!this.config.create_incidents) return;
 
-            // Handle credentials and test case / test set mappings differently
-            if (currentSection === 'credentials') {
-                if (trimmedKey === 'create_build') {
-                    this.create_build = value.toLowerCase() === 'true';
-                } else if (trimmedKey === 'project_id' || trimmedKey === 'release_id' || trimmedKey === 'test_set_id') {
-                    this[trimmedKey] = parseInt(value);
-                } else {
-                    this[trimmedKey] = value;
+        try {
+            const { testTag, tag } = this.getIncidentSignature(testResult);
+            if (this.getStatusIds('incident_statuses').includes(testResult.execution_status_id)) {
+                // Tests with the same failure in this run share the incident
+                if (!this.raisedIncidents.has(tag)) {
+                    this.raisedIncidents.set(tag, this.raiseIncident(testResult, testRunId, testTag, tag));
+                    const incidentId = await this.raisedIncidents.get(tag);
+                    this.recordIncident(testResult, incidentId);
+                    return;
+                }
+                const incidentId = await this.raisedIncidents.get(tag);
+                if (incidentId > 0) {
+                    await this.updateIncident(incidentId, testRunId, `Failed again in test run TR:${testRunId} (${testResult.name}).`);
+                }
+                this.recordIncident(testResult, incidentId);
+            } else if (testResult.execution_status_id === 2 && this.config.incident_on_pass !== 'none') {
+                const incidents = await this.findOpenIncidents(testTag) || [];
+                for (const incident of incidents) {
+                    await this.updateIncident(incident.IncidentId, testRunId, `Passed in test run TR:${testRunId} (${testResult.name}).`);
+                    if (this.config.incident_on_pass === 'resolve') {
+                        await this.resolveIncident(incident);
+                    }
                 }
-            } else if (currentSection === 'test_cases') {
-                // Store test case mappings (classname.name -> test case ID)
-                this.test_case_ids[trimmedKey.toLowerCase()] = parseInt(value);
-            } else if (currentSection === 'test_sets') {
-                // Store test set mappings (suite name -> test set ID)
-                this.test_set_ids[trimmedKey.toLowerCase()] = parseInt(value);
             }
+        } catch (error) {
+            console.log(`Unable to update the incidents of test case '${testResult.name}' due to error '${error.message}'.\n`);
         }
     }
-}
 
-/**
- * A Document object model for Spira
- * Used to attach files or URLs to test runs
- */
-class SpiraDocument {
-    // The URL snippet used after the Spira URL
-    static REST_SERVICE_URL = '/Services/v6_0/RestService.svc/';
-    // The URL snippet used to post a new file or URL attachment linked to a test run
-    static POST_DOCUMENT_FILE = 'projects/{}/documents/file';
-    static POST_DOCUMENT_URL = 'projects/{}/documents/url';
+    /**
+     * Add a new incident for the failure (linked to the test run), or comment on its open incident. Returns the incident id
+     */
+    async raiseIncident(testResult, testRunId, testTag, tag) {
+        const openIncidents = await this.findOpenIncidents(testTag);
+        const openIncident = openIncidents?.find(incident => String(incident.Name).includes(tag));
+        if (openIncident) {
+            console.log(`Test case '${testResult.name}' failed the same way as open incident IN:${openIncident.IncidentId}.`);
+            await this.updateIncident(openIncident.IncidentId, testRunId, `Failed again in test run TR:${testRunId} (${testResult.name}).`);
+            return openIncident.IncidentId;
+        }
 
-    constructor(projectId, attachmentTypeId, testRunId, filenameOrUrl, versionName) {
-        this.projectId = projectId;
-        this.attachmentTypeId = attachmentTypeId; // 1 = File, 2 = URL
-        this.testRunId = testRunId;
-        this.filenameOrUrl = filenameOrUrl;
-        this.versionName = versionName;
+        // The name ends with the signature, so that the incident is found again the next time
+        const statusName = SpiraResultsParser.STATUS_NAMES[testResult.execution_status_id];
+        const summary = String(testResult.message || statusName).trim().split(/\r?\n/)[0];
+        const maxLength = 255 - tag.length - testResult.name.length - 3;
+        const name = `${testResult.name}: ${summary.length > maxLength ? `${summary.substring(0, Math.max(0, maxLength - 3))}...` : summary} ${tag}`;
+        const description = `<p>Test case <strong>${escapeHtml(testResult.name)}</strong> ${statusName.toLowerCase()} in test run TR:${testRunId}.</p>` +
+            (testResult.failure_type ? `<p>Type: ${escapeHtml(testResult.failure_type)}</p>` : '') +
+            `<pre>${escapeHtml(testResult.stack_trace || testResult.message || '')}</pre>`;
+
+        const incident = new SpiraIncident(
+            this.config.project_id,
+            name,
+            description,
+            this.config.incident_type_id,
+            this.config.incident_priority_id,
+            this.config.incident_owner_id,
+            this.config.incident_release_id > 0 ? this.config.incident_release_id : this.config.release_id
+        );
+        const incidentId = await this.postArtifact(incident);
+        if (!(incidentId > 0)) {
+            this.getSummaryEntry(testResult).error = `Unable to raise an incident: ${incident.lastError?.message}`;
+            return -1;
+        }
+
+        console.log(`Raised incident IN:${incidentId} for test case '${testResult.name}'.`);
+        await this.postArtifact(new SpiraAssociation(this.config.project_id, incidentId, testRunId));
+        return incidentId;
     }
 
     /**
-     * Create a new attachment in Spira with the given credentials for associating the test runs with
+     * Comment on an existing incident and link it to the test run
      */
-    async post(spiraUrl, username, token, binaryData = null) {
-        // Default to URL attachment
-        const endpoint = this.attachmentTypeId === 1 && binaryData
-            ? `projects/${this.projectId}/documents/file`
-            : `projects/${this.projectId}/documents/url`;
+    async updateIncident(incidentId, testRunId, text) {
+        await this.postArtifact(new SpiraIncidentComment(this.config.project_id, incidentId, text));
+        await this.postArtifact(new SpiraAssociation(this.config.project_id, incidentId, testRunId));
+    }
 
-        const url = `${spiraUrl}${SpiraDocument.REST_SERVICE_URL}${endpoint}`;
-        
-        // The body we are sending
-        const body = {
-            ProjectId: this.projectId,
-            AttachmentTypeId: this.attachmentTypeId,
-            FilenameOrUrl: this.filenameOrUrl,
-            CurrentVersion: this.versionName,
-            AttachedArtifacts: [{
-                ArtifactId: this.testRunId,
-                ArtifactTypeId: 5 // Test Run
-            }]
-        };
+    /**
+     * Resolve an open incident that was found in Spira by changing its status. The search results don't
+     * have all of the incident's fields, so the full incident is fetched first and sent back with the new status
+     */
+    async resolveIncident(incident) {
+        const url = this.client.getUrl(`projects/${this.config.project_id}/incidents/${incident.IncidentId}`);
+        try {
+            const response = await this.client.getJson(url);
+            await this.client.putJson(url, { ...response.data, IncidentStatusId: this.config.incident_resolved_status_id });
+            console.log(`Resolved incident IN:${incident.IncidentId} since its test passed.`);
+        } catch (error) {
+            console.log(`Unable to resolve incident IN:${incident.IncidentId} due to HTTP error: ${error.message}`);
+        }
+    }
 
-        // Add the binary data if appropriate
-        if (this.attachmentTypeId === 1 && binaryData) {
-            body.BinaryData = binaryData;
+    /**
+     * Record the incident of a test result in the summary
+     */
+    recordIncident(testResult, incidentId) {
+        if (incidentId > 0) {
+            this.getSummaryEntry(testResult).incident_id = incidentId;
         }
+    }
 
-        try {
-            const response = await axios.post(url, body, {
-                params: { username, 'api-key': token },
-                headers: {
-                    'accept': 'application/json',
-                    'Content-Type': 'application/json',
-                    'User-Agent': RUNNER_NAME
+    /**
+     * Send the file and URL attachments of a test result, linked to its test run (or to its spooled
+     * test run if one is given)
+     */
+    async sendAttachments(testResult, testRunId, testRunSpoolKey = null) {
+        // The documents either link to the new test run, or wait for the spooled one
+        const documentDependsOn = testRunSpoolKey ? { 'AttachedArtifacts.0.ArtifactId': testRunSpoolKey } : {};
+        const entry = this.getSummaryEntry(testResult);
+        const recordDocument = (spiraDocument, document, name) => {
+            if (document.id > 0) {
+                entry.attachment_ids.push(document.id);
+            } else if (!document.spoolKey) {
+                entry.error = entry.error || `Unable to upload the attachment '${name}': ${spiraDocument.lastError?.message}`;
+            }
+        };
+
+        // See if we have any file attachments to include
+        if (testResult.attachments) {
+            const attachmentKeys = new Set();
+            for (const attachment of testResult.attachments) {
+                // A test (e.g. one that was rerun) only needs each file once
+                if (attachmentKeys.has(attachment.key)) continue;
+                attachmentKeys.add(attachment.key);
+
+                // Link the test run to the document if the same file has already been uploaded, or spooled.
+                // A spooled link waits for the spooled document and test run, so the file is only spooled once
+                if ((testRunId > 0 || testRunSpoolKey) && this.uploadedDocuments.has(attachment.key)) {
+                    const document = await this.uploadedDocuments.get(attachment.key);
+                    if (document.id > 0 || document.spoolKey) {
+                        const linkDependsOn = {};
+                        if (document.spoolKey) linkDependsOn[SpiraDocumentLink.DOCUMENT_PLACEHOLDER] = document.spoolKey;
+                        if (testRunSpoolKey) linkDependsOn[SpiraDocumentLink.TEST_RUN_PLACEHOLDER] = testRunSpoolKey;
+                        const documentLink = new SpiraDocumentLink(
+                            this.config.project_id,
+                            document.id > 0 ? document.id : SpiraDocumentLink.DOCUMENT_PLACEHOLDER,
+                            testRunId > 0 ? testRunId : SpiraDocumentLink.TEST_RUN_PLACEHOLDER
+                        );
+                        const link = await this.postOrSpool(documentLink, null, linkDependsOn);
+                        if (link.id > 0) entry.attachment_ids.push(document.id);
+                        if (link.id > 0 || link.spoolKey) continue;
+                    }
                 }
-            });
-            return response.data.AttachmentId;
-        } catch (error) {
-            if (error.response?.status === 404) {
-                // Test Run Not Found
-                console.log(`Unable to find a matching Spira test run of id TR:${this.testRunId}, so not able to post result`);
-            } else {
-                // General Error
-                console.log(`Unable to create document due to HTTP error: ${error.message}`);
+
+                // Files are only read when they are uploaded
+                let binaryData = attachment.binary_data;
+                if (!binaryData) {
+                    try {
+                        binaryData = fs.readFileSync(attachment.file_path).toString('base64');
+                    } catch (error) {
+                        console.log(`Unable to read image file '${attachment.filename}' due to error '${error.message}', so skipping attachment.\n`);
+                        entry.error = entry.error || `Unable to read the attachment '${attachment.filename}': ${error.message}`;
+                        continue;
+                    }
+                }
+
+                const spiraDocument = new SpiraDocument(
+                    this.config.project_id,
+                    1, // File attachment
+                    testRunId,
+                    attachment.filename,
+                    this.config.attachment_version
+                );
+                const upload = this.postOrSpool(spiraDocument, binaryData, documentDependsOn);
+                // Later test runs that refer to the same file wait for this upload, then link to it
+                if (attachment.key && !this.uploadedDocuments.has(attachment.key)) {
+                    this.uploadedDocuments.set(attachment.key, upload);
+                }
+                const document = await upload;
+                recordDocument(spiraDocument, document, attachment.filename);
+            }
+        }
+
+        // See if we have any url attachments to include
+        if (testResult.links) {
+            for (const link of testResult.links) {
+                const spiraDocument = new SpiraDocument(
+                    this.config.project_id,
+                    2, // URL attachment
+                    testRunId,
+                    link.url,
+                    this.config.attachment_version
+                );
+                const document = await this.postOrSpool(spiraDocument, null, documentDependsOn);
+                recordDocument(spiraDocument, document, link.url);
             }
-            return null;
         }
     }
 }
 
 /**
- * A Build object model for Spira
- * Used to create build artifacts that group test runs together
+ * Class responsible for checking the config file against the reports and (optionally) the Spira project
  */
-class SpiraBuild {
-    // The URL snippet used after the Spira URL
-    static REST_SERVICE_URL = '/Services/v6_0/RestService.svc/';
-    // The URL snippet used to post a build. Needs the project ID and release ID to work
-    static POST_BUILD = 'projects/{}/releases/{}/builds';
+class SpiraValidator {
+    constructor(parser) {
+        this.parser = parser;
+        this.config = parser.config;
+        this.client = new SpiraClient(parser.config);
+        // The problems found, each one a line of text
+        this.problems = [];
+    }
 
-    constructor(projectId, releaseId, buildStatusId, name, description = '') {
-        this.projectId = projectId;
-        this.releaseId = releaseId;
-        this.buildStatusId = buildStatusId; // 1=Failed, 2=Passed
-        this.name = name;
-        this.description = description;
+    /**
+     * Check the config against the parsed reports, and against Spira when online. Returns the problems found
+     */
+    async validate(online = false) {
+        this.checkUnmappedTests();
+        this.checkUnusedMappings('test_cases', this.config.test_case_ids, this.config.test_case_patterns, this.parser.testNames);
+        this.checkUnusedMappings('test_sets', this.config.test_set_ids, this.config.test_set_patterns, this.parser.suiteNames);
+        this.checkDuplicateIds('test case', this.config.test_case_ids, this.config.test_case_patterns);
+        this.checkDuplicateIds('test set', this.config.test_set_ids, this.config.test_set_patterns);
+        if (online) {
+            await this.checkSpira();
+        }
+
+        for (const problem of this.problems) {
+            console.log(`- ${problem}`);
+        }
+        console.log(this.problems.length > 0
+            ? `Found ${this.problems.length} problems with the configuration.\n`
+            : `No problems found with the configuration for ${this.parser.testNames.size} tests.\n`);
+        return this.problems;
+    }
+
+    /**
+     * List the tests in the reports that are not mapped to a Spira test case
+     */
+    checkUnmappedTests() {
+        const unmappedTests = [
+            ...this.parser.unmappedTests,
+            ...this.parser.testResults.filter(testResult => !testResult.test_case_id).map(testResult => testResult.name)
+        ];
+        for (const name of new Set(unmappedTests)) {
+            this.problems.push(`Test '${name}' is not mapped to a Spira test case`);
+        }
     }
 
     /**
-     * Create a new build in Spira with the given credentials for associating the test runs with
+     * List the mappings in a section of the config that match nothing in the reports
      */
-    async post(spiraUrl, username, token) {
-        const url = `${spiraUrl}${SpiraBuild.REST_SERVICE_URL}projects/${this.projectId}/releases/${this.releaseId}/builds`;
+    checkUnusedMappings(section, ids, patterns, names) {
+        const lowerCaseNames = new Set([...names].map(name => name.toLowerCase()));
+        for (const key of Object.keys(ids)) {
+            if (!lowerCaseNames.has(key)) {
+                this.problems.push(`Mapping '${key}' in [${section}] does not match anything in the reports`);
+            }
+        }
+        for (const pattern of patterns) {
+            if (![...names].some(name => pattern.regex.test(name))) {
+                this.problems.push(`Pattern '${pattern.key}' in [${section}] does not match anything in the reports`);
+            }
+        }
+    }
 
-        // The body we are sending
-        const body = {
-            ProjectId: this.projectId,
-            BuildStatusId: this.buildStatusId,
-            ReleaseId: this.releaseId,
-            Name: this.name,
-            Description: this.description
-        };
+    /**
+     * List the Spira ids that more than one mapping points to
+     */
+    checkDuplicateIds(artifactName, ids, patterns) {
+        const keysById = {};
+        for (const [key, id] of [...Object.entries(ids), ...patterns.map(pattern => [pattern.key, pattern.id])]) {
+            (keysById[id] = keysById[id] || []).push(key);
+        }
+        for (const [id, keys] of Object.entries(keysById)) {
+            if (keys.length > 1) {
+                this.problems.push(`Spira ${artifactName} ${id} is mapped more than once: ${keys.map(key => `'${key}'`).join(', ')}`);
+            }
+        }
+    }
+
+    /**
+     * Check through the Spira REST API that the credentials work and the project, release, test sets
+     * and test cases exist
+     */
+    async checkSpira() {
+        if (!this.config.url) {
+            this.problems.push('Unable to check Spira since the URL in the configuration is empty');
+            return;
+        }
+
+        // Nothing else can be checked without the project
+        const projectId = this.config.project_id;
+        if (!await this.checkArtifact('project', projectId, `projects/${projectId}`)) return;
+
+        if (this.config.release_id > 0) {
+            await this.checkArtifact('release', this.config.release_id, `projects/${projectId}/releases/${this.config.release_id}`);
+        }
+
+        const testSetIds = new Set([
+            ...(this.config.test_set_id > 0 ? [this.config.test_set_id] : []),
+            ...Object.values(this.config.test_set_ids),
+            ...this.config.test_set_patterns.map(pattern => pattern.id),
+            ...this.parser.testResults.map(testResult => testResult.test_set_id).filter(id => id > 0)
+        ]);
+        const testCaseIds = new Set([
+            ...Object.values(this.config.test_case_ids),
+            ...this.config.test_case_patterns.map(pattern => pattern.id),
+            ...this.parser.testResults.map(testResult => testResult.test_case_id).filter(id => id > 0)
+        ]);
+        await runConcurrently([...testSetIds], this.config.concurrency || 1,
+            id => this.checkArtifact('test set', id, `projects/${projectId}/test-sets/${id}`));
+        await runConcurrently([...testCaseIds], this.config.concurrency || 1,
+            id => this.checkArtifact('test case', id, `projects/${projectId}/test-cases/${id}`));
+    }
 
+    /**
+     * Check that a Spira artifact exists (and is in the configured project), returns whether it does
+     */
+    async checkArtifact(artifactName, id, urlPath) {
         try {
-            const response = await axios.post(url, body, {
-                params: { username, 'api-key': token },
-                headers: {
-                    'accept': 'application/json',
-                    'Content-Type': 'application/json',
-                    'User-Agent': RUNNER_NAME
-                }
-            });
-            return response.data.BuildId;
+            const response = await this.client.getJson(this.client.getUrl(urlPath));
+            const projectId = response.data?.ProjectId;
+            if (artifactName !== 'project' && projectId && projectId !== this.config.project_id) {
+                this.problems.push(`Spira ${artifactName} ${id} is in project PR:${projectId}, not PR:${this.config.project_id}`);
+                return false;
+            }
+            return true;
         } catch (error) {
-            if (error.response?.status === 404) {
-                // Release Not Found
-                console.log(`Unable to find a matching Spira release of id RL:${this.releaseId}, so not able to post result`);
+            const status = error.response?.status;
+            if (status === 401 || status === 403) {
+                this.problems.push(`Unable to sign into Spira as '${this.config.username}', check the username and token`);
+            } else if (status === 404) {
+                this.problems.push(`Unable to find Spira ${artifactName} ${id}`);
             } else {
-                // General Error
-                console.log(`Unable to create build due to HTTP error: ${error.message}`);
+                this.problems.push(`Unable to check Spira ${artifactName} ${id} due to HTTP error: ${error.message}`);
             }
-            return null;
+            return false;
         }
     }
 }
 
 /**
- * A TestRun object model for Spira
- * Represents a single test execution result
+ * Class responsible for writing the [test_cases] and [test_sets] mappings of the config file from the
+ * tests and suites in the reports, creating the config file if there isn't one yet
  */
-class SpiraTestRun {
-    // The URL snippet used after the Spira URL
-    static REST_SERVICE_URL = '/Services/v6_0/RestService.svc/';
-    // The URL snippet used to post an automated test run. Needs the project ID to work
-    static POST_TEST_RUN = 'projects/%s/test-runs/record';
+class SpiraMappingSync {
+    // How many Spira test cases or test sets to get with each request when looking up ids
+    static PAGE_SIZE = 500;
 
-    constructor(projectId, testCaseId, testName, stackTrace, statusId, startTime, endTime, 
-                message = '', releaseId = -1, testSetId = -1, assertCount = 0, buildId = -1) {
-        this.projectId = projectId;
-        this.testCaseId = testCaseId;
-        this.testName = testName;
-        this.stackTrace = stackTrace;
-        this.statusId = statusId;
-        this.startTime = startTime;
-        this.endTime = endTime;
-        this.message = message;
-        this.releaseId = releaseId;
-        this.testSetId = testSetId;
-        this.assertCount = assertCount;
-        this.buildId = buildId;
+    constructor(parser) {
+        this.parser = parser;
+        this.config = parser.config;
+        this.client = new SpiraClient(parser.config);
     }
 
     /**
-     * Post the test run to Spira with the given credentials
+     * Add the new tests and suites to the config file, and mark the ones that are no longer in the reports.
+     * When online, the ids of the new mappings are looked up in Spira by name
      */
-    async post(spiraUrl, username, token) {
-        const url = `${spiraUrl}${SpiraTestRun.REST_SERVICE_URL}projects/${this.projectId}/test-runs/record`;
+    async sync(online = false) {
+        const testNames = [...this.parser.testNames];
+        const suiteNames = [...this.parser.suiteNames].filter(Boolean);
 
-        // The body we are sending
-        const body = {
-            TestRunFormatId: 1, // Constant for plain text
-            StartDate: this.startTime.toISOString().replace(/\.\d{3}Z$/, 'Z'),
-            EndDate: this.endTime.toISOString().replace(/\.\d{3}Z$/, 'Z'),
-            RunnerName: RUNNER_NAME,
-            RunnerTestName: this.testName,
-            RunnerMessage: this.message,
-            RunnerStackTrace: this.stackTrace,
-            RunnerAssertCount: this.assertCount,
-            TestCaseId: this.testCaseId,
-            ExecutionStatusId: this.statusId // Passes (2) if the stack trace length is 0
-        };
-
-        // Releases and Test Sets are optional
-        if (this.releaseId !== -1) {
-            body.ReleaseId = this.releaseId;
-            // If we have a release, also see if we have a build
-            if (this.buildId !== -1) {
-                body.BuildId = this.buildId;
+        // Use any ids that the reports give, then any Spira artifacts with the same name
+        const testCaseIds = {};
+        for (const testResult of this.parser.testResults) {
+            if (testResult.test_case_id) testCaseIds[testResult.name.toLowerCase()] = testResult.test_case_id;
+        }
+        const testSetIds = {};
+        if (online) {
+            Object.assign(testSetIds, await this.findIdsByName('test-sets', 'TestSetId'));
+            for (const [name, id] of Object.entries(await this.findIdsByName('test-cases', 'TestCaseId'))) {
+                if (!testCaseIds[name]) testCaseIds[name] = id;
             }
         }
 
-        if (this.testSetId !== -1) {
-            body.TestSetId = this.testSetId;
+        // Start from the template if there is no config file yet
+        const configFile = this.config.configFile;
+        const testCaseMappings = this.getNewMappings(testNames, this.config.test_case_ids, this.config.test_case_patterns, testCaseIds);
+        const testSetMappings = this.getNewMappings(suiteNames, this.config.test_set_ids, this.config.test_set_patterns, testSetIds);
+        let testCases;
+        let testSets;
+        let placeholders;
+        if (SpiraConfig.isDocumentFile(configFile)) {
+            const doc = fs.existsSync(configFile)
+                ? SpiraConfig.parseDocument(fs.readFileSync(configFile, 'utf-8'))
+                : new yaml.Document(this.getDocumentTemplate());
+            testCases = SpiraConfig.updateMappingDocument(doc, this.config.getSectionPath('test_cases'), testCaseMappings, testNames);
+            testSets = SpiraConfig.updateMappingDocument(doc, this.config.getSectionPath('test_sets'), testSetMappings, suiteNames);
+            SpiraConfig.writeDocument(configFile, doc);
+            placeholders = testCases.placeholders + testSets.placeholders;
+        } else {
+            const content = fs.existsSync(configFile) ? fs.readFileSync(configFile, 'utf-8') : this.getTemplate();
+            const newline = content.includes('\r\n') ? '\r\n' : '\n';
+            testCases = SpiraConfig.updateMappingLines(content.split(/\r?\n/), this.config.getSectionName('test_cases'),
+                testCaseMappings, testNames);
+            testSets = SpiraConfig.updateMappingLines(testCases.lines, this.config.getSectionName('test_sets'),
+                testSetMappings, suiteNames);
+            fs.writeFileSync(configFile, testSets.lines.join(newline));
+            placeholders = testSets.lines.filter((line, index) => SpiraMappingSync.isPlaceholder(testSets.lines, index)).length;
         }
 
-        try {
-            const response = await axios.post(url, body, {
-                params: { username, 'api-key': token },
-                headers: {
-                    'accept': 'application/json',
-                    'Content-Type': 'application/json',
-                    'User-Agent': RUNNER_NAME
-                }
-            });
-            return response.data.TestRunId;
-        } catch (error) {
-            if (error.response?.status === 404) {
-                // Test Case Not Found
-                console.log(`Unable to find a matching Spira test case of id TC:${this.testCaseId}, so not able to post result`);
-            } else {
-                // General Error
-                console.log(`Unable to send results due to HTTP error: ${error.message}`);
+        console.log(`Updated '${configFile}' with ${testCases.added} new test cases and ${testSets.added} new test sets.`);
+        if (placeholders > 0) {
+            console.log(`Fill in the Spira IDs of the ${placeholders} mappings that don't have one yet.\n`);
+        }
+    }
+
+    /**
+     * Get the mappings to add (or fill in) for the names, with the ids found for them. Names that are
+     * already mapped, or that a pattern matches, are left alone
+     */
+    getNewMappings(names, ids, patterns, foundIds) {
+        const mappings = {};
+        for (const name of names) {
+            const key = name.toLowerCase();
+            if (ids[key] || patterns.some(pattern => pattern.regex.test(name))) continue;
+            mappings[name] = foundIds[key] || null;
+        }
+        return mappings;
+    }
+
+    /**
+     * See if a line of the config file is a mapping without an id (that isn't marked as no longer in the reports)
+     */
+    static isPlaceholder(lines, index) {
+        const line = lines[index].trim();
+        return /^[^#[][^=]*=\s*$/.test(line) && !(index > 0 && lines[index - 1].trim().startsWith(SpiraConfig.REMOVED_MARKER));
+    }
+
+    /**
+     * Get the ids of the Spira test cases or test sets in the project, by their lower case name
+     */
+    async findIdsByName(artifactPath, idField) {
+        const ids = {};
+        let previousFirstId = null;
+        for (let startingRow = 1; ; startingRow += SpiraMappingSync.PAGE_SIZE) {
+            const url = this.client.getUrl(`projects/${this.config.project_id}/${artifactPath}` +
+                `?starting_row=${startingRow}&number_of_rows=${SpiraMappingSync.PAGE_SIZE}&sort_field=${idField}&sort_direction=ASC`);
+            let artifacts;
+            try {
+                artifacts = (await this.client.getJson(url)).data || [];
+            } catch (error) {
+                console.log(`Unable to look up the Spira ${artifactPath.replace('-', ' ')} due to HTTP error: ${error.message}`);
+                break;
             }
-            return -1;
+
+            // Stop at the last page (or if paging is not supported and we got the same page again)
+            if (!Array.isArray(artifacts) || artifacts.length === 0 || artifacts[0][idField] === previousFirstId) break;
+            previousFirstId = artifacts[0][idField];
+            for (const artifact of artifacts) {
+                const name = (artifact.Name || '').toLowerCase();
+                if (name && !ids[name]) ids[name] = artifact[idField];
+            }
+            if (artifacts.length < SpiraMappingSync.PAGE_SIZE) break;
         }
+        return ids;
+    }
+
+    /**
+     * Get the content of a new JSON or YAML config file, with the same settings as getTemplate()
+     */
+    getDocumentTemplate() {
+        const credentials = {
+            url: this.config.url || 'https://mycompany.spiraservice.net/',
+            username: this.config.username || 'username',
+            token: '{XXXXXXXXX-XXXX-XXXX-XXXX-XXXXXXXXX}',
+            project_id: this.config.project_id > 0 ? this.config.project_id : 1
+        };
+        if (this.config.release_id > 0) credentials.release_id = this.config.release_id;
+        if (this.config.test_set_id > 0) credentials.test_set_id = this.config.test_set_id;
+        if (this.config.create_build) credentials.create_build = true;
+        return { credentials, test_cases: {}, test_sets: {} };
+    }
+
+    /**
+     * Get the content of a new config file, using any settings already given as options or environment variables
+     */
+    getTemplate() {
+        return [
+            '[credentials]',
+            '# Following are required',
+            `url = ${this.config.url || 'https://mycompany.spiraservice.net/'}`,
+            `username = ${this.config.username || 'username'}`,
+            'token = {XXXXXXXXX-XXXX-XXXX-XXXX-XXXXXXXXX}',
+            `project_id = ${this.config.project_id > 0 ? this.config.project_id : 1}`,
+            '# Following are optional:',
+            `${this.config.release_id > 0 ? '' : '# '}release_id = ${this.config.release_id > 0 ? this.config.release_id : 5}`,
+            `${this.config.test_set_id > 0 ? '' : '# '}test_set_id = ${this.config.test_set_id > 0 ? this.config.test_set_id : 1}`,
+            `${this.config.create_build ? '' : '# '}create_build = true`,
+            '',
+            '# Spira Test case for a specific classname.name',
+            '[test_cases]',
+            '',
+            '# Spira Test sets for a specific name',
+            '# If not, the global value is used instead',
+            '[test_sets]',
+            ''
+        ].join('\n');
     }
 }
 
 /**
- * Main parser class for reading xUnit XML files and extracting test results
+ * Watches folders for new report files and uploads each one once it has been completely written, and can
+ * also accept report files posted to a local HTTP endpoint. The uploaded files are recorded in the state
+ * file, so that restarting the watcher doesn't upload them again
  */
-class SpiraResultsParser {
-    // Regex pattern for finding attachment paths in system output/error
-    static REGEX_ATTACHMENT_PATH = /\[\[ATTACHMENT\|([a-zA-Z0-9_\/\\.]+)\]\]/g;
+class SpiraWatcher {
+    // The path of the ingest server that report files are posted to
+    static INGEST_PATH = '/reports';
+    // The longest wait before trying a report file that could not be uploaded, or the spool file, again (in ms)
+    static MAX_RETRY_DELAY = 10 * 60 * 1000;
+
+    constructor(configFile, overrides = {}) {
+        this.configFile = configFile;
+        this.overrides = overrides;
+        this.config = new SpiraConfig(configFile, overrides);
+        // The report files that have been uploaded, by full path, with the size and modified time they had
+        this.state = { files: {} };
+        // The report files that are still being written, with the size and modified time they had when first seen
+        this.pending = new Map();
+        // The report files that could not be uploaded, with the size and modified time they had and when to try again
+        this.failures = new Map();
+        // When to next replay the spool file, which backs off while Spira is still unavailable
+        this.replayDelay = 0;
+        this.replayAt = 0;
+        // The uploads are done one at a time, whether they come from the folders or the ingest server
+        this.queue = Promise.resolve();
+        this.folders = [];
+        this.server = null;
+        this.timer = null;
+        this.polling = null;
+        this.stopped = false;
 
-    constructor(configFile = 'spira.cfg') {
-        // Create an array to store the results we want to send to Spira
-        this.testResults = [];
-        this.config = new SpiraConfig(configFile);
-        this.attachmentRegex = SpiraResultsParser.REGEX_ATTACHMENT_PATH;
+        if (fs.existsSync(this.config.watch_state_file)) {
+            this.state = JSON.parse(fs.readFileSync(this.config.watch_state_file, 'utf-8'));
+            this.state.files = this.state.files || {};
+        }
     }
 
     /**
-     * Read an attachment file and convert it to base64 for uploading to Spira
+     * Watch the folders (and run the ingest server if there is a port) until stop() is called.
+     * Returns false if the ingest server could not be started
      */
-    readAttachmentFile(reportFile, filepath) {
-        try {
-            const reportFolder = path.dirname(reportFile);
-            const fullPath = path.join(reportFolder, filepath);
-            const fileData = fs.readFileSync(fullPath);
-            const base64Data = fileData.toString('base64');
-            return {
-                filename: filepath,
-                binary_data: base64Data
-            };
-        } catch (error) {
-            console.log(`Unable to read image file '${filepath}' due to error '${error.message}', so skipping attachment.\n`);
-            return null;
+    async run(folders) {
+        this.folders = folders.map(folder => path.resolve(folder));
+        if (this.config.ingest_port > 0) {
+            try {
+                await this.startServer();
+            } catch (error) {
+                console.log(`Unable to start the ingest server on port ${this.config.ingest_port} due to error '${error.message}'`);
+                return false;
+            }
+        }
+        for (const folder of this.folders) {
+            console.log(`Watching folder '${folder}' for new report files.`);
         }
+
+        await new Promise(resolve => {
+            this.onStop = resolve;
+            this.schedulePoll(0);
+        });
+
+        // Let anything already being uploaded finish
+        await this.polling;
+        await this.queue;
+        return true;
     }
 
     /**
-     * Parse the xUnit XML file and extract all test results
+     * Stop watching the folders and close the ingest server
      */
-    async parseResults(reportFile) {
-        // Open up the XML file
-        const xmlContent = fs.readFileSync(reportFile, 'utf-8');
-        const parser = new xml2js.Parser({ explicitArray: false, mergeAttrs: true });
-        
-        // Parse the XML into a JavaScript object
-        const result = await parser.parseStringPromise(xmlContent);
-        const testsuites = result.testsuites || result.testsuite;
-        const testsuitesRoot = result.testsuites || {};
+    stop() {
+        if (this.stopped) return;
+        this.stopped = true;
+        clearTimeout(this.timer);
+        if (this.server) this.server.close();
+        console.log('Stopping once the uploads in progress have finished.');
+        if (this.onStop) this.onStop();
+    }
 
-        // Process all test suites and test cases
-        this.processTestSuites(testsuites, reportFile);
+    /**
+     * Look for new report files again after the delay, once the last look has finished
+     */
+    schedulePoll(delay) {
+        this.timer = setTimeout(() => {
+            this.polling = this.poll().catch(error => {
+                console.log(`Unable to check the watched folders due to error '${error.message}'`);
+            }).then(() => {
+                if (!this.stopped) this.schedulePoll(this.config.watch_interval);
+            });
+        }, delay);
+    }
 
-        // Send the results to Spira
-        const spiraResults = new SpiraPostResults(this.config);
-        await spiraResults.sendResults(this.testResults, testsuitesRoot);
+    /**
+     * Find the report files in the watched folders
+     */
+    findReportFiles() {
+        const files = [];
+        for (const folder of this.folders) {
+            // A shared folder may not always be there
+            if (!fs.existsSync(folder)) continue;
+            files.push(...listFiles(folder).filter(file => SpiraResultsParser.isReportFile(file)));
+        }
+        return [...new Set(files)].sort();
     }
 
     /**
-     * Recursively process test suites (which can be nested)
+     * Upload the new and changed report files that haven't changed for the settle time. The size and
+     * modified time are compared rather than relying on file system events, which shared folders may not have
      */
-    processTestSuites(node, reportFile, suiteName = '') {
-        if (!node) return;
+    async poll() {
+        const now = Date.now();
+        if (!this.config.dry_run && now >= this.replayAt && fs.existsSync(this.config.spool_file)) {
+            await this.enqueue(() => this.replaySpool());
+        }
 
-        // Handle both single and multiple test suites
-        const suites = Array.isArray(node.testsuite) ? node.testsuite : (node.testsuite ? [node.testsuite] : [node]);
+        for (const reportFile of this.findReportFiles()) {
+            if (this.stopped) return;
 
-        // Iterate over the test suites
-        for (const suite of suites) {
-            // Get the test suite name
-            const currentSuiteName = suite.name || suiteName;
-            
-            // Recursively process nested test suites
-            if (suite.testsuite) {
-                this.processTestSuites(suite, reportFile, currentSuiteName);
+            let stats;
+            try {
+                stats = fs.statSync(reportFile);
+            } catch {
+                // The file was removed since the folder was listed
+                continue;
             }
+            const uploaded = this.state.files[reportFile];
+            if (uploaded && uploaded.size === stats.size && uploaded.mtime === stats.mtimeMs) continue;
+            const failure = this.failures.get(reportFile);
+            if (failure && failure.size === stats.size && failure.mtime === stats.mtimeMs && now < failure.retryAt) continue;
 
-            // Process test cases in this suite
-            if (suite.testcase) {
-                const testcases = Array.isArray(suite.testcase) ? suite.testcase : [suite.testcase];
-                
-                // Iterate over the test cases in the test suite
-                for (const testcase of testcases) {
-                    this.processTestCase(testcase, currentSuiteName, reportFile);
-                }
+            const pending = this.pending.get(reportFile);
+            if (!pending || pending.size !== stats.size || pending.mtime !== stats.mtimeMs) {
+                this.pending.set(reportFile, { size: stats.size, mtime: stats.mtimeMs, since: now });
+            } else if (now - pending.since >= this.config.watch_settle_time) {
+                this.pending.delete(reportFile);
+                await this.enqueue(() => this.uploadFile(reportFile, stats));
             }
         }
     }
 
     /**
-     * Process a single test case and extract all relevant information
+     * Run an upload once the ones before it have finished
      */
-    processTestCase(testcase, suiteName, reportFile) {
-        // Extract the basic test information
-        const testName = testcase.name;
-        const className = testcase.classname;
-        const elapsedTime = parseFloat(testcase.time || 0);
-        const fullName = `${className}.${testName}`;
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
 
-        // Find the matching Spira test case id for this classname.name combination
-        const testCaseId = this.config.test_case_ids[fullName.toLowerCase()];
-        
-        if (!testCaseId) {
-            console.log(`Unable to find Spira id tag for test case '${fullName}', so skipping this test case.`);
+    /**
+     * Upload a report file and record it in the state file. A file that could not be read or sent at all is
+     * not recorded, and is tried again later. Once some of the results have been sent, the file is recorded,
+     * since sending it again would duplicate them, and the requests that failed with a transient error are
+     * replayed from the spool file
+     */
+    async uploadFile(reportFile, stats) {
+        console.log(`Uploading the results in report file '${reportFile}'.`);
+        const summary = await this.sendReports([reportFile]);
+        if (!summary) {
+            const delay = this.getRetryDelay(this.failures.get(reportFile)?.delay || 0);
+            this.failures.set(reportFile, { size: stats.size, mtime: stats.mtimeMs, delay, retryAt: Date.now() + delay });
+            console.log(`Unable to upload report file '${reportFile}', so trying again in ${delay / 1000} seconds.`);
             return;
         }
 
-        // See if we have a matching test set ID, otherwise use the default one
-        const testSetId = this.config.test_set_ids[suiteName.toLowerCase()] || -1;
-
-        // Convert the test case status
-        let executionStatusId = 2; // Passed
-        let message = 'Success';
-        let details = 'Nothing Reported\n';
-        let assertCount = 0;
+        this.failures.delete(reportFile);
+        this.state.files[reportFile] = {
+            size: stats.size,
+            mtime: stats.mtimeMs,
+            uploaded: new Date().toISOString(),
+            exit_code: summary.exit_code
+        };
+        this.saveState();
+    }
 
-        // See if we have a failure node
-        if (testcase.failure) {
-            message = testcase.failure.message || 'Test Failed';
-            details = testcase.failure._ || testcase.failure;
-            executionStatusId = 1; // Fail
-            assertCount = 1;
-        } 
-        // See if we have a warning node
-        else if (testcase.warning) {
-            message = testcase.warning.message || 'Test Warning';
-            details = testcase.warning._ || testcase.warning;
-            executionStatusId = 6; // Warning
-            assertCount = 1;
-        } 
-        // See if we have an error node
-        else if (testcase.error) {
-            message = testcase.error.message || 'Test Error';
-            details = testcase.error._ || testcase.error;
-            executionStatusId = 5; // Blocked
-            assertCount = 1;
-        } 
-        // See if we have a skipped node
-        else if (testcase.skipped) {
-            message = testcase.skipped.message || 'Test Skipped';
-            details = testcase.skipped._ || testcase.skipped || '';
-            executionStatusId = 4; // N/A
-            assertCount = 1;
+    /**
+     * Send the requests that earlier uploads saved in the spool file, backing off while Spira is still unavailable
+     */
+    async replaySpool() {
+        let remaining = 1;
+        try {
+            const config = new SpiraConfig(this.configFile, this.overrides);
+            remaining = await new SpiraSpool(config.spool_file).replay(new SpiraPostResults(config));
+        } catch (error) {
+            console.log(`Unable to replay the spool file due to error '${error.message}'.`);
         }
+        this.replayDelay = remaining > 0 ? this.getRetryDelay(this.replayDelay) : 0;
+        this.replayAt = Date.now() + this.replayDelay;
+    }
 
-        // See if we have assertions attribute
-        if (testcase.assertions) {
-            assertCount = parseInt(testcase.assertions);
+    /**
+     * Get the delay before trying again, twice the last one (starting at the settle time or the interval,
+     * whichever is longer) up to the longest delay
+     */
+    getRetryDelay(lastDelay) {
+        const firstDelay = Math.max(this.config.watch_settle_time, this.config.watch_interval);
+        return Math.min(Math.max(lastDelay * 2, firstDelay), SpiraWatcher.MAX_RETRY_DELAY);
+    }
+
+    /**
+     * Send the results in the report files to Spira, returning the summary of the run or null if it could not be sent
+     */
+    async sendReports(reportFiles) {
+        try {
+            // Each upload has a parser of its own, so that the config is read again and nothing is carried over
+            const parser = new SpiraResultsParser(this.configFile, this.overrides);
+            return await parser.parseResults(reportFiles);
+        } catch (error) {
+            console.log(`Unable to report test results back to Spira due to error '${error.message}'.`);
+            return null;
         }
+    }
 
-        // See if we have any stdout or stderr to capture
-        const attachments = [];
-        const links = [];
+    /**
+     * Write the state file, through a temporary file so that it is never left half written
+     */
+    saveState() {
+        const tempFile = `${this.config.watch_state_file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.state, null, 2));
+        fs.renameSync(tempFile, this.config.watch_state_file);
+    }
 
-        // See if we have any stdout to capture
-        if (testcase['system-out']) {
-            const systemOut = testcase['system-out'];
-            details += `System Out: ${systemOut}\n`;
-            // See if we have any attachments
-            this.extractAttachments(systemOut, reportFile, attachments);
+    /**
+     * Start the ingest server, which only listens on localhost
+     */
+    startServer() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((request, response) => this.handleRequest(request, response));
+            this.server.once('error', reject);
+            this.server.listen(this.config.ingest_port, '127.0.0.1', () => {
+                console.log(`Accepting report files at http://127.0.0.1:${this.server.address().port}${SpiraWatcher.INGEST_PATH}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Handle a request to the ingest server, responding with the JSON summary of the run. An upload over
+     * ingest_max_size is rejected as soon as it is too large, without reading the rest of it
+     */
+    handleRequest(request, response) {
+        const url = new URL(request.url, 'http://127.0.0.1');
+        if (url.pathname !== SpiraWatcher.INGEST_PATH) {
+            this.sendResponse(response, 404, { error: `Report files are posted to ${SpiraWatcher.INGEST_PATH}` });
+            return;
+        }
+        if (request.method !== 'POST') {
+            this.sendResponse(response, 405, { error: 'Report files must be posted' });
+            return;
         }
 
-        // See if we have any stderr to capture
-        if (testcase['system-err']) {
-            const systemErr = testcase['system-err'];
-            details += `System Err: ${systemErr}\n`;
-            // See if we have any attachments
-            this.extractAttachments(systemErr, reportFile, attachments);
+        const chunks = [];
+        let size = 0;
+        // Whether the upload has been rejected (or failed), so the rest of it is ignored
+        let isDone = false;
+        const rejectTooLarge = () => {
+            isDone = true;
+            chunks.length = 0;
+            // Stop reading the upload straight away, and close the connection once the client has the response
+            request.pause();
+            response.setHeader('Connection', 'close');
+            response.on('finish', () => request.destroy());
+            this.sendResponse(response, 413, { error: `The upload is more than the ${this.config.ingest_max_size} bytes allowed` });
+        };
+        if (this.config.ingest_max_size >= 0 && parseInt(request.headers['content-length']) > this.config.ingest_max_size) {
+            rejectTooLarge();
+            return;
         }
 
-        // See if we have any properties, also see if any are attachments or links
-        if (testcase.properties && testcase.properties.property) {
-            const properties = Array.isArray(testcase.properties.property) 
-                ? testcase.properties.property 
-                : [testcase.properties.property];
+        request.on('data', chunk => {
+            if (isDone) return;
+            size += chunk.length;
+            if (this.config.ingest_max_size >= 0 && size > this.config.ingest_max_size) {
+                rejectTooLarge();
+            } else {
+                chunks.push(chunk);
+            }
+        });
+        request.on('error', error => {
+            isDone = true;
+            chunks.length = 0;
+            console.log(`Unable to read the posted report files due to error '${error.message}'.`);
+            if (!response.headersSent) response.statusCode = 400;
+            response.end();
+        });
+        request.on('end', () => {
+            if (isDone) return;
+            const body = Buffer.concat(chunks);
+            this.enqueue(() => this.ingest(request.headers['content-type'], body, url.searchParams.get('name')))
+                .then(result => this.sendResponse(response, result.status, result.body))
+                .catch(error => {
+                    console.log(`Unable to handle the posted report files due to error '${error.message}'.`);
+                    this.sendResponse(response, 500, { error: `Unable to handle the posted files due to error '${error.message}'` });
+                });
+        });
+    }
 
-            for (const prop of properties) {
-                const propName = prop.name;
-                const propValue = prop.value || prop._ || '';
-                details += `- ${propName}=${propValue}\n`;
+    /**
+     * Send the results in a posted body to Spira. The body is either multipart/form-data with one or more
+     * 'report' files and an optional 'attachments' zip, or a single report file (named by the name parameter)
+     */
+    async ingest(contentType, body, name) {
+        let folder = null;
+        try {
+            // The reports and attachments are unpacked into a folder of their own, so relative attachment paths work
+            folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-ingest-'));
+            const reportFiles = [];
+            const addReportFile = (filename, data) => {
+                let reportFile = path.join(folder, path.basename(filename));
+                if (fs.existsSync(reportFile)) {
+                    reportFile = path.join(folder, `${reportFiles.length + 1}-${path.basename(filename)}`);
+                }
+                fs.writeFileSync(reportFile, data);
+                reportFiles.push(reportFile);
+            };
 
-                // See if an attachment
-                if (propName.startsWith('attachment')) {
-                    if (propValue.startsWith('http')) {
-                        links.push({ url: propValue });
-                    } else {
-                        // Open the image file
-                        const attachment = this.readAttachmentFile(reportFile, propValue);
-                        if (attachment) attachments.push(attachment);
+            if (/^multipart\/form-data/i.test(contentType || '')) {
+                const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+                if (!boundary) {
+                    return { status: 400, body: { error: 'The multipart body has no boundary' } };
+                }
+                for (const part of parseMultipart(body, boundary[1] || boundary[2].trim())) {
+                    if (part.name === 'attachments') {
+                        extractZip(part.data, folder, this.config.ingest_max_unpacked_size);
+                    } else if (part.name === 'report') {
+                        addReportFile(part.filename || 'report.xml', part.data);
                     }
                 }
+            } else if (body.length > 0) {
+                addReportFile(name || 'report.xml', body);
             }
-        }
 
-        // Create new test result object and append to results array
-        this.testResults.push({
-            test_case_id: testCaseId,
-            name: fullName,
-            execution_status_id: executionStatusId,
-            stack_trace: details,
-            message: message,
-            duration_seconds: elapsedTime,
-            assert_count: assertCount,
-            test_set_id: testSetId,
-            attachments: attachments,
-            links: links
-        });
+            if (reportFiles.length === 0) {
+                return { status: 400, body: { error: 'No report files were posted' } };
+            }
+            console.log(`Uploading the results in ${reportFiles.length} posted report file(s).`);
+            const summary = await this.sendReports(reportFiles);
+            return summary
+                ? { status: 200, body: summary }
+                : { status: 422, body: { error: 'Unable to report the test results back to Spira' } };
+        } catch (error) {
+            console.log(`Unable to read the posted report files due to error '${error.message}'.`);
+            // Without a folder to unpack them into, the problem is with the server rather than the posted files
+            const status = !folder ? 500 : error instanceof ZipSizeError ? 413 : 400;
+            return { status, body: { error: `Unable to read the posted files due to error '${error.message}'` } };
+        } finally {
+            if (folder) fs.rmSync(folder, { recursive: true, force: true });
+        }
     }
 
     /**
-     * Extract attachment file paths from text using regex pattern
+     * Send a JSON response from the ingest server
      */
-    extractAttachments(text, reportFile, attachments) {
-        const matches = text.matchAll(this.attachmentRegex);
-        for (const match of matches) {
-            const filepath = match[1];
-            const attachment = this.readAttachmentFile(reportFile, filepath);
-            if (attachment) attachments.push(attachment);
-        }
+    sendResponse(response, status, body) {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body, null, 2));
     }
 }
 
+// The commands that can be given instead of the report files
+const CLI_COMMANDS = ['replay', 'validate', 'init', 'sync', 'watch'];
+
+// The command line options, with the config setting that each one overrides
+const CLI_OPTIONS = [
+    { name: 'config', arg: '<file>', description: 'The Spira configuration file, INI, JSON or YAML (default: spira.cfg)' },
+    { name: 'profile', setting: 'profile', arg: '<name>', description: 'The profile of the configuration file to use' },
+    { name: 'url', setting: 'url', arg: '<url>', description: 'The base URL of your Spira installation' },
+    { name: 'username', setting: 'username', arg: '<name>', description: 'The username you use to sign into Spira' },
+    { name: 'token', setting: 'token', arg: '<token>', description: 'Your Spira API Key / RSS Token' },
+    { name: 'project-id', setting: 'project_id', arg: '<id>', description: 'The ID of the Spira project' },
+    { name: 'release-id', setting: 'release_id', arg: '<id>', description: 'The ID of the Spira release' },
+    { name: 'test-set-id', setting: 'test_set_id', arg: '<id>', description: 'The ID of the default Spira test set' },
+    { name: 'create-build', setting: 'create_build', boolean: true, description: 'Create a new Spira build for the test runs' },
+    { name: 'build-name', setting: 'build_name', arg: '<template>', description: 'The template for the name of the new build' },
+    { name: 'build-description', setting: 'build_description', arg: '<template>', description: 'The template for the description of the new build' },
+    { name: 'build-failed-statuses', setting: 'build_failed_statuses', arg: '<statuses>', description: 'The statuses that fail the build (default: Failed, Blocked)' },
+    { name: 'build-revision', setting: 'build_revision', arg: '<commit>', description: 'The source code revision of the build' },
+    { name: 'ci', setting: 'ci', arg: '<auto|none>', description: 'Detect the CI provider from its environment variables (default: auto)' },
+    { name: 'create-test-cases', setting: 'create_test_cases', boolean: true, description: 'Create Spira test cases for unmapped tests' },
+    { name: 'test-case-folder-id', setting: 'test_case_folder_id', arg: '<id>', description: 'The Spira folder for new test cases' },
+    { name: 'id-source', setting: 'id_source', arg: '<source>', description: 'Which ids win, from the \'report\' or the \'config\'' },
+    { name: 'retries', setting: 'retries', arg: '<count>', description: 'How many times to retry a failed request (default: 3)' },
+    { name: 'retry-delay', setting: 'retry_delay', arg: '<ms>', description: 'The delay before the first retry (default: 1000)' },
+    { name: 'spool-file', setting: 'spool_file', arg: '<file>', description: 'Where to save requests that could not be sent' },
+    { name: 'concurrency', setting: 'concurrency', arg: '<count>', description: 'How many results to upload at the same time (default: 4)' },
+    { name: 'batch-size', setting: 'batch_size', arg: '<count>', description: 'How many test runs to record per request (default: 50)' },
+    { name: 'format', setting: 'format', arg: '<format>', description: 'The report format: auto (default), junit, nunit3, xunit2, trx, tap or cucumber' },
+    { name: 'summary-json', setting: 'summary_json', arg: '<file>', description: 'Write a JSON summary of the uploaded results to the file' },
+    { name: 'max-unmapped', setting: 'max_unmapped', arg: '<count>', description: 'Exit with code 3 when more tests than this are unmapped' },
+    { name: 'fail-on-test-failures', setting: 'fail_on_test_failures', boolean: true, description: 'Exit with code 4 when a test has one of the failed statuses' },
+    { name: 'suite-output', setting: 'suite_output', arg: '<target>', description: 'Where suite properties and output go: test_runs (default), build or none' },
+    { name: 'attachment-dirs', setting: 'attachment_dirs', arg: '<folders>', description: 'Other folders to look for attachments in, separated by commas' },
+    { name: 'attachment-version', setting: 'attachment_version', arg: '<version>', description: 'The version name of the uploaded attachments' },
+    { name: 'max-attachment-size', setting: 'max_attachment_size', arg: '<size>', description: 'The largest attachment file to upload, e.g. 10MB' },
+    { name: 'max-total-attachment-size', setting: 'max_total_attachment_size', arg: '<size>', description: 'The most attachment data to upload in one run, e.g. 100MB' },
+    { name: 'create-incidents', setting: 'create_incidents', boolean: true, description: 'Raise Spira incidents for failing tests' },
+    { name: 'incident-statuses', setting: 'incident_statuses', arg: '<statuses>', description: 'The statuses that raise incidents (default: Failed, Blocked)' },
+    { name: 'incident-type-id', setting: 'incident_type_id', arg: '<id>', description: 'The type of new incidents (default: Spira\'s default)' },
+    { name: 'incident-priority-id', setting: 'incident_priority_id', arg: '<id>', description: 'The priority of new incidents' },
+    { name: 'incident-owner-id', setting: 'incident_owner_id', arg: '<id>', description: 'The ID of the user that new incidents are assigned to' },
+    { name: 'incident-release-id', setting: 'incident_release_id', arg: '<id>', description: 'The detected release of new incidents (default: release-id)' },
+    { name: 'incident-on-pass', setting: 'incident_on_pass', arg: '<action>', description: 'What to do with open incidents when the test passes: none (default), comment or resolve' },
+    { name: 'streaming', setting: 'streaming', boolean: true, description: 'Read the reports one test case at a time and upload the results as they are read' },
+    { name: 'watch-state-file', setting: 'watch_state_file', arg: '<file>', description: 'Where watch records the uploaded report files (default: spira-watch.json)' },
+    { name: 'watch-interval', setting: 'watch_interval', arg: '<ms>', description: 'How often watch looks for new report files (default: 2000)' },
+    { name: 'watch-settle-time', setting: 'watch_settle_time', arg: '<ms>', description: 'How long a report file must be unchanged before it is uploaded (default: 5000)' },
+    { name: 'ingest-port', setting: 'ingest_port', arg: '<port>', description: 'With watch, accept report files posted to this localhost port' },
+    { name: 'ingest-max-size', setting: 'ingest_max_size', arg: '<size>', description: 'The largest upload the ingest server accepts (default: 100MB)' },
+    { name: 'ingest-max-unpacked-size', setting: 'ingest_max_unpacked_size', arg: '<size>', description: 'The most data a posted attachments zip can unpack to (default: 500MB)' },
+    { name: 'api-version', setting: 'api_version', arg: '<version>', description: 'The Spira REST API version: v6 (default) or v7' },
+    { name: 'proxy', setting: 'proxy', arg: '<url>', description: 'The proxy to connect to Spira through (default: HTTPS_PROXY or HTTP_PROXY)' },
+    { name: 'no-proxy', setting: 'no_proxy', arg: '<hosts>', description: 'The hosts to connect to without the proxy (default: NO_PROXY)' },
+    { name: 'ca-file', setting: 'ca_file', arg: '<files>', description: 'Extra CA certificate files to trust, separated by commas' },
+    { name: 'client-cert', setting: 'client_cert', arg: '<file>', description: 'The client certificate (PEM, or PKCS#12 with a .p12/.pfx extension)' },
+    { name: 'client-key', setting: 'client_key', arg: '<file>', description: 'The private key of a PEM client certificate' },
+    { name: 'client-passphrase', setting: 'client_passphrase', arg: '<text>', description: 'The passphrase of the client key or PKCS#12 file' },
+    { name: 'request-timeout', setting: 'request_timeout', arg: '<ms>', description: 'How long to wait for each request to Spira (default: 120000)' },
+    { name: 'debug-http', setting: 'debug_http', boolean: true, description: 'Log every request to Spira, without the API key' },
+    { name: 'rerun-strategy', setting: 'rerun_strategy', arg: '<strategy>', description: 'The status of rerun tests: last (default), any-pass or flaky' },
+    { name: 'timezone', setting: 'timezone', arg: '<zone>', description: 'The time zone of report timestamps without one (default: local)' },
+    { name: 'dry-run', setting: 'dry_run', boolean: true, valueSetting: 'dry_run_file', arg: '[=<file>]', description: 'Preview the Spira requests without sending them' },
+    { name: 'online', boolean: true, description: 'With validate, also check the project and mappings in Spira. With init or sync, look up the IDs in Spira' },
+    { name: 'help', boolean: true, description: 'Show this help' }
+];
+
 /**
- * Class responsible for posting test results to Spira
+ * See if a positional argument is a config file by its extension: INI style (.cfg), JSON or YAML.
+ * A JSON file is a report rather than a config file when it is a Cucumber report
  */
-class SpiraPostResults {
-    constructor(config) {
-        this.config = config;
+function isConfigArgument(arg) {
+    const extension = path.extname(arg).toLowerCase();
+    if (extension === '.cfg' || SpiraConfig.DOCUMENT_EXTENSIONS.includes(extension)) {
+        return !isReportArgument(arg);
     }
+    return false;
+}
 
-    /**
-     * Send all test results to Spira, optionally creating a build first
-     */
-    async sendResults(testResults, testsuites) {
-        // Only do stuff if config is specified
-        if (!this.config.url) {
-            console.log('Unable to report test results back to Spira since URL in configuration is empty');
-            return;
-        }
+/**
+ * See if a positional argument is clearly a report file, a glob pattern or a directory of report files
+ */
+function isReportArgument(arg) {
+    if (/[*?]/.test(arg) || SpiraResultsParser.isReportFile(arg)) {
+        return true;
+    }
+    try {
+        return fs.statSync(arg).isDirectory();
+    } catch (error) {
+        return false;
+    }
+}
 
-        // See if we want to create a build
-        let buildId = -1;
-        if (this.config.create_build) {
-            console.log(`Creating new build in Spira at URL '${this.config.url}'.`);
+/**
+ * Parse the command line arguments into the report files, the config file and the setting overrides.
+ * Any positional arguments are report files, except for the config file when there is more than one:
+ * the last one is the config file when it has a config file extension (.cfg, .json, .yaml or .yml),
+ * and, as in earlier versions, the second of exactly two is the config file unless it is a report file
+ */
+function parseArguments(args) {
+    const options = { command: null, reportFiles: [], configFile: null, overrides: {}, help: false, online: false };
 
-            // See if we have any test failures, if so, mark build as failed
-            let buildStatusId = 2; // Passed
-            for (const testResult of testResults) {
-                if (testResult.execution_status_id === 1) {
-                    buildStatusId = 1; // Failed
-                    break;
-                }
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            // The first positional argument can be a command instead of a report file
+            if (!options.command && options.reportFiles.length === 0 && CLI_COMMANDS.includes(arg)) {
+                options.command = arg;
+            } else {
+                options.reportFiles.push(arg);
             }
+            continue;
+        }
 
-            // Create the default build name, and description
-            const currentTime = new Date();
-            let name = `${RUNNER_NAME} Build ${currentTime.toISOString()}`;
-            let description = '';
-
-            // See if the testsuites root node has any relevant metadata
-            if (testsuites.name) name = `${testsuites.name} Build ${currentTime.toISOString()}`;
-            if (testsuites.tests) description += `# Tests: ${testsuites.tests}\n`;
-            if (testsuites.failures) description += `# Failures: ${testsuites.failures}\n`;
-            if (testsuites.errors) description += `# Errors: ${testsuites.errors}\n`;
-            if (testsuites.skipped) description += `# Skipped: ${testsuites.skipped}\n`;
-            if (testsuites.assertions) description += `# Assertions: ${testsuites.assertions}\n`;
-
-            // Create the build and get its id
-            const spiraBuild = new SpiraBuild(
-                this.config.project_id,
-                this.config.release_id,
-                buildStatusId,
-                name,
-                description
-            );
-            buildId = await spiraBuild.post(this.config.url, this.config.username, this.config.token);
+        // Options can be given as --name value or --name=value
+        const [name, ...valueParts] = arg.slice(2).split('=');
+        const hasValue = valueParts.length > 0;
+        let value = valueParts.join('=');
+        const option = CLI_OPTIONS.find(cliOption => cliOption.name === name);
+        if (!option) {
+            throw new Error(`Unknown option '--${name}', use --help to see the available options`);
         }
 
-        console.log(`Sending test results to Spira at URL '${this.config.url}'.`);
-        
-        try {
-            // Loop through all the tests
-            let successCount = 0;
-            for (const testResult of testResults) {
-                // Get the current date/time
-                const currentTime = new Date();
-                
-                // Send the result
-                const isError = await this.sendResult(testResult, currentTime, buildId);
-                if (!isError) successCount++;
+        if (option.boolean) {
+            // A boolean flag can be given on its own, as true/false or (for some) with a file name
+            if (!hasValue || ['true', 'false'].includes(value.toLowerCase())) {
+                value = hasValue ? value.toLowerCase() : 'true';
+            } else if (option.valueSetting) {
+                options.overrides[option.valueSetting] = value;
+                value = 'true';
+            } else {
+                throw new Error(`Option '--${name}' must be true or false`);
+            }
+        } else if (!hasValue) {
+            if (i + 1 >= args.length) {
+                throw new Error(`Option '--${name}' needs a value`);
             }
+            value = args[++i];
+        }
 
-            // Report to the console
-            console.log(`Successfully reported ${successCount} test cases to Spira.\n`);
-        } catch (error) {
-            console.log(`Unable to report test cases to Spira due to error '${error.message}'.\n`);
+        if (option.name === 'help') {
+            options.help = true;
+        } else if (option.name === 'online') {
+            options.online = value === 'true';
+        } else if (option.name === 'config') {
+            options.configFile = value;
+        } else {
+            options.overrides[option.setting] = value;
         }
     }
 
-    /**
-     * Send a single test result to Spira
-     */
-    async sendResult(testResult, currentTime, buildId) {
-        try {
-            // See if we have a test specific test set id to use, otherwise use the global one
-            const testSetId = testResult.test_set_id > 0 
-                ? testResult.test_set_id 
-                : this.config.test_set_id;
-
-            // Calculate start time based on duration
-            const startTime = new Date(currentTime.getTime() - testResult.duration_seconds * 1000);
-            
-            // Create the Spira test run
-            const testRun = new SpiraTestRun(
-                this.config.project_id,
-                testResult.test_case_id,
-                testResult.name,
-                testResult.stack_trace,
-                testResult.execution_status_id,
-                startTime,
-                currentTime,
-                testResult.message,
-                this.config.release_id,
-                testSetId,
-                testResult.assert_count,
-                buildId
-            );
+    // Keep supporting the <xml-file> <config-file> positional arguments
+    const lastArg = options.reportFiles[options.reportFiles.length - 1];
+    if (!options.configFile && options.reportFiles.length > 1
+        && (isConfigArgument(lastArg) || (options.reportFiles.length === 2 && !isReportArgument(lastArg)))) {
+        options.configFile = options.reportFiles.pop();
+    }
+    return options;
+}
 
-            // Post the test run!
-            const testRunId = await testRun.post(this.config.url, this.config.username, this.config.token);
-            const isError = testRunId < 1;
+/**
+ * Print the command line usage to the console
+ */
+function printUsage() {
+    console.log('Usage: spira-xunit-reader [options] [report-files...] [config-file]');
+    console.log('       spira-xunit-reader replay [spool-file] [options]');
+    console.log('       spira-xunit-reader validate [report-files...] [config-file] [--online] [options]');
+    console.log('       spira-xunit-reader init|sync [report-files...] [config-file] [--online] [options]');
+    console.log('       spira-xunit-reader watch [folders...] [--ingest-port <port>] [options]\n');
+    console.log('Sends the results in xUnit XML report files (or globs/directories of them) to Spira.');
+    console.log('The replay command sends the requests saved in the spool file by an earlier run.');
+    console.log('The validate command checks the configuration against the reports, and Spira with --online.');
+    console.log('The init and sync commands write the mappings of the tests and suites in the reports to the config file.');
+    console.log('The watch command uploads each new report file in the folders (or posted to the ingest port) until stopped.');
+    console.log('Defaults to xunit.xml and spira.cfg. The config file is optional when all the settings');
+    console.log(`are given as options or ${SpiraConfig.ENVIRONMENT_PREFIX}* environment variables (e.g. SPIRA_TOKEN).\n`);
+    console.log('Options:');
+    // Boolean flags with an optional value show it straight after the flag
+    const flags = CLI_OPTIONS.map(option => `--${option.name}${option.arg ? `${option.boolean ? '' : ' '}${option.arg}` : ''}`);
+    const width = Math.max(...flags.map(flag => flag.length)) + 2;
+    CLI_OPTIONS.forEach((option, index) => {
+        console.log(`  ${flags[index].padEnd(width)}${option.description}`);
+    });
+    console.log('\nExit codes: 0 success, 1 error, 2 upload failures, 3 too many unmapped tests, 4 test failures.');
+}
 
-            if (!isError) {
-                // See if we have any file attachments to include
-                if (testResult.attachments) {
-                    for (const attachment of testResult.attachments) {
-                        const spiraDocument = new SpiraDocument(
-                            this.config.project_id,
-                            1, // File attachment
-                            testRunId,
-                            attachment.filename,
-                            '1.0'
-                        );
-                        await spiraDocument.post(
-                            this.config.url,
-                            this.config.username,
-                            this.config.token,
-                            attachment.binary_data
-                        );
-                    }
-                }
+/**
+ * Run the command given on the command line, returning the process exit code
+ */
+async function runCommand(options) {
+    const configFile = options.configFile || 'spira.cfg';
 
-                // See if we have any url attachments to include
-                if (testResult.links) {
-                    for (const link of testResult.links) {
-                        const spiraDocument = new SpiraDocument(
-                            this.config.project_id,
-                            2, // URL attachment
-                            testRunId,
-                            link.url,
-                            '1.0'
-                        );
-                        await spiraDocument.post(this.config.url, this.config.username, this.config.token);
-                    }
-                }
-            }
+    // Send anything saved in the spool file by an earlier run
+    if (options.command === 'replay') {
+        const config = new SpiraConfig(configFile, options.overrides);
+        const spool = new SpiraSpool(options.reportFiles[0] || config.spool_file);
+        const remaining = await spool.replay(new SpiraPostResults(config));
+        return remaining > 0 ? SpiraPostResults.EXIT_CODES.UPLOAD_FAILED : SpiraPostResults.EXIT_CODES.SUCCESS;
+    }
 
-            return isError;
-        } catch (error) {
-            console.log(`Unable to report test case '${testResult.name}' to Spira due to error '${error.message}'.\n`);
-            return true;
+    // Keep uploading new report files until stopped
+    if (options.command === 'watch') {
+        const watcher = new SpiraWatcher(configFile, options.overrides);
+        if (options.reportFiles.length === 0 && !(watcher.config.ingest_port > 0)) {
+            console.log('Unable to watch for report files since no folders or ingest port were given');
+            return SpiraPostResults.EXIT_CODES.ERROR;
+        }
+        process.once('SIGINT', () => watcher.stop());
+        process.once('SIGTERM', () => watcher.stop());
+        return await watcher.run(options.reportFiles) ? SpiraPostResults.EXIT_CODES.SUCCESS : SpiraPostResults.EXIT_CODES.ERROR;
+    }
+
+    // Parse the files and report the results
+    const reportFiles = options.reportFiles.length > 0 ? options.reportFiles : ['xunit.xml'];
+    const parser = new SpiraResultsParser(configFile, options.overrides);
+
+    // Check the config against the reports (and Spira) without sending any results
+    if (options.command === 'validate') {
+        if (!await parser.readResults(reportFiles)) {
+            console.log('Unable to validate the configuration since no report files were found');
+            return SpiraPostResults.EXIT_CODES.ERROR;
+        }
+        const problems = await new SpiraValidator(parser).validate(options.online);
+        return problems.length > 0 ? SpiraPostResults.EXIT_CODES.ERROR : SpiraPostResults.EXIT_CODES.SUCCESS;
+    }
+
+    // Write the mappings of the tests and suites in the reports to the config file
+    if (options.command === 'init' || options.command === 'sync') {
+        if (options.command === 'init' && fs.existsSync(configFile)) {
+            console.log(`The config file '${configFile}' already exists, use the sync command to update it`);
+            return SpiraPostResults.EXIT_CODES.ERROR;
         }
+        if (!await parser.readResults(reportFiles)) {
+            console.log('Unable to write the mappings since no report files were found');
+            return SpiraPostResults.EXIT_CODES.ERROR;
+        }
+        await new SpiraMappingSync(parser).sync(options.online);
+        return SpiraPostResults.EXIT_CODES.SUCCESS;
     }
+
+    const summary = await parser.parseResults(reportFiles);
+    return summary ? summary.exit_code : SpiraPostResults.EXIT_CODES.ERROR;
 }
 
 // Main execution
 if (require.main === module) {
     // Get the command arguments, if there are any
-    const args = process.argv.slice(2);
-    const reportFile = args[0] || 'xunit.xml';
-    const configFile = args[1] || 'spira.cfg';
-
-    // Parse the file and report the results
-    const parser = new SpiraResultsParser(configFile);
-    parser.parseResults(reportFile).catch(error => {
-        console.error('Error parsing results:', error.message);
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    if (options.help) {
+        printUsage();
+        process.exit(0);
+    }
+
+    // An explicitly named config file must exist, the default one is optional
+    if (options.configFile && !['init', 'sync'].includes(options.command) && !fs.existsSync(options.configFile)) {
+        console.error(`Unable to find the config file '${options.configFile}'`);
+        process.exit(1);
+    }
+
+    runCommand(options).then(exitCode => {
+        process.exitCode = exitCode;
+    }).catch(error => {
+        if (error instanceof SpiraConfigError) {
+            console.error(error.message);
+        } else {
+            console.error('Error parsing results:', error.message);
+        }
         process.exit(1);
     });
 }
 
 // Export classes for use as a module
-module.exports = { SpiraResultsParser, SpiraPostResults, SpiraTestRun, SpiraBuild, SpiraDocument, SpiraConfig };
+module.exports = {
+    SpiraResultsParser, SpiraPostResults, SpiraValidator, SpiraMappingSync, SpiraWatcher, SpiraTestRun, SpiraTestRunBatch,
+    SpiraBuild, SpiraDocument, SpiraDocumentLink, SpiraIncident, SpiraIncidentComment, SpiraAssociation, SpiraTestCase,
+    SpiraSpool, SpiraConfig, SpiraConfigError, SpiraClient
+};
@@ -0,0 +1,95 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser } = require('../spira-xunit-reader');
+
+let folder;
+let reportFile;
+
+/**
+ * Create a parser with the given setting overrides
+ */
+function createParser(overrides = {}) {
+    return new SpiraResultsParser(path.join(folder, 'missing.cfg'), overrides);
+}
+
+/**
+ * Get the full paths of the files attached by the markers in the text
+ */
+function getAttachedFiles(text, overrides = {}) {
+    const attachments = [];
+    createParser(overrides).extractAttachments(text, reportFile, attachments);
+    return attachments.map(attachment => attachment.file_path);
+}
+
+before(() => {
+    folder = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'spira-attachments-test-')));
+    reportFile = path.join(folder, 'reports', 'junit.xml');
+    fs.mkdirSync(path.join(folder, 'reports', 'shots'), { recursive: true });
+    fs.mkdirSync(path.join(folder, 'logs'));
+    fs.mkdirSync(path.join(folder, 'outside'));
+    fs.writeFileSync(path.join(folder, 'reports', 'shots', 'login page [1].png'), 'screenshot');
+    fs.writeFileSync(path.join(folder, 'logs', 'run.log'), 'log');
+    fs.writeFileSync(path.join(folder, 'outside', 'secret.txt'), 'secret');
+    fs.writeFileSync(path.join(folder, 'outside', 'big.bin'), Buffer.alloc(2048));
+    fs.symlinkSync(path.join(folder, 'outside', 'secret.txt'), path.join(folder, 'reports', 'link.txt'));
+});
+
+after(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('relative paths are found in the report folder, then the attachment folders', () => {
+    assert.deepStrictEqual(getAttachedFiles('[[ATTACHMENT|shots/login page [1].png]] [[ATTACHMENT|run.log]]', {
+        attachment_dirs: path.join(folder, 'logs')
+    }), [
+        path.join(folder, 'reports', 'shots', 'login page [1].png'),
+        path.join(folder, 'logs', 'run.log')
+    ]);
+});
+
+test('absolute paths inside the report and attachment folders are allowed', () => {
+    const attachments = [];
+    const parser = createParser({ attachment_dirs: path.join(folder, 'logs') });
+    parser.extractAttachments(`[[ATTACHMENT|${path.join(folder, 'logs', 'run.log')}]]`, reportFile, attachments);
+
+    // Absolute paths are uploaded with just their file name
+    assert.deepStrictEqual(attachments.map(attachment => [attachment.filename, attachment.file_path]), [
+        ['run.log', path.join(folder, 'logs', 'run.log')]
+    ]);
+});
+
+test('files outside of the report and attachment folders are never attached', () => {
+    const parser = createParser({ attachment_dirs: path.join(folder, 'logs') });
+
+    assert.strictEqual(parser.resolveAttachmentPath(reportFile, '../outside/secret.txt'), null);
+    assert.strictEqual(parser.resolveAttachmentPath(reportFile, '../logs/../outside/secret.txt'), null);
+    assert.strictEqual(parser.resolveAttachmentPath(reportFile, path.join(folder, 'outside', 'secret.txt')), null);
+    // A link is followed before checking where the file really is
+    assert.strictEqual(parser.resolveAttachmentPath(reportFile, 'link.txt'), null);
+});
+
+test('the current folder is only used when it is one of the attachment folders', () => {
+    assert.deepStrictEqual(getAttachedFiles('[[ATTACHMENT|package.json]]'), []);
+    assert.deepStrictEqual(getAttachedFiles('[[ATTACHMENT|package.json]]', { attachment_dirs: '.' }), [
+        fs.realpathSync('package.json')
+    ]);
+});
+
+test('missing files are skipped', () => {
+    assert.deepStrictEqual(getAttachedFiles('[[ATTACHMENT|shots/missing.png]]'), []);
+});
+
+test('files over the size limits are skipped, and each unique file counts once towards the run limit', () => {
+    const parser = createParser({ attachment_dirs: path.join(folder, 'outside'), max_attachment_size: '1KB', max_total_attachment_size: '15' });
+    const attachments = [];
+    const text = '[[ATTACHMENT|big.bin]] [[ATTACHMENT|secret.txt]] [[ATTACHMENT|shots/login page [1].png]]';
+
+    parser.extractAttachments(text, reportFile, attachments);
+    // The same file attached again doesn't count towards the limit again
+    parser.extractAttachments('[[ATTACHMENT|secret.txt]]', reportFile, attachments);
+
+    assert.deepStrictEqual(attachments.map(attachment => attachment.filename), ['secret.txt', 'secret.txt']);
+});
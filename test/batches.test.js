@@ -0,0 +1,134 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser, SpiraPostResults } = require('../spira-xunit-reader');
+const { startMockSpira } = require('./mock-spira');
+
+let spira;
+let folder;
+let configFile;
+let spoolFile;
+let reportFile;
+
+/**
+ * Send the report to the mock Spira with the given setting overrides, returning the summary of the run
+ */
+async function sendReport(overrides = {}) {
+    spira.requests.length = 0;
+    const parser = new SpiraResultsParser(configFile, overrides);
+    return parser.parseResults([reportFile]);
+}
+
+/**
+ * Get the requests sent to the mock Spira whose path ends with the text
+ */
+function getRequests(pathEnd) {
+    return spira.requests.filter(request => request.path.endsWith(pathEnd));
+}
+
+before(async () => {
+    spira = await startMockSpira();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-batches-test-'));
+    configFile = path.join(folder, 'spira.cfg');
+    spoolFile = path.join(folder, 'spira-spool.json');
+    reportFile = path.join(folder, 'junit.xml');
+    fs.writeFileSync(reportFile, [
+        '<testsuite name="LIS.Loans">',
+        ...[1, 2, 3, 4, 5].map(number => `    <testcase name="loan${number}" classname="LIS.Loans" time="1" />`),
+        '</testsuite>',
+        ''
+    ].join('\n'));
+    fs.writeFileSync(configFile, [
+        '[credentials]',
+        `url = ${spira.url}`,
+        'username = tester',
+        'token = {TOKEN}',
+        'project_id = 1',
+        'release_id = 2',
+        'retries = 0',
+        'ci = none',
+        'concurrency = 1',
+        'batch_size = 3',
+        `spool_file = ${spoolFile}`,
+        '[test_cases]',
+        'LIS.Loans.* = 7',
+        ''
+    ].join('\n'));
+});
+
+after(async () => {
+    await spira.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('the test runs are recorded in batches of batch_size, and each result gets its own test run id', async () => {
+    spira.reset();
+
+    const summary = await sendReport();
+
+    const batches = getRequests('/test-runs/record-multiple');
+    assert.deepStrictEqual(batches.map(request => request.body.map(testRun => testRun.RunnerTestName)), [
+        ['LIS.Loans.loan1', 'LIS.Loans.loan2', 'LIS.Loans.loan3'],
+        ['LIS.Loans.loan4', 'LIS.Loans.loan5']
+    ]);
+    assert.deepStrictEqual(getRequests('/test-runs/record'), []);
+    const testRunIds = batches.flatMap(request => request.response.map(testRun => testRun.TestRunId));
+    assert.deepStrictEqual(summary.tests.map(entry => entry.test_run_id), testRunIds);
+    assert.strictEqual(summary.exit_code, SpiraPostResults.EXIT_CODES.SUCCESS);
+});
+
+test('a batch_size of 1 records each test run on its own', async () => {
+    spira.reset();
+
+    await sendReport({ batch_size: '1' });
+
+    assert.deepStrictEqual(getRequests('/test-runs/record-multiple'), []);
+    assert.strictEqual(getRequests('/test-runs/record').length, 5);
+});
+
+test('when Spira rejects a batch, its test runs are sent one by one to find the one it does not accept', async () => {
+    spira.reset();
+    spira.respond(/\/test-runs\/record-multiple$/, 400, { Message: 'The test run is not valid' }, 1);
+    // Only the third test run on its own is rejected
+    spira.respond(/\/test-runs\/record$/, 200, () => ({ TestRunId: 900 }), 2);
+    spira.respond(/\/test-runs\/record$/, 400, { Message: 'The test run is not valid' }, 1);
+
+    const summary = await sendReport();
+
+    assert.strictEqual(getRequests('/test-runs/record-multiple').length, 2);
+    assert.deepStrictEqual(getRequests('/test-runs/record').map(request => [request.body.RunnerTestName, request.status]), [
+        ['LIS.Loans.loan1', 200],
+        ['LIS.Loans.loan2', 200],
+        ['LIS.Loans.loan3', 400]
+    ]);
+    assert.deepStrictEqual(summary.tests.map(entry => [entry.name, entry.test_run_id > 0, entry.spooled]), [
+        ['LIS.Loans.loan1', true, false],
+        ['LIS.Loans.loan2', true, false],
+        ['LIS.Loans.loan3', false, false],
+        ['LIS.Loans.loan4', true, false],
+        ['LIS.Loans.loan5', true, false]
+    ]);
+    assert.match(summary.tests[2].error, /status code 400/);
+    assert.strictEqual(summary.exit_code, SpiraPostResults.EXIT_CODES.UPLOAD_FAILED);
+    assert.strictEqual(fs.existsSync(spoolFile), false);
+});
+
+test('when a batch fails with a 503, each of its test runs is spooled on its own', async () => {
+    spira.reset();
+    spira.respond(/\/test-runs\/record-multiple$/, 503, {}, 1);
+
+    const summary = await sendReport();
+
+    assert.deepStrictEqual(getRequests('/test-runs/record'), []);
+    assert.deepStrictEqual(summary.tests.map(entry => entry.spooled), [true, true, true, false, false]);
+    const entries = JSON.parse(fs.readFileSync(spoolFile, 'utf-8')).entries;
+    assert.deepStrictEqual(entries.map(entry => [entry.url.endsWith('/test-runs/record'), entry.body.RunnerTestName, entry.dependsOn]), [
+        [true, 'LIS.Loans.loan1', {}],
+        [true, 'LIS.Loans.loan2', {}],
+        [true, 'LIS.Loans.loan3', {}]
+    ]);
+    assert.strictEqual(summary.exit_code, SpiraPostResults.EXIT_CODES.UPLOAD_FAILED);
+    fs.unlinkSync(spoolFile);
+});
@@ -0,0 +1,145 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser } = require('../spira-xunit-reader');
+const { startMockSpira } = require('./mock-spira');
+
+// The test case elements for each execution status
+const TEST_CASES = {
+    passed: '<testcase name="passed" classname="LIS.Builds" time="1" />',
+    failed: '<testcase name="failed" classname="LIS.Builds" time="1"><failure message="Failed" /></testcase>',
+    error: '<testcase name="error" classname="LIS.Builds" time="1"><error message="Error" /></testcase>',
+    skipped: '<testcase name="skipped" classname="LIS.Builds" time="1"><skipped /></testcase>'
+};
+
+// The environment of a GitHub Actions run
+const GITHUB_ENV = {
+    GITHUB_ACTIONS: 'true',
+    GITHUB_SHA: 'd205f50f6463cf4e684b6f81411a859346580fa5',
+    GITHUB_REF_NAME: 'main',
+    GITHUB_REPOSITORY: 'Inflectra/spira-addons-xunit',
+    GITHUB_RUN_ID: '1234',
+    GITHUB_RUN_NUMBER: '56'
+};
+
+let spira;
+let folder;
+let configFile;
+
+/**
+ * Send a report with the given test cases to the mock Spira, returning the body of the build it created
+ */
+async function sendTests(testCases, overrides = {}) {
+    spira.requests.length = 0;
+    const reportFile = path.join(folder, 'junit.xml');
+    fs.writeFileSync(reportFile, `<testsuite name="LIS.Builds" tests="${testCases.length}">\n` +
+        testCases.map(testCase => `    ${TEST_CASES[testCase]}\n`).join('') + '</testsuite>\n');
+    const parser = new SpiraResultsParser(configFile, overrides);
+    await parser.parseResults([reportFile]);
+    return spira.requests.find(request => request.path.endsWith('/builds')).body;
+}
+
+/**
+ * Run the code with the environment variables set, putting them back afterwards
+ */
+async function withEnv(env, callback) {
+    const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+    Object.assign(process.env, env);
+    try {
+        return await callback();
+    } finally {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = value;
+            }
+        }
+    }
+}
+
+before(async () => {
+    spira = await startMockSpira();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-builds-test-'));
+    configFile = path.join(folder, 'spira.cfg');
+    fs.writeFileSync(configFile, [
+        '[credentials]',
+        `url = ${spira.url}`,
+        'username = tester',
+        'token = {TOKEN}',
+        'project_id = 1',
+        'release_id = 2',
+        'retries = 0',
+        'ci = none',
+        'create_build = true',
+        `spool_file = ${path.join(folder, 'spira-spool.json')}`,
+        '[test_cases]',
+        'LIS.Builds.* = 7',
+        ''
+    ].join('\n'));
+});
+
+after(async () => {
+    await spira.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('the build fails when a test failed or had an error, is unstable when none passed, and succeeds otherwise', async () => {
+    const cases = [
+        [['passed', 'failed'], 1],
+        [['passed', 'error'], 1],
+        [['passed', 'skipped'], 2],
+        [['passed'], 2],
+        [['skipped'], 3]
+    ];
+    for (const [testCases, buildStatusId] of cases) {
+        const build = await sendTests(testCases);
+        assert.strictEqual(build.BuildStatusId, buildStatusId, testCases.join(', '));
+    }
+});
+
+test('the statuses that fail the build can be configured by name or id', async () => {
+    assert.strictEqual((await sendTests(['passed', 'error'], { build_failed_statuses: 'Failed' })).BuildStatusId, 2);
+    assert.strictEqual((await sendTests(['passed', 'skipped'], { build_failed_statuses: 'Failed, 4' })).BuildStatusId, 1);
+});
+
+test('the build name and description come from the templates', async () => {
+    const build = await sendTests(['passed'], {
+        build_name: '{name} for release {release_id} on {date}',
+        build_description: 'Tests: {tests}\\nBuilt by {env:LIS_BUILDER}'
+    });
+
+    assert.strictEqual(build.Name, `LIS.Builds for release 2 on ${new Date().toISOString().slice(0, 10)}`);
+    // An unset environment variable is left empty
+    assert.strictEqual(build.Description, 'Tests: 1\nBuilt by ');
+    assert.strictEqual(build.Revisions, undefined);
+});
+
+test('the CI details are detected from the environment and the commit is linked to the build', async () => {
+    const build = await withEnv(GITHUB_ENV, () => sendTests(['passed'], {
+        ci: 'auto',
+        build_name: '{ci} {branch} #{job} ({short_commit})'
+    }));
+
+    assert.strictEqual(build.Name, 'GitHub Actions main #56 (d205f50)');
+    assert.strictEqual(build.Description, [
+        'CI: GitHub Actions',
+        'Branch: main',
+        'Commit: d205f50f6463cf4e684b6f81411a859346580fa5',
+        'Pipeline: https://github.com/Inflectra/spira-addons-xunit/actions/runs/1234',
+        'Job: 56',
+        '# Tests: 1',
+        ''
+    ].join('\n'));
+    assert.deepStrictEqual(build.Revisions, [{ RevisionKey: 'd205f50f6463cf4e684b6f81411a859346580fa5' }]);
+});
+
+test('the build_revision setting wins over the CI commit, and ci = none ignores the environment', async () => {
+    const build = await withEnv(GITHUB_ENV, () => sendTests(['passed'], { build_revision: 'v1.7.74', build_name: '{ci}|{branch}|{commit}' }));
+
+    assert.strictEqual(build.Name, '||v1.7.74');
+    assert.deepStrictEqual(build.Revisions, [{ RevisionKey: 'v1.7.74' }]);
+    assert.doesNotMatch(build.Description, /CI: /);
+});
@@ -0,0 +1,133 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const { test, before, after } = require('node:test');
+const { SpiraClient, SpiraConfig, SpiraConfigError } = require('../spira-xunit-reader');
+const { startMockSpira } = require('./mock-spira');
+
+let spira;
+let folder;
+
+/**
+ * Create a client with the given settings, and none from the environment
+ */
+function createClient(overrides = {}) {
+    return new SpiraClient(new SpiraConfig(null, overrides, {}));
+}
+
+/**
+ * Run the code, returning what it logged to the console
+ */
+async function captureConsole(callback) {
+    const lines = [];
+    const log = console.log;
+    console.log = (...args) => lines.push(args.join(' '));
+    try {
+        await callback();
+    } finally {
+        console.log = log;
+    }
+    return lines;
+}
+
+before(async () => {
+    spira = await startMockSpira();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-client-test-'));
+});
+
+after(async () => {
+    await spira.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('the REST API URLs are joined to the Spira URL without doubled slashes, for the API version', () => {
+    assert.strictEqual(createClient({ url: 'https://spira.example.com/' }).getUrl('projects/1/test-runs/record'),
+        'https://spira.example.com/Services/v6_0/RestService.svc/projects/1/test-runs/record');
+    assert.strictEqual(createClient({ url: 'https://spira.example.com/spira', api_version: 'v7' }).getUrl('/projects/1/builds'),
+        'https://spira.example.com/spira/Services/v7_0/RestService.svc/projects/1/builds');
+});
+
+test('the proxy comes from the setting, or else the environment variable for the protocol', () => {
+    const env = { HTTPS_PROXY: 'http://secure-proxy:3128', http_proxy: 'http://plain-proxy:3128' };
+
+    assert.strictEqual(createClient().getProxy('https://spira.example.com/', env), 'http://secure-proxy:3128');
+    assert.strictEqual(createClient().getProxy('http://spira.example.com/', env), 'http://plain-proxy:3128');
+    assert.strictEqual(createClient({ proxy: 'http://proxy:8080' }).getProxy('https://spira.example.com/', env), 'http://proxy:8080');
+    assert.strictEqual(createClient().getProxy('https://spira.example.com/', {}), '');
+});
+
+test('the hosts in no_proxy or NO_PROXY are not sent through the proxy', () => {
+    const client = createClient({ proxy: 'http://proxy:8080' });
+    const getProxy = (url, noProxy) => client.getProxy(url, { NO_PROXY: noProxy });
+
+    assert.strictEqual(getProxy('https://spira.example.com/', 'example.com'), '');
+    assert.strictEqual(getProxy('https://spira.example.com/', '.example.com'), '');
+    assert.strictEqual(getProxy('https://spira.example.com/', 'localhost, *.example.com'), '');
+    assert.strictEqual(getProxy('https://spira.example.com/', '*'), '');
+    assert.strictEqual(getProxy('https://spira.example.com/', 'spira.example.com:443'), '');
+    // Only the host itself and its sub-domains match, and only on the given port
+    assert.strictEqual(getProxy('https://spira.example.com/', 'ample.com'), 'http://proxy:8080');
+    assert.strictEqual(getProxy('https://spira.example.com/', 'spira.example.com:8443'), 'http://proxy:8080');
+    assert.strictEqual(getProxy('https://example.com.evil.net/', 'example.com'), 'http://proxy:8080');
+    // The setting wins over the environment variable
+    const noProxyClient = createClient({ proxy: 'http://proxy:8080', no_proxy: 'other.com' });
+    assert.strictEqual(noProxyClient.getProxy('https://spira.example.com/', { NO_PROXY: 'example.com' }), 'http://proxy:8080');
+});
+
+test('plain HTTP requests are sent through the proxy, and the debug log leaves out the API key and proxy password', async () => {
+    spira.reset();
+    const proxyUrl = new URL(spira.url);
+    proxyUrl.username = 'proxy-user';
+    proxyUrl.password = 'proxy-secret';
+    const client = createClient({
+        url: 'http://spira.invalid/',
+        username: 'tester',
+        token: '{SECRET-TOKEN}',
+        proxy: proxyUrl.href,
+        debug_http: 'true'
+    });
+
+    const lines = await captureConsole(() => client.postJson(client.getUrl('projects/1/builds'), { Name: 'Build' }));
+
+    // The mock Spira is the proxy, so it gets the request for the Spira host
+    assert.deepStrictEqual(spira.requests.map(request => [request.path, request.query]), [
+        ['/Services/v6_0/RestService.svc/projects/1/builds', { username: 'tester', 'api-key': '{SECRET-TOKEN}' }]
+    ]);
+    assert.strictEqual(lines.length, 1);
+    assert.match(lines[0], /^\[HTTP\] POST http:\/\/spira\.invalid\/Services\/v6_0\/RestService\.svc\/projects\/1\/builds\?username=tester&api-key=\*\*\* via proxy http:\/\/\*\*\*@127\.0\.0\.1:\d+\/ -> HTTP 200 in \d+ ms$/);
+    assert.doesNotMatch(lines[0], /SECRET|proxy-secret/);
+});
+
+test('failed requests are logged without the API key too, and nothing is logged unless debug_http is on', async () => {
+    spira.reset();
+    spira.respond(/\/builds$/, 404, {});
+    const request = client => client.postJson(client.getUrl('projects/1/builds'), {}).catch(error => error);
+
+    const lines = await captureConsole(() => request(createClient({ url: spira.url, token: 'SECRET', debug_http: 'true' })));
+    assert.match(lines[0], /api-key=\*\*\* -> HTTP 404 in \d+ ms$/);
+    assert.doesNotMatch(lines[0], /SECRET/);
+
+    assert.deepStrictEqual(await captureConsole(() => request(createClient({ url: spira.url, token: 'SECRET' }))), []);
+});
+
+test('the custom CAs are trusted as well as the built in ones, and the client certificate files are read', () => {
+    const caFile = path.join(folder, 'ca.pem');
+    const pfxFile = path.join(folder, 'client.p12');
+    fs.writeFileSync(caFile, 'internal CA');
+    fs.writeFileSync(pfxFile, 'client certificate');
+
+    const options = createClient({ ca_file: caFile, client_cert: pfxFile, client_passphrase: 'secret' }).tlsOptions;
+
+    assert.strictEqual(options.ca.length, tls.rootCertificates.length + 1);
+    assert.strictEqual(options.ca[options.ca.length - 1].toString(), 'internal CA');
+    assert.strictEqual(options.pfx.toString(), 'client certificate');
+    assert.strictEqual(options.passphrase, 'secret');
+    assert.deepStrictEqual(createClient().tlsOptions, {});
+});
+
+test('a certificate file that can not be read is a config problem', () => {
+    assert.throws(() => createClient({ ca_file: path.join(folder, 'missing.pem') }), error =>
+        error instanceof SpiraConfigError && /^ca_file: unable to read '.*missing\.pem' \(ENOENT/.test(error.problems[0]));
+});
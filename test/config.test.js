@@ -0,0 +1,240 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraConfig, SpiraConfigError } = require('../spira-xunit-reader');
+
+let folder;
+
+/**
+ * Write a config file to the temporary folder, returning its path
+ */
+function writeConfig(name, lines) {
+    const configFile = path.join(folder, name);
+    fs.writeFileSync(configFile, Array.isArray(lines) ? lines.join('\n') : lines);
+    return configFile;
+}
+
+/**
+ * Get the problems that loading the config file finds
+ */
+function getProblems(configFile, overrides = {}, env = {}) {
+    try {
+        new SpiraConfig(configFile, overrides, env);
+    } catch (error) {
+        assert.ok(error instanceof SpiraConfigError);
+        return error.problems;
+    }
+    return [];
+}
+
+/**
+ * Get the settings and mappings that the tests look at
+ */
+function getValues(config) {
+    return {
+        url: config.url,
+        project_id: config.project_id,
+        release_id: config.release_id,
+        create_build: config.create_build,
+        test_case_ids: config.test_case_ids,
+        test_set_ids: config.test_set_ids
+    };
+}
+
+// The same settings in each format: a base, a shared staging profile, and a staging profile that extends it
+const INI_CONFIG = [
+    '[credentials]',
+    'url = https://spira.example.com/',
+    'project_id = 1',
+    'release_id = 2',
+    '[test_cases]',
+    'LIS.Loans.loan1 = 10',
+    'LIS.Loans.loan2 = 11',
+    '[test_sets]',
+    'LIS.Loans = 5',
+    '',
+    '[credentials:shared-staging]',
+    'url = https://staging.example.com/',
+    'release_id = 20',
+    'create_build = true',
+    '[credentials:staging]',
+    'extends = shared-staging',
+    'project_id = 3',
+    '[test_cases:staging]',
+    'LIS.Loans.loan1 = 30',
+    'LIS.Loans.loan2 =',
+    ''
+];
+const YAML_CONFIG = [
+    'credentials:',
+    '  url: https://spira.example.com/',
+    '  project_id: 1',
+    '  release_id: 2',
+    'test_cases:',
+    '  LIS.Loans.loan1: 10',
+    '  LIS.Loans.loan2: 11',
+    'test_sets:',
+    '  LIS.Loans: 5',
+    'profiles:',
+    '  shared-staging:',
+    '    credentials:',
+    '      url: https://staging.example.com/',
+    '      release_id: 20',
+    '      create_build: true',
+    '  staging:',
+    '    extends: shared-staging',
+    '    credentials:',
+    '      project_id: 3',
+    '    test_cases:',
+    '      LIS.Loans.loan1: 30',
+    '      LIS.Loans.loan2:',
+    ''
+];
+const JSON_CONFIG = {
+    credentials: { url: 'https://spira.example.com/', project_id: 1, release_id: 2 },
+    test_cases: { 'LIS.Loans.loan1': 10, 'LIS.Loans.loan2': 11 },
+    test_sets: { 'LIS.Loans': 5 },
+    profiles: {
+        'shared-staging': { credentials: { url: 'https://staging.example.com/', release_id: 20, create_build: true } },
+        staging: { extends: 'shared-staging', credentials: { project_id: 3 }, test_cases: { 'LIS.Loans.loan1': 30, 'LIS.Loans.loan2': null } }
+    }
+};
+
+before(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-config-test-'));
+});
+
+after(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+for (const [name, content] of [
+    ['spira.cfg', INI_CONFIG],
+    ['spira.yaml', YAML_CONFIG],
+    ['spira.json', JSON.stringify(JSON_CONFIG, null, 2)]
+]) {
+    test(`a profile of ${name} wins over the profiles it extends, which win over the base sections`, () => {
+        const configFile = writeConfig(name, content);
+
+        assert.deepStrictEqual(getValues(new SpiraConfig(configFile, {}, {})), {
+            url: 'https://spira.example.com/',
+            project_id: 1,
+            release_id: 2,
+            create_build: false,
+            test_case_ids: { 'lis.loans.loan1': 10, 'lis.loans.loan2': 11 },
+            test_set_ids: { 'lis.loans': 5 }
+        });
+        // An empty mapping in the profile doesn't replace the base one
+        assert.deepStrictEqual(getValues(new SpiraConfig(configFile, { profile: 'staging' }, {})), {
+            url: 'https://staging.example.com/',
+            project_id: 3,
+            release_id: 20,
+            create_build: true,
+            test_case_ids: { 'lis.loans.loan1': 30, 'lis.loans.loan2': 11 },
+            test_set_ids: { 'lis.loans': 5 }
+        });
+    });
+}
+
+test('the profile can be chosen with the SPIRA_PROFILE environment variable, and an option wins over it', () => {
+    const configFile = writeConfig('spira.cfg', INI_CONFIG);
+
+    assert.strictEqual(new SpiraConfig(configFile, {}, { SPIRA_PROFILE: 'shared-staging' }).release_id, 20);
+    assert.strictEqual(new SpiraConfig(configFile, { profile: 'staging' }, { SPIRA_PROFILE: 'shared-staging' }).project_id, 3);
+});
+
+test('the environment variables win over the file, and the options win over both', () => {
+    const configFile = writeConfig('spira.cfg', INI_CONFIG);
+    const env = { SPIRA_RELEASE_ID: '7', SPIRA_PROJECT_ID: '8', SPIRA_URL: '' };
+
+    const config = new SpiraConfig(configFile, { project_id: '9' }, env);
+
+    assert.strictEqual(config.release_id, 7);
+    assert.strictEqual(config.project_id, 9);
+    // An empty environment variable is ignored
+    assert.strictEqual(config.url, 'https://spira.example.com/');
+});
+
+test('each invalid value is reported with the file, line and key', () => {
+    const configFile = writeConfig('invalid.cfg', [
+        '[credentials]',
+        'project_id = one',
+        'create_build = sometimes',
+        'rerun_strategy = first',
+        'max_attachment_size = large',
+        'this is not a setting',
+        '[test_cases]',
+        'LIS.Loans.loan1 = TC:10',
+        '/[/ = 12',
+        '[custom_properties]',
+        'browser = list, 1',
+        ''
+    ]);
+
+    // The reason a regular expression is invalid comes from the JavaScript engine, and differs between versions
+    const problems = getProblems(configFile).map(problem => problem.replace(/\(Invalid regular expression: .*\)$/, '(...)'));
+    assert.deepStrictEqual(problems, [
+        `${configFile}:2: project_id 'one' is not a whole number`,
+        `${configFile}:3: create_build 'sometimes' is not true or false`,
+        `${configFile}:4: rerun_strategy 'first' is not one of last, any-pass, flaky`,
+        `${configFile}:5: max_attachment_size 'large' is not a size, e.g. 10MB`,
+        `${configFile}:6: 'this is not a setting' is not a 'key = value' line`,
+        `${configFile}:8: LIS.Loans.loan1 'TC:10' is not a Spira ID`,
+        `${configFile}:9: /[/ is not a valid regular expression (...)`,
+        `${configFile}:11: custom property browser must be a custom property number, then optionally its type and list values, e.g. '2, list, Firefox=16'`
+    ]);
+});
+
+test('an invalid value that is overridden is not reported, but invalid environment variables and options are', () => {
+    const configFile = writeConfig('invalid.cfg', ['[credentials]', 'project_id = one', '']);
+
+    assert.deepStrictEqual(getProblems(configFile, { project_id: '1' }), []);
+    assert.deepStrictEqual(getProblems(configFile, { project_id: '1', retries: 'many' }, { SPIRA_RELEASE_ID: 'latest' }), [
+        "environment variable SPIRA_RELEASE_ID: release_id 'latest' is not a whole number",
+        "option 'retries': retries 'many' is not a whole number"
+    ]);
+});
+
+test('the invalid values and structure of YAML and JSON files are reported with their lines', () => {
+    const yamlFile = writeConfig('invalid.yaml', [
+        'credentials:',
+        '  project_id: one',
+        '  attachment_dirs: [reports, logs]',
+        'test_cases: [LIS.Loans.loan1]',
+        'settings:',
+        '  retries: 2',
+        ''
+    ]);
+    assert.deepStrictEqual(getProblems(yamlFile), [
+        `${yamlFile}:2: project_id 'one' is not a whole number`,
+        `${yamlFile}:4: test_cases must be a set of keys and values`,
+        `${yamlFile}:5: 'settings' is not a section of the config file`
+    ]);
+
+    // The file is not closed, which is found at its end
+    const jsonFile = writeConfig('invalid.json', ['{', '  "credentials": {', '    "project_id": 1', '  }', '']);
+    const problems = getProblems(jsonFile);
+    assert.strictEqual(problems.length, 1);
+    assert.ok(problems[0].startsWith(`${jsonFile}:5: `), problems[0]);
+});
+
+test('a missing profile, a profile that extends itself and a profile without a config file are reported', () => {
+    const configFile = writeConfig('profiles.cfg', [
+        '[credentials]',
+        'project_id = 1',
+        '[credentials:a]',
+        'extends = b',
+        '[credentials:b]',
+        'extends = a',
+        '[credentials:c]',
+        'extends = missing',
+        ''
+    ]);
+
+    assert.deepStrictEqual(getProblems(configFile, { profile: 'production' }), [`${configFile}: profile 'production' is not in the config file`]);
+    assert.deepStrictEqual(getProblems(configFile, { profile: 'a' }), [`${configFile}:6: profile 'a' extends itself (a -> b -> a)`]);
+    assert.deepStrictEqual(getProblems(configFile, { profile: 'c' }), [`${configFile}:8: profile 'missing' is not in the config file`]);
+    assert.deepStrictEqual(getProblems(path.join(folder, 'missing.cfg'), { profile: 'a' }), ["profile 'a' can't be used without a config file"]);
+});
@@ -0,0 +1,101 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser } = require('../spira-xunit-reader');
+
+const SAMPLES = path.join(__dirname, '..', 'samples');
+
+let folder;
+let configFile;
+
+before(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-custom-properties-test-'));
+    configFile = path.join(folder, 'spira.cfg');
+    fs.writeFileSync(configFile, [
+        '[credentials]',
+        'create_test_cases = true',
+        'timezone = UTC',
+        '[custom_properties]',
+        'browser = 1, list, Google Chrome=15, Firefox=16',
+        'priority = 2, integer',
+        'author = 3',
+        'attribute:line = 5, integer',
+        'env:LIS_BUILD_AGENT = 6, text',
+        ''
+    ].join('\n'));
+});
+
+after(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('test case properties, suite properties, attributes and environment variables become custom properties', async () => {
+    process.env.LIS_BUILD_AGENT = 'agent-7';
+    try {
+        const parser = new SpiraResultsParser(configFile);
+        await parser.readResults([path.join(SAMPLES, 'junit-complete.xml')]);
+        const result = parser.testResults.find(testResult => testResult.name === 'LIS.Registration.registration8');
+
+        assert.deepStrictEqual(result.custom_properties, [
+            // The browser is a property of the test suite
+            { PropertyNumber: 1, IntegerValue: 15 },
+            { PropertyNumber: 2, IntegerValue: 2 },
+            { PropertyNumber: 3, StringValue: 'Fred Bloggs' },
+            { PropertyNumber: 5, IntegerValue: 302 },
+            { PropertyNumber: 6, StringValue: 'agent-7' }
+        ]);
+        // The properties that were sent as custom properties are left out of the console output
+        assert.doesNotMatch(result.stack_trace, /- priority=|- author=/);
+        assert.match(result.stack_trace, /- language=en-US\n/);
+    } finally {
+        delete process.env.LIS_BUILD_AGENT;
+    }
+});
+
+test('values are converted to the type of the custom property', () => {
+    const parser = new SpiraResultsParser(configFile);
+    const convert = (type, value, listValues = {}) =>
+        parser.convertCustomProperty({ propertyNumber: 4, type, listValues }, value);
+
+    assert.deepStrictEqual(convert('text', 'Fred Bloggs'), { PropertyNumber: 4, StringValue: 'Fred Bloggs' });
+    assert.deepStrictEqual(convert('integer', '2 - High'), { PropertyNumber: 4, IntegerValue: 2 });
+    assert.deepStrictEqual(convert('integer', '-3'), { PropertyNumber: 4, IntegerValue: -3 });
+    assert.deepStrictEqual(convert('decimal', '1.774'), { PropertyNumber: 4, DecimalValue: 1.774 });
+    assert.deepStrictEqual(convert('boolean', 'Yes'), { PropertyNumber: 4, BooleanValue: true });
+    assert.deepStrictEqual(convert('boolean', 'no'), { PropertyNumber: 4, BooleanValue: false });
+    // Dates are read like the report timestamps, in the configured time zone
+    assert.deepStrictEqual(convert('date', '2021-04-02 15:48:23'), { PropertyNumber: 4, DateTimeValue: '2021-04-02T15:48:23Z' });
+    assert.deepStrictEqual(convert('list', 'firefox', { firefox: 16 }), { PropertyNumber: 4, IntegerValue: 16 });
+    assert.deepStrictEqual(convert('list', '17'), { PropertyNumber: 4, IntegerValue: 17 });
+    assert.deepStrictEqual(convert('multilist', 'Firefox; 15,18', { firefox: 16 }), { PropertyNumber: 4, IntegerListValue: [16, 15, 18] });
+});
+
+test('values that can not be converted are left out', () => {
+    const parser = new SpiraResultsParser(configFile);
+    const convert = (type, value) => parser.convertCustomProperty({ propertyNumber: 4, type, listValues: {} }, value);
+
+    assert.strictEqual(convert('integer', 'High'), null);
+    assert.strictEqual(convert('decimal', 'about 2'), null);
+    assert.strictEqual(convert('date', 'yesterday'), null);
+    assert.strictEqual(convert('list', 'Safari'), null);
+    assert.strictEqual(convert('multilist', 'Firefox, 15'), null);
+});
+
+test('a property that can not be converted stays in the console output', () => {
+    const parser = new SpiraResultsParser(configFile);
+    parser.processTestSuites({
+        name: 'Suite',
+        testcase: {
+            name: 'one',
+            classname: 'Suite',
+            properties: { property: [{ name: 'priority', value: 'High' }, { name: 'browser', value: 'Firefox' }] }
+        }
+    }, path.join(SAMPLES, 'report.xml'));
+
+    const [result] = parser.testResults;
+    assert.deepStrictEqual(result.custom_properties, [{ PropertyNumber: 1, IntegerValue: 16 }]);
+    assert.match(result.stack_trace, /- priority=High\n/);
+    assert.doesNotMatch(result.stack_trace, /- browser=/);
+});
@@ -0,0 +1,140 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser } = require('../spira-xunit-reader');
+
+const SAMPLES = path.join(__dirname, '..', 'samples');
+
+let folder;
+
+/**
+ * Read a report file with new test cases for the unmapped tests, so that every test has a result
+ */
+async function readReport(reportFile, overrides = {}) {
+    const parser = new SpiraResultsParser(path.join(folder, 'missing.cfg'), { create_test_cases: 'true', ...overrides });
+    const root = await parser.readResults([reportFile]);
+    return { root, results: parser.testResults };
+}
+
+/**
+ * Get the name, Spira execution status and message of each result
+ */
+function getStatuses(results) {
+    return results.map(result => [result.name, result.execution_status_id, result.message]);
+}
+
+before(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-formats-test-'));
+});
+
+after(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('NUnit 3 test cases are read with their failures, errors, skips and attachments', async () => {
+    const { root, results } = await readReport(path.join(SAMPLES, 'nunit3.xml'));
+
+    assert.deepStrictEqual(root, { tests: 4, failures: 2, skipped: 1, assertions: 5 });
+    assert.deepStrictEqual(getStatuses(results), [
+        ['LIS.Registration.registration1', 2, 'Success'],
+        ['LIS.Registration.registration2', 1, "Expected 'librarian', found 'borrower'"],
+        ['LIS.Registration.registration3', 5, 'System.DivideByZeroException : Attempted to divide by zero.'],
+        ['LIS.Registration.registration4', 4, 'Not ready yet']
+    ]);
+    assert.match(results[1].stack_trace, /Registration\.cs:line 62/);
+    assert.deepStrictEqual(results.map(result => result.assert_count), [2, 3, 0, 0]);
+    assert.deepStrictEqual(results[0].attachments.map(attachment => attachment.filename), ['screenshots/home.png']);
+    assert.match(results[0].stack_trace, /System Out: Registered 'borrower1'\.\n- Category=Smoke\n/);
+});
+
+test('xUnit.net v2 tests are grouped by class with the class name left out of the test name', async () => {
+    const { root, results } = await readReport(path.join(SAMPLES, 'xunit2.xml'));
+
+    assert.deepStrictEqual(root, { tests: 3, failures: 1, errors: 0, skipped: 1 });
+    assert.deepStrictEqual(getStatuses(results), [
+        ['LIS.Authentication.login1', 2, 'Success'],
+        ['LIS.Authentication.login2', 1, 'Assert.Equal() Failure'],
+        ['LIS.Authentication.login3', 4, 'Waiting for the new login page']
+    ]);
+    assert.strictEqual(results[1].failure_type, 'Xunit.Sdk.EqualException');
+    assert.match(results[0].stack_trace, /- Category=Smoke/);
+    assert.deepStrictEqual(results.map(result => result.start_time.toISOString()), [
+        '2021-04-02T15:48:23.000Z',
+        '2021-04-02T15:48:25.250Z',
+        '2021-04-02T15:48:26.500Z'
+    ]);
+});
+
+test('TRX results are read with their durations, outcomes and result files', async () => {
+    // The result files are in the deployment folder next to the TRX file
+    const trxFolder = path.join(folder, 'trx');
+    fs.mkdirSync(path.join(trxFolder, 'results', 'In', 'e1'), { recursive: true });
+    fs.copyFileSync(path.join(SAMPLES, 'results.trx'), path.join(trxFolder, 'results.trx'));
+    fs.copyFileSync(path.join(SAMPLES, 'screenshots', 'home.png'), path.join(trxFolder, 'results', 'In', 'e1', 'search1.png'));
+
+    const { root, results } = await readReport(path.join(trxFolder, 'results.trx'));
+
+    assert.deepStrictEqual(root, { name: 'LIS test run', tests: 4, failures: 1, errors: 1, skipped: 1 });
+    assert.deepStrictEqual(getStatuses(results), [
+        ['LIS.Search.search1', 2, 'Success'],
+        ['LIS.Search.search2', 1, 'Expected 3 books, found 0'],
+        ['LIS.Search.search3', 5, 'Test Timeout'],
+        ['LIS.Search.search4', 4, 'Test NotExecuted']
+    ]);
+    assert.deepStrictEqual(results.map(result => result.duration_seconds), [1.5, 2.25, 60, 0]);
+    assert.deepStrictEqual(results[0].attachments.map(attachment => attachment.filename), ['results/In/e1/search1.png']);
+});
+
+test('TAP subtests become suites, with SKIP and TODO directives as skipped tests', async () => {
+    const { results } = await readReport(path.join(SAMPLES, 'results.tap'));
+
+    assert.deepStrictEqual(getStatuses(results), [
+        ['LIS.Loans.loan1', 2, 'Success'],
+        ['LIS.Loans.loan2', 1, 'Expected the loan to be overdue'],
+        ['LIS.Loans.loan3', 4, 'needs a second branch'],
+        ['LIS.Loans.loan4', 4, 'TODO renewals'],
+        // Tests outside of a subtest are in a suite named after the report file
+        ['results.returns', 2, 'Success']
+    ]);
+    assert.deepStrictEqual(results.map(result => result.duration_seconds), [1.5, 0.25, 0, 0, 0]);
+});
+
+test('Cucumber scenarios are read with their background steps, tags and embedded screenshots', async () => {
+    const { results } = await readReport(path.join(SAMPLES, 'cucumber.json'));
+
+    assert.deepStrictEqual(getStatuses(results), [
+        ['LIS.Login.valid login', 2, 'Success'],
+        ['LIS.Login.invalid login', 1, "Expected 'Invalid password'"],
+        ['LIS.Login.forgotten password', 5, 'Undefined or ambiguous steps']
+    ]);
+    // The @TC and @TX tags give the Spira ids
+    assert.deepStrictEqual(results.map(result => [result.test_case_id, result.test_set_id]), [[21, 5], [null, 5], [null, 5]]);
+    assert.deepStrictEqual(results[1].steps.map(step => [step.description, step.execution_status_id]), [
+        ['Given the login page is open', 2],
+        ['When I sign in with the wrong password', 2],
+        ['Then I see an error message', 1]
+    ]);
+    assert.strictEqual(results[1].duration_seconds, 2);
+    assert.deepStrictEqual(results[1].attachments.map(attachment => [attachment.filename, attachment.binary_data]), [
+        ['lis-login;invalid-login-step3.png', 'iVBORw0KGgo=']
+    ]);
+});
+
+test('the format is detected from the contents rather than the file extension', async () => {
+    const reportFile = path.join(folder, 'tap-output.log');
+    fs.copyFileSync(path.join(SAMPLES, 'results.tap'), reportFile);
+
+    const { results } = await readReport(reportFile);
+
+    assert.strictEqual(results.length, 5);
+    assert.strictEqual(results[4].name, 'tap-output.returns');
+});
+
+test('the format setting chooses the format instead of detecting it', async () => {
+    // Read as JUnit, the NUnit report has no test suites or test cases
+    const { results } = await readReport(path.join(SAMPLES, 'nunit3.xml'), { format: 'junit' });
+
+    assert.deepStrictEqual(results, []);
+});
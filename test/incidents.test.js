@@ -0,0 +1,231 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser } = require('../spira-xunit-reader');
+const { startMockSpira } = require('./mock-spira');
+
+// The name of a raised incident: the test, the first line of the message and the signature tag
+const INCIDENT_NAME = /^LIS\.Loans\.loan2: The loan was not renewed after 3 days (\[xunit:[0-9a-f]{8}-)[0-9a-f]{8}\]$/;
+
+let spira;
+let folder;
+let configFile;
+let reportFile;
+
+/**
+ * Write a report where loan1 passes and loan2 fails with the message (or passes if there is none)
+ */
+function writeReport(file, message) {
+    fs.writeFileSync(file, [
+        '<testsuite name="LIS.Loans">',
+        '    <testcase name="loan1" classname="LIS.Loans" time="1" />',
+        message
+            ? `    <testcase name="loan2" classname="LIS.Loans" time="1"><failure message="${message}" type="AssertionError" /></testcase>`
+            : '    <testcase name="loan2" classname="LIS.Loans" time="1" />',
+        '</testsuite>',
+        ''
+    ].join('\n'));
+}
+
+/**
+ * Send the report files to the mock Spira with the given setting overrides, returning the summary of the run
+ */
+async function sendReports(reportFiles, overrides = {}) {
+    spira.requests.length = 0;
+    const parser = new SpiraResultsParser(configFile, overrides);
+    return parser.parseResults(reportFiles);
+}
+
+/**
+ * Get the requests sent to the mock Spira with the method and whose path ends with the text
+ */
+function getRequests(method, pathEnd) {
+    return spira.requests.filter(request => request.method === method && request.path.endsWith(pathEnd));
+}
+
+/**
+ * Get the test run id that the mock Spira gave a test
+ */
+function getTestRunId(name) {
+    return getRequests('POST', '/test-runs/record').find(request => request.body.RunnerTestName === name).response.TestRunId;
+}
+
+/**
+ * Raise an incident for the failure of loan2 in the mock Spira, returning its id and name
+ */
+async function raiseIncident() {
+    spira.reset();
+    writeReport(reportFile, 'The loan was not renewed after 3 days');
+    await sendReports([reportFile]);
+    const [request] = getRequests('POST', '/incidents');
+    return { IncidentId: request.response.IncidentId, Name: request.body.Name };
+}
+
+before(async () => {
+    spira = await startMockSpira();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-incidents-test-'));
+    configFile = path.join(folder, 'spira.cfg');
+    reportFile = path.join(folder, 'junit.xml');
+    fs.writeFileSync(configFile, [
+        '[credentials]',
+        `url = ${spira.url}`,
+        'username = tester',
+        'token = {TOKEN}',
+        'project_id = 1',
+        'release_id = 2',
+        'retries = 0',
+        'ci = none',
+        'batch_size = 1',
+        'create_incidents = true',
+        'incident_type_id = 3',
+        'incident_priority_id = 2',
+        `spool_file = ${path.join(folder, 'spira-spool.json')}`,
+        '[test_cases]',
+        'LIS.Loans.* = 7',
+        ''
+    ].join('\n'));
+});
+
+after(async () => {
+    await spira.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('a failure raises an incident with its signature, linked to the test run', async () => {
+    spira.reset();
+    writeReport(reportFile, 'The loan was not renewed after 3 days');
+
+    const summary = await sendReports([reportFile]);
+
+    const [incident] = getRequests('POST', '/incidents');
+    assert.match(incident.body.Name, INCIDENT_NAME);
+    assert.strictEqual(incident.body.IncidentTypeId, 3);
+    assert.strictEqual(incident.body.PriorityId, 2);
+    assert.strictEqual(incident.body.DetectedReleaseId, 2);
+    assert.match(incident.body.Description, /Test case <strong>LIS\.Loans\.loan2<\/strong> failed in test run TR:\d+\./);
+
+    const incidentId = incident.response.IncidentId;
+    const [association] = getRequests('POST', '/associations');
+    assert.strictEqual(association.body.SourceArtifactId, incidentId);
+    assert.strictEqual(association.body.DestArtifactId, getTestRunId('LIS.Loans.loan2'));
+    assert.deepStrictEqual(summary.tests.map(entry => entry.incident_id), [null, incidentId]);
+    // Only the failure is searched for, the test that passed is left alone
+    assert.strictEqual(getRequests('POST', '/incidents/search').length, 1);
+});
+
+test('the same failure in one run shares an incident, which is commented on', async () => {
+    spira.reset();
+    const otherReport = path.join(folder, 'junit-2.xml');
+    writeReport(reportFile, 'The loan was not renewed after 3 days');
+    writeReport(otherReport, 'The loan was not renewed after 3 days');
+
+    const summary = await sendReports([reportFile, otherReport]);
+
+    const incidents = getRequests('POST', '/incidents');
+    assert.strictEqual(incidents.length, 1);
+    const incidentId = incidents[0].response.IncidentId;
+    const comments = getRequests('POST', `/incidents/${incidentId}/comments`);
+    assert.strictEqual(comments.length, 1);
+    assert.match(comments[0].body[0].Text, /^Failed again in test run TR:\d+ \(LIS\.Loans\.loan2\)\.$/);
+    assert.strictEqual(getRequests('POST', '/associations').length, 2);
+    assert.deepStrictEqual(summary.tests.map(entry => entry.incident_id), [null, incidentId, null, incidentId]);
+});
+
+test('an open incident with the same failure is commented on instead of raising a new one', async () => {
+    const openIncident = await raiseIncident();
+    spira.reset();
+    spira.respond(/\/incidents\/search$/, 200, [{ ...openIncident, IncidentStatusOpenStatus: true }]);
+    // The numbers in the message don't change the signature
+    writeReport(reportFile, 'The loan was not renewed after 5 days');
+
+    const summary = await sendReports([reportFile]);
+
+    assert.deepStrictEqual(getRequests('POST', '/incidents'), []);
+    const [comment] = getRequests('POST', `/incidents/${openIncident.IncidentId}/comments`);
+    assert.deepStrictEqual(comment.body, [{
+        ArtifactId: openIncident.IncidentId,
+        Text: `Failed again in test run TR:${getTestRunId('LIS.Loans.loan2')} (LIS.Loans.loan2).`
+    }]);
+    assert.strictEqual(getRequests('POST', '/associations')[0].body.SourceArtifactId, openIncident.IncidentId);
+    assert.strictEqual(summary.tests[1].incident_id, openIncident.IncidentId);
+});
+
+test('a different failure of the same test raises a new incident', async () => {
+    const openIncident = await raiseIncident();
+    spira.reset();
+    spira.respond(/\/incidents\/search$/, 200, [{ ...openIncident, IncidentStatusOpenStatus: true }]);
+    writeReport(reportFile, 'Timed out');
+
+    await sendReports([reportFile]);
+
+    assert.match(getRequests('POST', '/incidents')[0].body.Name, /^LIS\.Loans\.loan2: Timed out \[xunit:/);
+    assert.deepStrictEqual(getRequests('POST', '/comments'), []);
+});
+
+test('every page of the search is read, and closed incidents are left out', async () => {
+    const openIncident = await raiseIncident();
+    const testTag = openIncident.Name.match(INCIDENT_NAME)[1];
+    spira.reset();
+    spira.respond(/\/incidents\/search$/, 200, request => {
+        if (request.query.start_row === '1') {
+            // A full page of the test's other failures, and the incident for this failure that was closed
+            const otherIncidents = Array.from({ length: 249 }, (value, index) =>
+                ({ IncidentId: 1000 - index, Name: `LIS.Loans.loan2: Other ${testTag}${String(index).padStart(8, '0')}]` }));
+            return [...otherIncidents, { IncidentId: 500, Name: openIncident.Name, IncidentStatusOpenStatus: false }];
+        }
+        return request.query.start_row === '251' ? [{ ...openIncident, IncidentStatusOpenStatus: true }] : [];
+    });
+    writeReport(reportFile, 'The loan was not renewed after 3 days');
+
+    await sendReports([reportFile]);
+
+    const searches = getRequests('POST', '/incidents/search');
+    assert.deepStrictEqual(searches.map(request => [request.query.start_row, request.query.sort_direction]), [['1', 'DESC'], ['251', 'DESC']]);
+    assert.deepStrictEqual(searches[0].body, [{ PropertyName: 'Name', StringValue: testTag }]);
+    assert.deepStrictEqual(getRequests('POST', '/incidents'), []);
+    assert.strictEqual(getRequests('POST', `/incidents/${openIncident.IncidentId}/comments`).length, 1);
+    assert.deepStrictEqual(getRequests('POST', '/incidents/500/comments'), []);
+});
+
+test('an incident is still raised when the search fails', async () => {
+    spira.reset();
+    spira.respond(/\/incidents\/search$/, 503, {});
+    writeReport(reportFile, 'The loan was not renewed after 3 days');
+
+    const summary = await sendReports([reportFile]);
+
+    assert.strictEqual(getRequests('POST', '/incidents').length, 1);
+    assert.ok(summary.tests[1].incident_id > 0);
+});
+
+test('the open incidents of a test that passes are commented on with incident_on_pass = comment', async () => {
+    const openIncident = await raiseIncident();
+    spira.reset();
+    spira.respond(/\/incidents\/search$/, 200, [{ ...openIncident, IncidentStatusOpenStatus: true }]);
+    writeReport(reportFile, null);
+
+    await sendReports([reportFile], { incident_on_pass: 'comment' });
+
+    const [comment] = getRequests('POST', `/incidents/${openIncident.IncidentId}/comments`);
+    assert.strictEqual(comment.body[0].Text, `Passed in test run TR:${getTestRunId('LIS.Loans.loan2')} (LIS.Loans.loan2).`);
+    assert.strictEqual(getRequests('POST', '/associations').length, 1);
+    assert.deepStrictEqual(getRequests('PUT', `/incidents/${openIncident.IncidentId}`), []);
+});
+
+test('the open incidents of a test that passes are resolved with incident_on_pass = resolve', async () => {
+    const openIncident = await raiseIncident();
+    const fullIncident = { ...openIncident, ProjectId: 1, IncidentStatusId: 1, OwnerId: 3, ConcurrencyDate: '2021-04-02T15:48:23Z' };
+    spira.reset();
+    spira.respond(/\/incidents\/search$/, 200, [{ ...openIncident, IncidentStatusOpenStatus: true }]);
+    spira.respond(new RegExp(`^GET .*/incidents/${openIncident.IncidentId}$`), 200, fullIncident);
+    writeReport(reportFile, null);
+
+    await sendReports([reportFile], { incident_on_pass: 'resolve', incident_resolved_status_id: '5' });
+
+    assert.strictEqual(getRequests('POST', `/incidents/${openIncident.IncidentId}/comments`).length, 1);
+    // The whole incident is sent back, with just the status changed
+    const [update] = getRequests('PUT', `/incidents/${openIncident.IncidentId}`);
+    assert.deepStrictEqual(update.body, { ...fullIncident, IncidentStatusId: 5 });
+});
@@ -0,0 +1,285 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { test, before, after } = require('node:test');
+const { SpiraWatcher } = require('../spira-xunit-reader');
+const { startMockSpira } = require('./mock-spira');
+
+const REPORT = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuite name="Login">
+    <testcase classname="Login" name="shows the home page" time="1.5">
+        <system-out>[[ATTACHMENT|screenshots/stored.txt]] [[ATTACHMENT|screenshots/deflated.txt]]</system-out>
+    </testcase>
+</testsuite>`;
+
+let spira;
+let folder;
+let configFile;
+
+/**
+ * Make a zip file from the entries ({ name, data, deflate, size }), where size is the uncompressed size
+ * to declare, if not the real one. The CRCs are left at zero, since they are not checked
+ */
+function makeZip(entries) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name);
+        const data = entry.deflate ? zlib.deflateRawSync(entry.data) : entry.data;
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(entry.deflate ? 8 : 0, 8);
+        header.writeUInt32LE(data.length, 18);
+        header.writeUInt32LE(entry.size ?? entry.data.length, 22);
+        header.writeUInt16LE(name.length, 26);
+        localParts.push(header, name, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(entry.deflate ? 8 : 0, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(entry.size ?? entry.data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+        offset += header.length + name.length + data.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Make a multipart/form-data body from the parts ({ name, filename, data })
+ */
+function makeMultipart(boundary, parts) {
+    return Buffer.concat([
+        ...parts.flatMap(part => [
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${part.name}"; filename="${part.filename}"\r\n` +
+                'Content-Type: application/octet-stream\r\n\r\n'),
+            Buffer.from(part.data),
+            Buffer.from('\r\n')
+        ]),
+        Buffer.from(`--${boundary}--\r\n`)
+    ]);
+}
+
+/**
+ * Post a report and attachments zip to a new ingest server with the given setting overrides,
+ * returning the status and JSON body of the response
+ */
+async function postToIngestServer(zip, overrides = {}) {
+    const watcher = new SpiraWatcher(configFile, { watch_state_file: path.join(folder, 'spira-watch.json'), ...overrides });
+    await watcher.startServer();
+    try {
+        const boundary = 'spira-test-boundary';
+        const body = makeMultipart(boundary, [
+            { name: 'report', filename: 'junit.xml', data: REPORT },
+            { name: 'attachments', filename: 'screenshots.zip', data: zip }
+        ]);
+        return await new Promise((resolve, reject) => {
+            const request = http.request({
+                host: '127.0.0.1',
+                port: watcher.server.address().port,
+                path: SpiraWatcher.INGEST_PATH,
+                method: 'POST',
+                headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': body.length }
+            }, response => {
+                let text = '';
+                response.on('data', chunk => { text += chunk; });
+                response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(text) }));
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+    } finally {
+        watcher.server.close();
+    }
+}
+
+/**
+ * Get the contents of the files uploaded to the mock Spira
+ */
+function getUploadedFiles() {
+    return spira.requests
+        .filter(request => request.path.endsWith('/documents/file'))
+        .map(request => [request.body.FilenameOrUrl, Buffer.from(request.body.BinaryData, 'base64').toString()]);
+}
+
+before(async () => {
+    spira = await startMockSpira();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-ingest-test-'));
+    configFile = path.join(folder, 'spira.cfg');
+    fs.writeFileSync(configFile, [
+        '[credentials]',
+        `url = ${spira.url}`,
+        'username = tester',
+        'token = {TOKEN}',
+        'project_id = 1',
+        'release_id = 2',
+        'retries = 0',
+        `spool_file = ${path.join(folder, 'spira-spool.json')}`,
+        '[test_cases]',
+        'Login.shows the home page = 21',
+        ''
+    ].join('\n'));
+});
+
+after(async () => {
+    await spira.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('stored and deflated zip entries are uploaded as attachments', async () => {
+    spira.requests.length = 0;
+    const response = await postToIngestServer(makeZip([
+        { name: 'screenshots/stored.txt', data: Buffer.from('stored contents') },
+        { name: 'screenshots/deflated.txt', data: Buffer.from('deflated contents '.repeat(20)), deflate: true }
+    ]));
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.exit_code, 0);
+    assert.deepStrictEqual(getUploadedFiles(), [
+        ['screenshots/stored.txt', 'stored contents'],
+        ['screenshots/deflated.txt', 'deflated contents '.repeat(20)]
+    ]);
+});
+
+test('zip entries outside of the unpacking folder are skipped', async () => {
+    spira.requests.length = 0;
+    const escapeName = `spira-ingest-escape-${process.pid}.txt`;
+    const response = await postToIngestServer(makeZip([
+        { name: 'screenshots/stored.txt', data: Buffer.from('stored contents') },
+        { name: `../${escapeName}`, data: Buffer.from('outside') }
+    ]));
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(fs.existsSync(path.join(os.tmpdir(), escapeName)), false);
+    assert.deepStrictEqual(getUploadedFiles(), [['screenshots/stored.txt', 'stored contents']]);
+});
+
+test('uploads larger than ingest_max_size are rejected', async () => {
+    const response = await postToIngestServer(makeZip([
+        { name: 'screenshots/stored.txt', data: Buffer.alloc(4096, 'x') }
+    ]), { ingest_max_size: '1KB' });
+
+    assert.strictEqual(response.status, 413);
+});
+
+test('zip entries that unpack to more than their declared size are rejected', async () => {
+    spira.requests.length = 0;
+    const response = await postToIngestServer(makeZip([
+        { name: 'screenshots/deflated.txt', data: Buffer.alloc(1024 * 1024), deflate: true, size: 100 }
+    ]));
+
+    assert.strictEqual(response.status, 413);
+    assert.match(response.body.error, /more than its declared 100 bytes/);
+    assert.strictEqual(spira.requests.length, 0);
+});
+
+test('zip files that unpack to more than ingest_max_unpacked_size are rejected', async () => {
+    spira.requests.length = 0;
+    const response = await postToIngestServer(makeZip([
+        { name: 'screenshots/stored.txt', data: Buffer.from('stored contents') },
+        { name: 'screenshots/deflated.txt', data: Buffer.alloc(64 * 1024), deflate: true }
+    ]), { ingest_max_unpacked_size: '32KB' });
+
+    assert.strictEqual(response.status, 413);
+    assert.match(response.body.error, /more than the 32768 bytes allowed/);
+    assert.strictEqual(spira.requests.length, 0);
+});
+
+/**
+ * Start a new ingest server, then send the start of an upload without finishing it. Returns the status of
+ * the response, which the server must send before the upload ends
+ */
+async function startUpload(headers, data) {
+    const watcher = new SpiraWatcher(configFile, { watch_state_file: path.join(folder, 'spira-watch.json'), ingest_max_size: '1KB' });
+    await watcher.startServer();
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = http.request({
+                host: '127.0.0.1',
+                port: watcher.server.address().port,
+                path: SpiraWatcher.INGEST_PATH,
+                method: 'POST',
+                headers: { 'Content-Type': 'application/xml', ...headers }
+            }, response => {
+                resolve({ status: response.statusCode, connection: response.headers.connection });
+                request.destroy();
+            });
+            // Writing to the connection after the server closed it can fail, once the response is in
+            request.on('error', error => reject(error));
+            request.write(data);
+        });
+    } finally {
+        watcher.server.close();
+    }
+}
+
+test('an upload that says it is larger than ingest_max_size is rejected before it is read', { timeout: 10000 }, async () => {
+    const response = await startUpload({ 'Content-Length': 1024 * 1024 }, Buffer.alloc(512, 'x'));
+
+    assert.deepStrictEqual(response, { status: 413, connection: 'close' });
+});
+
+test('an upload is rejected as soon as it goes over ingest_max_size, without waiting for the rest', { timeout: 10000 }, async () => {
+    const response = await startUpload({ 'Transfer-Encoding': 'chunked' }, Buffer.alloc(2048, 'x'));
+
+    assert.deepStrictEqual(response, { status: 413, connection: 'close' });
+});
+
+test('an upload that the client gives up on is dropped, and the server keeps going', { timeout: 10000 }, async () => {
+    spira.requests.length = 0;
+    const watcher = new SpiraWatcher(configFile, { watch_state_file: path.join(folder, 'spira-watch.json') });
+    await watcher.startServer();
+    const port = watcher.server.address().port;
+    const lines = [];
+    const log = console.log;
+    console.log = (...args) => lines.push(args.join(' '));
+    try {
+        // Half of the report, then the connection is dropped
+        await new Promise(resolve => {
+            const request = http.request({
+                host: '127.0.0.1',
+                port,
+                path: SpiraWatcher.INGEST_PATH,
+                method: 'POST',
+                headers: { 'Content-Type': 'application/xml', 'Content-Length': REPORT.length }
+            });
+            request.on('error', () => {});
+            request.write(REPORT.slice(0, 50), () => setTimeout(() => {
+                request.destroy();
+                setTimeout(resolve, 100);
+            }, 50));
+        });
+
+        // The next request is still answered
+        const status = await new Promise((resolve, reject) => {
+            http.get({ host: '127.0.0.1', port, path: '/' }, response => {
+                response.resume();
+                resolve(response.statusCode);
+            }).on('error', reject);
+        });
+        assert.strictEqual(status, 404);
+    } finally {
+        console.log = log;
+        watcher.server.close();
+    }
+
+    assert.ok(lines.some(line => /^Unable to read the posted report files due to error 'aborted'\.$/.test(line)), lines.join('\n'));
+    assert.strictEqual(spira.requests.length, 0);
+});
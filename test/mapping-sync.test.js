@@ -0,0 +1,173 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser, SpiraMappingSync } = require('../spira-xunit-reader');
+const { startMockSpira } = require('./mock-spira');
+
+const SAMPLES = path.join(__dirname, '..', 'samples');
+
+let spira;
+let folder;
+
+/**
+ * Read the basic sample report, then write its mappings to the config file. Returns the new content of the file
+ */
+async function sync(configFile, online = false, overrides = {}) {
+    spira.requests.length = 0;
+    const parser = new SpiraResultsParser(configFile, overrides);
+    await parser.readResults([path.join(SAMPLES, 'junit-basic.xml')]);
+    await new SpiraMappingSync(parser).sync(online);
+    return fs.readFileSync(configFile, 'utf-8');
+}
+
+/**
+ * Get the comment that marks the mappings which are no longer in the reports
+ */
+function getRemovedMarker() {
+    return `# Not in the reports since ${new Date().toISOString().slice(0, 10)}`;
+}
+
+before(async () => {
+    spira = await startMockSpira();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-mapping-sync-test-'));
+});
+
+after(async () => {
+    await spira.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('init writes a new config file with a placeholder for each test and suite', async () => {
+    const configFile = path.join(folder, 'init.cfg');
+
+    const content = await sync(configFile, false, { url: spira.url, project_id: '4', create_build: 'true' });
+
+    const lines = content.split('\n');
+    assert.ok(lines.includes(`url = ${spira.url}`));
+    assert.ok(lines.includes('project_id = 4'));
+    assert.ok(lines.includes('create_build = true'));
+    const testCases = lines.slice(lines.indexOf('[test_cases]') + 1, lines.indexOf('[test_cases]') + 10);
+    assert.deepStrictEqual(testCases, [
+        'LIS.Registration.registration1 =',
+        'LIS.Registration.registration2 =',
+        'LIS.Registration.registration3 =',
+        'LIS.Authentication.Login.login1 =',
+        'LIS.Authentication.Login.login2 =',
+        'LIS.Authentication.Login.login3 =',
+        'LIS.Authentication.auth1 =',
+        'LIS.Authentication.auth2 =',
+        'LIS.Authentication.auth3 ='
+    ]);
+    assert.deepStrictEqual(lines.slice(lines.indexOf('[test_sets]') + 1, lines.indexOf('[test_sets]') + 4), [
+        'LIS.Registration =',
+        'LIS.Authentication.Login =',
+        'LIS.Authentication ='
+    ]);
+});
+
+test('sync keeps the ids and comments already in the file, and marks the tests that are no longer in the reports', async () => {
+    const configFile = path.join(folder, 'sync.cfg');
+    fs.writeFileSync(configFile, [
+        '[credentials]',
+        `url = ${spira.url}`,
+        'project_id = 1',
+        '',
+        '# The tests that are already in Spira',
+        '[test_cases]',
+        '# The registration tests',
+        'LIS.Registration.registration1 = 7 ',
+        'LIS.Registration.registration2 =',
+        'LIS.Authentication.Login.* = 9',
+        'LIS.Circulation.circulation1 = 12',
+        '',
+        '[test_sets]',
+        'LIS.Registration = 3',
+        ''
+    ].join('\n'));
+
+    const content = await sync(configFile);
+
+    assert.strictEqual(content, [
+        '[credentials]',
+        `url = ${spira.url}`,
+        'project_id = 1',
+        '',
+        '# The tests that are already in Spira',
+        '[test_cases]',
+        '# The registration tests',
+        'LIS.Registration.registration1 = 7 ',
+        'LIS.Registration.registration2 =',
+        'LIS.Authentication.Login.* = 9',
+        getRemovedMarker(),
+        'LIS.Circulation.circulation1 = 12',
+        'LIS.Registration.registration3 =',
+        'LIS.Authentication.auth1 =',
+        'LIS.Authentication.auth2 =',
+        'LIS.Authentication.auth3 =',
+        '',
+        '[test_sets]',
+        'LIS.Registration = 3',
+        'LIS.Authentication.Login =',
+        'LIS.Authentication =',
+        ''
+    ].join('\n'));
+    // Nothing changes when the reports are the same
+    assert.strictEqual(await sync(configFile), content);
+});
+
+test('sync online fills in the placeholders from Spira, but never changes an id that is already there', async () => {
+    const configFile = path.join(folder, 'online.cfg');
+    fs.writeFileSync(configFile, [
+        '[credentials]',
+        `url = ${spira.url}`,
+        'project_id = 1',
+        'retries = 0',
+        '[test_cases]',
+        '# Checked by hand',
+        'LIS.Registration.registration1 = 7',
+        'LIS.Registration.registration2 =',
+        '[test_sets]',
+        ''
+    ].join('\n'));
+    spira.reset();
+    spira.respond(/\/projects\/1\/test-cases$/, 200, request => request.query.starting_row === '1' ? [
+        { TestCaseId: 20, Name: 'LIS.Registration.registration1' },
+        { TestCaseId: 21, Name: 'lis.registration.registration2' },
+        { TestCaseId: 22, Name: 'LIS.Authentication.auth1' }
+    ] : []);
+    spira.respond(/\/projects\/1\/test-sets$/, 200, [{ TestSetId: 5, Name: 'LIS.Authentication' }]);
+
+    const lines = (await sync(configFile, true)).split('\n');
+
+    assert.deepStrictEqual(lines.slice(5, 7), ['# Checked by hand', 'LIS.Registration.registration1 = 7']);
+    assert.ok(lines.includes('LIS.Registration.registration2 = 21'));
+    assert.ok(lines.includes('LIS.Authentication.auth1 = 22'));
+    assert.ok(lines.includes('LIS.Authentication.auth2 ='));
+    assert.ok(lines.includes('LIS.Authentication = 5'));
+    assert.deepStrictEqual(spira.requests.map(request => [request.method, request.query.starting_row]), [['GET', '1'], ['GET', '1']]);
+});
+
+test('sync keeps the comments and ids of a YAML config file', async () => {
+    const configFile = path.join(folder, 'spira.yaml');
+    fs.writeFileSync(configFile, [
+        '# Spira settings for the library tests',
+        'credentials:',
+        `  url: ${spira.url}`,
+        '  project_id: 1',
+        'test_cases:',
+        '  # Checked by hand',
+        '  LIS.Registration.registration1: 7',
+        '  LIS.Circulation.circulation1: 12 # moved to another repository',
+        ''
+    ].join('\n'));
+
+    const content = await sync(configFile);
+
+    assert.match(content, /^# Spira settings for the library tests\n/);
+    assert.match(content, /  # Checked by hand\n  LIS\.Registration\.registration1: 7\n/);
+    assert.ok(content.includes(`  ${getRemovedMarker()}\n  LIS.Circulation.circulation1: 12 # moved to another repository\n`));
+    assert.match(content, /  LIS\.Authentication\.auth3: null\n/);
+    assert.match(content, /test_sets:\n  LIS\.Registration: null\n/);
+});
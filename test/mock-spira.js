@@ -0,0 +1,84 @@
+const http = require('http');
+
+/**
+ * Start a mock Spira REST API on a free localhost port, which records every request (with the status
+ * and response sent back) and answers with new ids. Tests can add their own answers with respond(),
+ * e.g. to make requests fail. Returns { url, requests, respond(), reset(), close() }
+ */
+async function startMockSpira() {
+    const requests = [];
+    // The answers added by the tests, used (in order) instead of the usual ones while they last
+    const responses = [];
+    let lastId = 100;
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const json = body ? JSON.parse(body) : undefined;
+            const request = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body: json };
+            requests.push(request);
+
+            let status = 200;
+            let headers = {};
+            let response = {};
+            const override = responses.find(answer => answer.times !== 0 && answer.pattern.test(`${req.method} ${url.pathname}`));
+            if (override) {
+                if (override.times > 0) override.times--;
+                status = override.status;
+                headers = override.headers;
+                response = typeof override.body === 'function' ? override.body(request) : override.body;
+            } else if (url.pathname.endsWith('/builds')) {
+                response = { BuildId: ++lastId };
+            } else if (url.pathname.endsWith('/test-runs/record-multiple')) {
+                response = json.map(() => ({ TestRunId: ++lastId }));
+            } else if (url.pathname.endsWith('/test-runs/record')) {
+                response = { TestRunId: ++lastId };
+            } else if (/\/documents\/(file|url)$/.test(url.pathname)) {
+                response = { AttachmentId: ++lastId };
+            } else if (url.pathname.endsWith('/test-cases')) {
+                response = { TestCaseId: ++lastId };
+            } else if (url.pathname.endsWith('/incidents')) {
+                response = { IncidentId: ++lastId };
+            } else if (url.pathname.endsWith('/associations')) {
+                response = { ArtifactLinkId: ++lastId };
+            }
+            request.status = status;
+            request.response = response;
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(JSON.stringify(response));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        /**
+         * Answer the requests matching the pattern (tested against e.g. 'POST /Services/.../builds') with the
+         * status and body, the given number of times or for good. The body can be a function of the request
+         */
+        respond: (pattern, status, body = {}, times = -1, headers = {}) => {
+            responses.push({ pattern, status, body, times, headers });
+        },
+        /**
+         * Forget the recorded requests and the answers added by the tests
+         */
+        reset: () => {
+            requests.length = 0;
+            responses.length = 0;
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Get the test runs recorded in the mock Spira, whether they were sent one by one or in batches
+ */
+function getTestRuns(requests) {
+    return requests
+        .filter(request => request.path.includes('/test-runs/record'))
+        .flatMap(request => Array.isArray(request.body) ? request.body : [request.body]);
+}
+
+module.exports = { startMockSpira, getTestRuns };
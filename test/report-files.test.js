@@ -0,0 +1,55 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser, SpiraWatcher } = require('../spira-xunit-reader');
+
+const SAMPLES = path.join(__dirname, '..', 'samples');
+
+let folder;
+
+before(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-report-files-test-'));
+    fs.mkdirSync(path.join(folder, 'features'));
+    fs.copyFileSync(path.join(SAMPLES, 'junit-basic.xml'), path.join(folder, 'junit-basic.xml'));
+    fs.copyFileSync(path.join(SAMPLES, 'cucumber.json'), path.join(folder, 'features', 'cucumber.json'));
+    // JSON files that are not reports are in the same folders as the reports
+    fs.writeFileSync(path.join(folder, 'spira.json'), JSON.stringify({ credentials: { project_id: 1 } }));
+    fs.writeFileSync(path.join(folder, 'spira-spool.json'), JSON.stringify({ requests: [] }));
+    fs.writeFileSync(path.join(folder, 'notes.txt'), 'not a report');
+});
+
+after(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('Cucumber JSON reports in a directory are used, other JSON files are not', () => {
+    const parser = new SpiraResultsParser(path.join(folder, 'missing.cfg'));
+
+    assert.deepStrictEqual(parser.findReportFiles([folder]), [
+        path.join(folder, 'features', 'cucumber.json'),
+        path.join(folder, 'junit-basic.xml')
+    ]);
+});
+
+test('the results of the Cucumber JSON reports in a directory are read', async () => {
+    const parser = new SpiraResultsParser(path.join(folder, 'missing.cfg'));
+    await parser.readResults([folder]);
+
+    assert.deepStrictEqual([...parser.testNames].filter(name => name.startsWith('LIS.Login.')), [
+        'LIS.Login.valid login',
+        'LIS.Login.invalid login',
+        'LIS.Login.forgotten password'
+    ]);
+});
+
+test('Cucumber JSON reports in a watched folder are uploaded, other JSON files are not', () => {
+    const watcher = new SpiraWatcher(path.join(folder, 'missing.cfg'), { watch_state_file: path.join(folder, 'spira-watch.json') });
+    watcher.folders = [folder];
+
+    assert.deepStrictEqual(watcher.findReportFiles(), [
+        path.join(folder, 'features', 'cucumber.json'),
+        path.join(folder, 'junit-basic.xml')
+    ]);
+});
@@ -0,0 +1,84 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const SpiraJestReporter = require('../jest-reporter');
+const SpiraMochaReporter = require('../mocha-reporter');
+const { startMockSpira, getTestRuns } = require('./mock-spira');
+
+let spira;
+let folder;
+let configFile;
+
+before(async () => {
+    spira = await startMockSpira();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-reporters-'));
+    configFile = path.join(folder, 'spira.cfg');
+    fs.writeFileSync(configFile, [
+        '[credentials]',
+        `url = ${spira.url}`,
+        'username = tester',
+        'token = {TOKEN}',
+        'project_id = 1',
+        'release_id = 2',
+        'retries = 0',
+        `spool_file = ${path.join(folder, 'spira-spool.json')}`,
+        '[test_cases]',
+        'Login.accepts a valid password = 11',
+        'Login.rejects a wrong password = 12',
+        ''
+    ].join('\n'));
+});
+
+after(async () => {
+    await spira.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('the Jest reporter sends the results of each test file', async () => {
+    spira.requests.length = 0;
+    const reporter = new SpiraJestReporter({ rootDir: folder }, { configFile });
+    await reporter.onRunComplete([], {
+        testResults: [{
+            testFilePath: path.join(folder, 'login.test.js'),
+            perfStats: { start: Date.parse('2024-01-01T10:00:00Z') },
+            testResults: [
+                { ancestorTitles: ['Login'], title: 'accepts a valid password', fullName: 'Login accepts a valid password', status: 'passed', failureMessages: [], duration: 20 },
+                { ancestorTitles: ['Login'], title: 'rejects a wrong password', fullName: 'Login rejects a wrong password', status: 'failed', failureMessages: ['Error: expected 401'], duration: 30 }
+            ]
+        }]
+    });
+
+    const testRuns = getTestRuns(spira.requests);
+    assert.deepStrictEqual(testRuns.map(testRun => [testRun.TestCaseId, testRun.ExecutionStatusId]), [[11, 2], [12, 1]]);
+    assert.strictEqual(testRuns[1].RunnerMessage, 'expected 401');
+});
+
+test('the Mocha reporter sends the results when the run is done', async () => {
+    spira.requests.length = 0;
+    const runner = new EventEmitter();
+    const reporter = new SpiraMochaReporter(runner, { reporterOptions: { configFile } });
+    const mochaTest = (title, duration) => ({
+        title,
+        file: path.join(folder, 'login.spec.js'),
+        duration,
+        fullTitle: () => `Login ${title}`,
+        titlePath: () => ['Login', title]
+    });
+
+    const passing = mochaTest('accepts a valid password', 20);
+    runner.emit('test', passing);
+    runner.emit('pass', passing);
+    const failing = mochaTest('rejects a wrong password', 30);
+    runner.emit('test', failing);
+    runner.emit('retry', failing, new Error('timed out'));
+    runner.emit('fail', failing, new Error('expected 401'));
+    const failures = await new Promise(resolve => reporter.done(1, resolve));
+
+    assert.strictEqual(failures, 1);
+    const testRuns = getTestRuns(spira.requests);
+    assert.deepStrictEqual(testRuns.map(testRun => [testRun.TestCaseId, testRun.ExecutionStatusId]), [[11, 2], [12, 1]]);
+    assert.match(testRuns[1].RunnerStackTrace, /Attempt 1 of 2/);
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser } = require('../spira-xunit-reader');
+
+const SAMPLES = path.join(__dirname, '..', 'samples');
+const REPORT = path.join(SAMPLES, 'junit-reruns.xml');
+
+let folder;
+
+/**
+ * Read the report files with the rerun strategy, making new test cases for the unmapped tests
+ */
+async function readReports(reportFiles, rerunStrategy = 'last') {
+    const parser = new SpiraResultsParser(path.join(SAMPLES, 'missing.cfg'), { create_test_cases: 'true', rerun_strategy: rerunStrategy });
+    await parser.readResults(reportFiles);
+    return parser.testResults;
+}
+
+/**
+ * Get the name and Spira execution status of each result
+ */
+function getStatuses(results) {
+    return results.map(result => [result.name, result.execution_status_id]);
+}
+
+before(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-reruns-test-'));
+});
+
+after(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('reruns and repeated test cases are merged into one result with every attempt', async () => {
+    const results = await readReports([REPORT]);
+
+    assert.deepStrictEqual(getStatuses(results), [
+        ['LIS.Loans.loan1', 2],
+        ['LIS.Loans.loan2', 1],
+        ['LIS.Loans.loan3', 2],
+        ['LIS.Loans.loan4', 2]
+    ]);
+    assert.deepStrictEqual(results.map(result => result.message), [
+        'Success (1 of 2 attempts failed)',
+        'Expected the loan to be overdue (3 of 3 attempts failed)',
+        'Success (1 of 2 attempts failed)',
+        'Success'
+    ]);
+    assert.match(results[0].stack_trace,
+        /^--- Attempt 1 of 2: Failed ---\nat LIS\.Loans\.loan1\(Loans\.java:12\)\nSystem Out: Opening the loans page\n\n--- Attempt 2 of 2: Passed ---\n/);
+    // The durations of a repeated test case are added up, and the attachment it repeats is only uploaded once
+    assert.strictEqual(results[2].duration_seconds, 2.25);
+    assert.deepStrictEqual(results[2].attachments.map(attachment => attachment.filename), ['screenshots/home.png']);
+});
+
+test('the any-pass strategy passes a test that passed on any attempt', async () => {
+    const results = await readReports([REPORT], 'any-pass');
+
+    assert.deepStrictEqual(getStatuses(results).map(([, status]) => status), [2, 1, 2, 2]);
+});
+
+test('the flaky strategy marks a test that both passed and failed as Caution', async () => {
+    const results = await readReports([REPORT], 'flaky');
+
+    assert.deepStrictEqual(getStatuses(results).map(([, status]) => status), [6, 1, 6, 2]);
+});
+
+test('tests with the same name in different report files are not merged', async () => {
+    const otherReport = path.join(folder, 'junit-reruns-2.xml');
+    fs.copyFileSync(REPORT, otherReport);
+
+    const results = await readReports([REPORT, otherReport]);
+
+    assert.strictEqual(results.length, 8);
+    assert.deepStrictEqual(results.map(result => result.report_file), [
+        ...Array(4).fill(path.normalize(REPORT)),
+        ...Array(4).fill(path.normalize(otherReport))
+    ]);
+});
+
+test('the merged status depends on the rerun strategy', () => {
+    const cases = [
+        // The attempts (in the order they were run), then the status with the last, any-pass and flaky strategies
+        [[2, 1], [1, 2, 6]],
+        [[1, 2], [2, 2, 6]],
+        [[5, 2], [2, 2, 6]],
+        [[6, 2], [2, 2, 2]],
+        [[1, 5], [5, 5, 5]],
+        [[4, 4], [4, 4, 4]]
+    ];
+    for (const [statuses, expected] of cases) {
+        const attempts = statuses.map(status => ({ execution_status_id: status }));
+        const actual = ['last', 'any-pass', 'flaky'].map(strategy =>
+            new SpiraResultsParser(path.join(SAMPLES, 'missing.cfg'), { rerun_strategy: strategy }).getMergedStatusId(attempts));
+        assert.deepStrictEqual(actual, expected, `attempts ${statuses.join(', ')}`);
+    }
+});
@@ -0,0 +1,192 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser, SpiraPostResults, SpiraSpool } = require('../spira-xunit-reader');
+const { startMockSpira, getTestRuns } = require('./mock-spira');
+
+let spira;
+let folder;
+let configFile;
+let spoolFile;
+let reportFile;
+
+/**
+ * Send the report to the mock Spira with the given setting overrides, returning the summary of the run
+ */
+async function sendReport(overrides = {}) {
+    spira.requests.length = 0;
+    const parser = new SpiraResultsParser(configFile, overrides);
+    return parser.parseResults([reportFile]);
+}
+
+/**
+ * Replay the spool file to the mock Spira, returning how many requests are still in it
+ */
+async function replaySpool() {
+    spira.requests.length = 0;
+    const parser = new SpiraResultsParser(configFile);
+    return new SpiraSpool(spoolFile).replay(new SpiraPostResults(parser.config));
+}
+
+/**
+ * Get the requests sent to the mock Spira whose path ends with the text
+ */
+function getRequests(pathEnd) {
+    return spira.requests.filter(request => request.path.endsWith(pathEnd));
+}
+
+/**
+ * Get the entries saved in the spool file
+ */
+function readSpool() {
+    return JSON.parse(fs.readFileSync(spoolFile, 'utf-8')).entries;
+}
+
+before(async () => {
+    spira = await startMockSpira();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-spool-test-'));
+    configFile = path.join(folder, 'spira.cfg');
+    spoolFile = path.join(folder, 'spira-spool.json');
+    reportFile = path.join(folder, 'junit.xml');
+    fs.writeFileSync(path.join(folder, 'loan1.png'), 'screenshot');
+    fs.writeFileSync(reportFile, [
+        '<testsuites>',
+        '    <testsuite name="LIS.Loans">',
+        '        <testcase name="loan1" classname="LIS.Loans" time="1.5">',
+        '            <system-out>[[ATTACHMENT|loan1.png]]</system-out>',
+        '        </testcase>',
+        '        <testcase name="loan2" classname="LIS.Loans" time="2">',
+        '            <failure message="The loan was not renewed" type="AssertionError" />',
+        '        </testcase>',
+        '    </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n'));
+    fs.writeFileSync(configFile, [
+        '[credentials]',
+        `url = ${spira.url}`,
+        'username = tester',
+        'token = {TOKEN}',
+        'project_id = 1',
+        'release_id = 2',
+        'retries = 2',
+        'retry_delay = 1',
+        'ci = none',
+        'create_build = true',
+        'build_name = Spool test',
+        `spool_file = ${spoolFile}`,
+        '[test_cases]',
+        'LIS.Loans.* = 7',
+        ''
+    ].join('\n'));
+});
+
+after(async () => {
+    await spira.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('a request that fails with a 503 is retried, and is sent if a retry works', async () => {
+    spira.reset();
+    spira.respond(/\/builds$/, 503, { Message: 'Service Unavailable' }, 2);
+
+    const summary = await sendReport();
+
+    assert.deepStrictEqual(getRequests('/builds').map(request => request.status), [503, 503, 200]);
+    const buildId = getRequests('/builds')[2].response.BuildId;
+    assert.deepStrictEqual(getTestRuns(spira.requests).map(testRun => testRun.BuildId), [buildId, buildId]);
+    assert.strictEqual(summary.build.id, buildId);
+    assert.strictEqual(summary.exit_code, SpiraPostResults.EXIT_CODES.SUCCESS);
+    assert.strictEqual(fs.existsSync(spoolFile), false);
+});
+
+test('a request that still fails with a 503 is spooled, along with the requests that depend on it', async () => {
+    spira.reset();
+    spira.respond(/\/builds$/, 503, { Message: 'Service Unavailable' });
+
+    const summary = await sendReport();
+
+    // The build is tried once and retried twice, the test runs and the attachment wait for it
+    assert.strictEqual(getRequests('/builds').length, 3);
+    assert.deepStrictEqual(getTestRuns(spira.requests), []);
+    assert.deepStrictEqual(getRequests('/documents/file'), []);
+    assert.deepStrictEqual(summary.build, { id: null, spooled: true, error: SpiraPostResults.SPOOLED_ERROR });
+    assert.deepStrictEqual(summary.tests.map(entry => [entry.name, entry.spooled, entry.error]), [
+        ['LIS.Loans.loan1', true, SpiraPostResults.SPOOLED_ERROR],
+        ['LIS.Loans.loan2', true, SpiraPostResults.SPOOLED_ERROR]
+    ]);
+    assert.strictEqual(summary.exit_code, SpiraPostResults.EXIT_CODES.UPLOAD_FAILED);
+
+    // The test runs wait for the build, and the attachment for its test run
+    const entries = readSpool();
+    const build = entries.find(entry => entry.url.endsWith('/releases/2/builds'));
+    const testRuns = entries.filter(entry => entry.url.endsWith('/test-runs/record'));
+    const document = entries.find(entry => entry.url.endsWith('/documents/file'));
+    assert.strictEqual(entries.length, 4);
+    assert.deepStrictEqual(build.dependsOn, {});
+    assert.deepStrictEqual(testRuns.map(entry => entry.dependsOn), [{ BuildId: build.key }, { BuildId: build.key }]);
+    const testRun1 = testRuns.find(entry => entry.body.RunnerTestName === 'LIS.Loans.loan1');
+    assert.deepStrictEqual(document.dependsOn, { 'AttachedArtifacts.0.ArtifactId': testRun1.key });
+});
+
+test('replaying the spool fills in the ids of the requests that were sent first', async () => {
+    spira.reset();
+    assert.strictEqual(await replaySpool(), 0);
+
+    const buildId = getRequests('/builds')[0].response.BuildId;
+    const testRuns = getRequests('/test-runs/record');
+    assert.deepStrictEqual(testRuns.map(request => [request.body.RunnerTestName, request.body.BuildId]).sort(), [
+        ['LIS.Loans.loan1', buildId],
+        ['LIS.Loans.loan2', buildId]
+    ]);
+    const testRun1 = testRuns.find(request => request.body.RunnerTestName === 'LIS.Loans.loan1');
+    const [document] = getRequests('/documents/file');
+    assert.strictEqual(document.body.FilenameOrUrl, 'loan1.png');
+    assert.strictEqual(document.body.AttachedArtifacts[0].ArtifactId, testRun1.response.TestRunId);
+    // Everything was sent, so the spool file is removed
+    assert.strictEqual(fs.existsSync(spoolFile), false);
+});
+
+test('replaying keeps the requests that fail with a 503, and discards those that fail with a 4xx along with their dependents', async () => {
+    spira.reset();
+    spira.respond(/\/builds$/, 503, {});
+    await sendReport({ retries: '0' });
+    assert.strictEqual(readSpool().length, 4);
+
+    // Spira is still unavailable, so nothing is lost
+    spira.reset();
+    spira.respond(/\/builds$/, 503, {});
+    assert.strictEqual(await replaySpool(), 4);
+    assert.strictEqual(getRequests('/builds').length, 3);
+    assert.deepStrictEqual(getTestRuns(spira.requests), []);
+    assert.strictEqual(readSpool().length, 4);
+
+    // Spira rejects the build, so it will never be sent and neither will anything that needs it
+    spira.reset();
+    spira.respond(/\/builds$/, 400, { Message: 'The release does not exist' });
+    assert.strictEqual(await replaySpool(), 0);
+    assert.strictEqual(getRequests('/builds').length, 1);
+    assert.deepStrictEqual(getTestRuns(spira.requests), []);
+    assert.deepStrictEqual(getRequests('/documents/file'), []);
+    assert.strictEqual(fs.existsSync(spoolFile), false);
+});
+
+test('a request that fails with a 4xx is neither retried nor spooled', async () => {
+    spira.reset();
+    spira.respond(/\/test-runs\/record$/, 400, { Message: 'The test case does not exist' });
+
+    const summary = await sendReport({ batch_size: '1' });
+
+    assert.strictEqual(getRequests('/test-runs/record').length, 2);
+    // The attachment has no test run to go to
+    assert.deepStrictEqual(getRequests('/documents/file'), []);
+    assert.strictEqual(summary.build.error, null);
+    for (const entry of summary.tests) {
+        assert.strictEqual(entry.spooled, false);
+        assert.match(entry.error, /status code 400/);
+    }
+    assert.strictEqual(summary.exit_code, SpiraPostResults.EXIT_CODES.UPLOAD_FAILED);
+    assert.strictEqual(fs.existsSync(spoolFile), false);
+});
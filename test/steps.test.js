@@ -0,0 +1,98 @@
+const assert = require('assert');
+const path = require('path');
+const { test } = require('node:test');
+const { SpiraResultsParser, SpiraPostResults } = require('../spira-xunit-reader');
+
+const SAMPLES = path.join(__dirname, '..', 'samples');
+
+/**
+ * Create a parser that makes new test cases for the unmapped tests, so that every test has a result
+ */
+function createParser() {
+    return new SpiraResultsParser(path.join(SAMPLES, 'missing.cfg'), { create_test_cases: 'true' });
+}
+
+test('a step needs only a description, and its status can be a name, an alias or an id', () => {
+    const parser = createParser();
+    const steps = [
+        'Open the login page',
+        'Failed|Sign in as a tester|The home page is shown|Error 500 was shown',
+        'fail | Sign out ',
+        'error|Open the loans page',
+        'skipped|Renew a loan',
+        'warning|Return a book',
+        '5|Search for a book',
+        'not run|Reserve a book',
+        '|Pay a fine',
+        'unknown|Close the browser'
+    ].map(value => parser.parseStep(value));
+
+    assert.deepStrictEqual(steps[0], {
+        description: 'Open the login page',
+        expected_result: null,
+        actual_result: null,
+        execution_status_id: 2
+    });
+    assert.deepStrictEqual(steps[1], {
+        description: 'Sign in as a tester',
+        expected_result: 'The home page is shown',
+        actual_result: 'Error 500 was shown',
+        execution_status_id: 1
+    });
+    assert.strictEqual(steps[2].description, 'Sign out');
+    assert.deepStrictEqual(steps.map(step => step.execution_status_id), [2, 1, 1, 5, 3, 6, 5, 3, 2, 3]);
+});
+
+test('the steps in the properties come before the ones in the output, and are sent with the test run', () => {
+    const parser = createParser();
+    parser.processTestSuites({
+        name: 'LIS.Authentication.Login',
+        testcase: {
+            name: 'login1',
+            classname: 'LIS.Authentication.Login',
+            time: '2.244',
+            failure: { message: 'Login failed' },
+            properties: { property: [{ name: 'spira.step', value: 'Passed|Open the browser' }] },
+            'system-out': '[[STEP|Passed|Open the login page|The login page is shown|The login page is shown]]\n' +
+                '[[STEP|Failed|Sign in as a tester|The home page is shown|Error 500 was shown]]',
+            'system-err': '[[STEP|Not Run|Sign out]]'
+        }
+    }, path.join(SAMPLES, 'report.xml'));
+
+    const [result] = parser.testResults;
+    assert.deepStrictEqual(result.steps.map(step => step.description), [
+        'Open the browser',
+        'Open the login page',
+        'Sign in as a tester',
+        'Sign out'
+    ]);
+
+    const body = new SpiraPostResults(parser.config).createTestRun(result, new Date(), -1).getBody();
+    assert.deepStrictEqual(body.TestRunSteps, [
+        { Position: 1, Description: 'Open the browser', ExpectedResult: null, ActualResult: null, ExecutionStatusId: 2 },
+        {
+            Position: 2,
+            Description: 'Open the login page',
+            ExpectedResult: 'The login page is shown',
+            ActualResult: 'The login page is shown',
+            ExecutionStatusId: 2
+        },
+        {
+            Position: 3,
+            Description: 'Sign in as a tester',
+            ExpectedResult: 'The home page is shown',
+            ActualResult: 'Error 500 was shown',
+            ExecutionStatusId: 1
+        },
+        { Position: 4, Description: 'Sign out', ExpectedResult: null, ActualResult: null, ExecutionStatusId: 3 }
+    ]);
+});
+
+test('test runs without steps are sent without any', () => {
+    const parser = createParser();
+    parser.processTestSuites({ name: 'Suite', testcase: { name: 'one', classname: 'Suite' } }, path.join(SAMPLES, 'report.xml'));
+
+    const body = new SpiraPostResults(parser.config).createTestRun(parser.testResults[0], new Date(), -1).getBody();
+
+    assert.strictEqual(body.TestRunSteps, undefined);
+});
@@ -0,0 +1,118 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser } = require('../spira-xunit-reader');
+const { startMockSpira, getTestRuns } = require('./mock-spira');
+
+const SAMPLES = path.join(__dirname, '..', 'samples');
+
+let spira;
+let folder;
+let configFile;
+
+/**
+ * Send the report files to the mock Spira with or without streaming, returning the summary of the run,
+ * the build and the test runs (by name, since streaming can send the reruns later)
+ */
+async function sendReports(reportFiles, streaming) {
+    spira.requests.length = 0;
+    const parser = new SpiraResultsParser(configFile, { streaming: String(streaming) });
+    const summary = await parser.parseResults(reportFiles);
+    const build = spira.requests.find(request => request.path.endsWith('/builds'));
+    // The ids of the builds are different for each run
+    const testRuns = getTestRuns(spira.requests).map(testRun => ({ ...testRun, BuildId: undefined }))
+        .sort((a, b) => a.RunnerTestName.localeCompare(b.RunnerTestName));
+    const documents = spira.requests.filter(request => request.path.endsWith('/documents/file'))
+        .map(request => request.body.FilenameOrUrl).sort();
+    return { summary, build: build.body, testRuns, documents };
+}
+
+/**
+ * Leave out the parts of the summary that are different from run to run (the times and ids), and the order of the tests
+ */
+function getComparableSummary(summary) {
+    return {
+        ...summary,
+        started: undefined,
+        finished: undefined,
+        duration_seconds: undefined,
+        build: { ...summary.build, id: undefined },
+        tests: summary.tests
+            .map(entry => ({ ...entry, test_run_id: undefined, build_id: undefined, attachment_ids: entry.attachment_ids.length }))
+            .sort((a, b) => a.name.localeCompare(b.name))
+    };
+}
+
+before(async () => {
+    spira = await startMockSpira();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-streaming-test-'));
+    configFile = path.join(folder, 'spira.cfg');
+    fs.writeFileSync(configFile, [
+        '[credentials]',
+        `url = ${spira.url}`,
+        'username = tester',
+        'token = {TOKEN}',
+        'project_id = 1',
+        'release_id = 2',
+        'retries = 0',
+        'ci = none',
+        'create_build = true',
+        'build_name = Streaming test',
+        'rerun_strategy = flaky',
+        'batch_size = 3',
+        `spool_file = ${path.join(folder, 'spira-spool.json')}`,
+        '[test_cases]',
+        'LIS.* = 7',
+        '[test_sets]',
+        'LIS.Registration = 3',
+        '[custom_properties]',
+        'priority = 2, integer',
+        'attribute:line = 5, integer',
+        ''
+    ].join('\n'));
+});
+
+after(async () => {
+    await spira.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+/**
+ * Leave out the dates of the test runs, for reports without timestamps where they come from the upload time
+ */
+function withoutDates(testRuns) {
+    return testRuns.map(testRun => ({ ...testRun, StartDate: undefined, EndDate: undefined }));
+}
+
+for (const [sample, hasTimestamps] of [['junit-basic.xml', false], ['junit-complete.xml', true], ['junit-reruns.xml', true]]) {
+    test(`streaming ${sample} sends the same build, test runs and attachments as reading it in one go`, async () => {
+        const reportFile = path.join(SAMPLES, sample);
+        const expected = await sendReports([reportFile], false);
+        const actual = await sendReports([reportFile], true);
+
+        assert.ok(expected.testRuns.length > 0);
+        assert.deepStrictEqual(actual.build, expected.build);
+        if (hasTimestamps) {
+            assert.deepStrictEqual(actual.testRuns, expected.testRuns);
+        } else {
+            assert.deepStrictEqual(withoutDates(actual.testRuns), withoutDates(expected.testRuns));
+        }
+        assert.deepStrictEqual(actual.documents, expected.documents);
+        assert.deepStrictEqual(getComparableSummary(actual.summary), getComparableSummary(expected.summary));
+    });
+}
+
+test('streaming more than one report file keeps the tests of each file apart', async () => {
+    const otherReport = path.join(folder, 'junit-reruns-2.xml');
+    fs.copyFileSync(path.join(SAMPLES, 'junit-reruns.xml'), otherReport);
+    const reportFiles = [path.join(SAMPLES, 'junit-reruns.xml'), otherReport];
+
+    const expected = await sendReports(reportFiles, false);
+    const actual = await sendReports(reportFiles, true);
+
+    assert.strictEqual(actual.testRuns.length, 8);
+    assert.deepStrictEqual(actual.testRuns, expected.testRuns);
+    assert.deepStrictEqual(getComparableSummary(actual.summary), getComparableSummary(expected.summary));
+});
@@ -0,0 +1,123 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser } = require('../spira-xunit-reader');
+const { startMockSpira, getTestRuns } = require('./mock-spira');
+
+const SAMPLES = path.join(__dirname, '..', 'samples');
+
+let spira;
+let folder;
+let configFile;
+
+/**
+ * Send the sample report to the mock Spira with the given setting overrides
+ */
+async function sendSample(overrides = {}) {
+    spira.requests.length = 0;
+    const parser = new SpiraResultsParser(configFile, overrides);
+    return parser.parseResults([path.join(SAMPLES, 'junit-complete.xml')]);
+}
+
+/**
+ * Get the description of the build created in the mock Spira
+ */
+function getBuildDescription() {
+    return spira.requests.find(request => request.path.endsWith('/builds')).body.Description;
+}
+
+before(async () => {
+    spira = await startMockSpira();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-suites-test-'));
+    configFile = path.join(folder, 'spira.cfg');
+    fs.writeFileSync(configFile, [
+        '[credentials]',
+        `url = ${spira.url}`,
+        'username = tester',
+        'token = {TOKEN}',
+        'project_id = 1',
+        'release_id = 2',
+        'retries = 0',
+        'ci = none',
+        `spool_file = ${path.join(folder, 'spira-spool.json')}`,
+        '[test_cases]',
+        'LIS.Registration.* = 7',
+        ''
+    ].join('\n'));
+});
+
+after(async () => {
+    await spira.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('the suite properties and output are added to each test run by default', async () => {
+    await sendSample({ create_build: 'true' });
+
+    const testRuns = getTestRuns(spira.requests);
+    assert.strictEqual(testRuns.length, 8);
+    for (const testRun of testRuns) {
+        assert.match(testRun.RunnerStackTrace,
+            /Suite Properties \(LIS\.Registration\):\n- version=1\.774\n- commit=d205f50f6463cf4e684b6f81411a859346580fa5\n/);
+        assert.match(testRun.RunnerStackTrace, /Suite System Out: Data written to standard out\.\nSuite System Err: Data written to standard error\.\n/);
+    }
+    assert.doesNotMatch(getBuildDescription(), /Suite: /);
+});
+
+test('the suite properties and output go in the build description once with suite_output = build', async () => {
+    await sendSample({ create_build: 'true', suite_output: 'build' });
+
+    const description = getBuildDescription();
+    assert.match(description, /\nSuite: LIS\.Registration\n- version=1\.774\n/);
+    assert.match(description, /System Out: Data written to standard out\.\nSystem Err: Data written to standard error\.\n/);
+    for (const testRun of getTestRuns(spira.requests)) {
+        assert.doesNotMatch(testRun.RunnerStackTrace, /Suite /);
+    }
+});
+
+test('the suite details go to the test runs when there is no build to put them in', async () => {
+    await sendSample({ suite_output: 'build' });
+
+    assert.strictEqual(spira.requests.some(request => request.path.endsWith('/builds')), false);
+    assert.match(getTestRuns(spira.requests)[0].RunnerStackTrace, /Suite Properties \(LIS\.Registration\):/);
+});
+
+test('the suite details are not sent with suite_output = none', async () => {
+    await sendSample({ create_build: 'true', suite_output: 'none' });
+
+    assert.doesNotMatch(getBuildDescription(), /Suite: /);
+    for (const testRun of getTestRuns(spira.requests)) {
+        assert.doesNotMatch(testRun.RunnerStackTrace, /Suite /);
+    }
+});
+
+test('nested suites inherit the properties of their parents, and suite attachments go to each test run', async () => {
+    spira.requests.length = 0;
+    const parser = new SpiraResultsParser(configFile);
+    await parser.sendTestSuites({
+        testsuite: {
+            name: 'LIS.Registration',
+            properties: { property: [{ name: 'browser', value: 'Firefox' }, { name: 'version', value: '1.0' }] },
+            testsuite: {
+                name: 'LIS.Registration.Forms',
+                properties: { property: [{ name: 'version', value: '2.0' }, { name: 'attachment', value: 'screenshots/home.png' }] },
+                testcase: [
+                    { name: 'form1', classname: 'LIS.Registration' },
+                    { name: 'form2', classname: 'LIS.Registration' }
+                ]
+            }
+        }
+    }, path.join(SAMPLES, 'report.xml'));
+
+    const testRuns = getTestRuns(spira.requests);
+    assert.strictEqual(testRuns.length, 2);
+    assert.match(testRuns[0].RunnerStackTrace, /Suite Properties \(LIS\.Registration\.Forms\):\n- browser=Firefox\n- version=2\.0\n/);
+
+    // The attachment is uploaded once, then linked to the other test run
+    const uploads = spira.requests.filter(request => request.path.endsWith('/documents/file'));
+    const links = spira.requests.filter(request => /\/artifact-types\/5\/artifacts\/\d+\/documents\/\d+$/.test(request.path));
+    assert.deepStrictEqual(uploads.map(request => request.body.FilenameOrUrl), ['screenshots/home.png']);
+    assert.strictEqual(links.length, 1);
+});
@@ -0,0 +1,156 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser, SpiraPostResults } = require('../spira-xunit-reader');
+const { startMockSpira } = require('./mock-spira');
+
+const { EXIT_CODES } = SpiraPostResults;
+
+let spira;
+let folder;
+let configFile;
+let reportFile;
+let summaryFile;
+
+/**
+ * Send the report to the mock Spira with the given setting overrides, returning the summary of the run
+ */
+async function sendReport(overrides = {}) {
+    spira.requests.length = 0;
+    const parser = new SpiraResultsParser(configFile, overrides);
+    return parser.parseResults([reportFile]);
+}
+
+/**
+ * Get the response of the mock Spira to the first request whose path ends with the text
+ */
+function getResponse(pathEnd) {
+    return spira.requests.find(request => request.path.endsWith(pathEnd)).response;
+}
+
+before(async () => {
+    spira = await startMockSpira();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-summary-test-'));
+    configFile = path.join(folder, 'spira.cfg');
+    reportFile = path.join(folder, 'junit.xml');
+    summaryFile = path.join(folder, 'summary.json');
+    fs.writeFileSync(path.join(folder, 'loan1.png'), 'screenshot');
+    fs.writeFileSync(reportFile, [
+        '<testsuites>',
+        '    <testsuite name="LIS.Loans">',
+        '        <testcase name="loan1" classname="LIS.Loans" time="1">',
+        '            <system-out>[[ATTACHMENT|loan1.png]]</system-out>',
+        '        </testcase>',
+        '        <testcase name="loan2" classname="LIS.Loans" time="1">',
+        '            <failure message="The loan was not renewed" />',
+        '        </testcase>',
+        '    </testsuite>',
+        '    <testsuite name="LIS.Fines">',
+        '        <testcase name="fine1" classname="LIS.Fines" time="1" />',
+        '    </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n'));
+    fs.writeFileSync(configFile, [
+        '[credentials]',
+        `url = ${spira.url}`,
+        'username = tester',
+        'token = {TOKEN}',
+        'project_id = 1',
+        'release_id = 2',
+        'retries = 0',
+        'ci = none',
+        'batch_size = 1',
+        'concurrency = 1',
+        `spool_file = ${path.join(folder, 'spira-spool.json')}`,
+        '[test_cases]',
+        'LIS.Loans.* = 7',
+        ''
+    ].join('\n'));
+});
+
+after(async () => {
+    await spira.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('the summary lists the test run, build and attachments of each test, and is written to summary_json', async () => {
+    spira.reset();
+
+    const summary = await sendReport({ create_build: 'true', summary_json: summaryFile });
+
+    const buildId = getResponse('/builds').BuildId;
+    const testRunIds = spira.requests.filter(request => request.path.endsWith('/test-runs/record'))
+        .map(request => request.response.TestRunId);
+    assert.deepStrictEqual(summary.build, { id: buildId, spooled: false, error: null });
+    assert.deepStrictEqual(summary.tests, [
+        {
+            name: 'LIS.Loans.loan1',
+            test_case_id: 7,
+            execution_status_id: 2,
+            test_run_id: testRunIds[0],
+            build_id: buildId,
+            attachment_ids: [getResponse('/documents/file').AttachmentId],
+            incident_id: null,
+            spooled: false,
+            error: null
+        },
+        {
+            name: 'LIS.Loans.loan2',
+            test_case_id: 7,
+            execution_status_id: 1,
+            test_run_id: testRunIds[1],
+            build_id: buildId,
+            attachment_ids: [],
+            incident_id: null,
+            spooled: false,
+            error: null
+        }
+    ]);
+    assert.deepStrictEqual(summary.unmapped, ['LIS.Fines.fine1']);
+    assert.strictEqual(summary.exit_code, EXIT_CODES.SUCCESS);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(summaryFile, 'utf-8')), summary);
+});
+
+test('the run fails with exit code 3 when more tests are unmapped than max_unmapped allows', async () => {
+    spira.reset();
+
+    assert.strictEqual((await sendReport({ max_unmapped: '0' })).exit_code, EXIT_CODES.UNMAPPED_TESTS);
+    assert.strictEqual((await sendReport({ max_unmapped: '1' })).exit_code, EXIT_CODES.SUCCESS);
+});
+
+test('the run fails with exit code 4 for test failures only when fail_on_test_failures is on', async () => {
+    spira.reset();
+
+    assert.strictEqual((await sendReport({ fail_on_test_failures: 'true' })).exit_code, EXIT_CODES.TEST_FAILURES);
+    assert.strictEqual((await sendReport({ fail_on_test_failures: 'true', build_failed_statuses: 'Blocked' })).exit_code,
+        EXIT_CODES.SUCCESS);
+});
+
+test('results that could not be sent give exit code 2, before any of the other checks', async () => {
+    spira.reset();
+    spira.respond(/\/test-runs\/record$/, 400, { Message: 'The test case does not exist' }, 1);
+
+    const summary = await sendReport({ max_unmapped: '0', fail_on_test_failures: 'true' });
+
+    assert.match(summary.tests[0].error, /status code 400/);
+    assert.strictEqual(summary.tests[1].error, null);
+    assert.strictEqual(summary.exit_code, EXIT_CODES.UPLOAD_FAILED);
+});
+
+test('the command line exits with the exit code of the run and writes the summary', async () => {
+    spira.reset();
+    fs.rmSync(summaryFile, { force: true });
+    const script = path.join(__dirname, '..', 'spira-xunit-reader.js');
+
+    const exitCode = await new Promise(resolve => {
+        execFile(process.execPath, [script, reportFile, '--config', configFile, '--summary-json', summaryFile, '--fail-on-test-failures'],
+            { timeout: 60000 }, error => resolve(error ? error.code : 0));
+    });
+
+    assert.strictEqual(exitCode, EXIT_CODES.TEST_FAILURES);
+    assert.strictEqual(JSON.parse(fs.readFileSync(summaryFile, 'utf-8')).exit_code, EXIT_CODES.TEST_FAILURES);
+});
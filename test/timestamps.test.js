@@ -0,0 +1,133 @@
+const assert = require('assert');
+const path = require('path');
+const { test } = require('node:test');
+const { SpiraResultsParser, SpiraPostResults } = require('../spira-xunit-reader');
+
+const SAMPLES = path.join(__dirname, '..', 'samples');
+const MISSING_CONFIG = path.join(SAMPLES, 'missing.cfg');
+
+/**
+ * Create a parser that makes new test cases for the unmapped tests, so that every test has a result
+ */
+function createParser(overrides = {}) {
+    return new SpiraResultsParser(MISSING_CONFIG, { create_test_cases: 'true', ...overrides });
+}
+
+/**
+ * Process JUnit style test suites, returning the start time of each result (or null if it doesn't have one)
+ */
+function getStartTimes(testsuites, overrides = {}) {
+    const parser = createParser(overrides);
+    parser.processTestSuites(testsuites, path.join(SAMPLES, 'report.xml'));
+    return parser.testResults.map(result => [result.name, result.start_time ? result.start_time.toISOString() : null]);
+}
+
+test('each test starts when the one before it finished, from the timestamp of its suite', async () => {
+    const parser = createParser({ timezone: 'UTC' });
+    await parser.readResults([path.join(SAMPLES, 'junit-complete.xml')]);
+
+    assert.deepStrictEqual(parser.testResults.slice(0, 3).map(result => result.start_time.toISOString()), [
+        '2021-04-02T15:48:23.000Z',
+        '2021-04-02T15:48:25.436Z',
+        '2021-04-02T15:48:26.970Z'
+    ]);
+});
+
+test('timestamps without a time zone use the timezone setting', async () => {
+    const parser = createParser({ timezone: '+02:00' });
+    await parser.readResults([path.join(SAMPLES, 'junit-complete.xml')]);
+
+    assert.strictEqual(parser.testResults[0].start_time.toISOString(), '2021-04-02T13:48:23.000Z');
+});
+
+test('timestamps with a time zone or offset keep it whatever the timezone setting', () => {
+    const startTimes = getStartTimes({
+        testsuite: [
+            { name: 'Offset', timestamp: '2021-04-02T15:48:23+05:30', testcase: { name: 'one', classname: 'Offset' } },
+            { name: 'Utc', timestamp: '2021-04-02 15:48:23Z', testcase: { name: 'two', classname: 'Utc' } }
+        ]
+    }, { timezone: '-07:00' });
+
+    assert.deepStrictEqual(startTimes, [
+        ['Offset.one', '2021-04-02T10:18:23.000Z'],
+        ['Utc.two', '2021-04-02T15:48:23.000Z']
+    ]);
+});
+
+test('suites without a timestamp start when the suite before them finished', () => {
+    const startTimes = getStartTimes({
+        timestamp: '2021-04-02T15:48:23Z',
+        testsuite: [
+            // The suite's own time wins over adding up its tests
+            { name: 'First', time: '10', testcase: [{ name: 'one', classname: 'First', time: '2' }] },
+            {
+                name: 'Second',
+                testcase: [{ name: 'two', classname: 'Second', time: '1.5' }, { name: 'three', classname: 'Second', time: '1' }]
+            },
+            // Nested suites carry on from the suite they are in
+            { name: 'Third', testsuite: { name: 'Nested', testcase: { name: 'four', classname: 'Nested' } } }
+        ]
+    });
+
+    assert.deepStrictEqual(startTimes, [
+        ['First.one', '2021-04-02T15:48:23.000Z'],
+        ['Second.two', '2021-04-02T15:48:33.000Z'],
+        ['Second.three', '2021-04-02T15:48:34.500Z'],
+        ['Nested.four', '2021-04-02T15:48:35.500Z']
+    ]);
+});
+
+test('a test case with its own timestamp uses it, and the next test carries on from it', () => {
+    const startTimes = getStartTimes({
+        name: 'Suite',
+        timestamp: '2021-04-02T15:48:23Z',
+        testcase: [
+            { name: 'one', classname: 'Suite', time: '1' },
+            { name: 'two', classname: 'Suite', time: '2', timestamp: '2021-04-02T16:00:00Z' },
+            { name: 'three', classname: 'Suite', time: '1' }
+        ]
+    });
+
+    assert.deepStrictEqual(startTimes, [
+        ['Suite.one', '2021-04-02T15:48:23.000Z'],
+        ['Suite.two', '2021-04-02T16:00:00.000Z'],
+        ['Suite.three', '2021-04-02T16:00:02.000Z']
+    ]);
+});
+
+test('reports without valid timestamps have no start times', () => {
+    const startTimes = getStartTimes({
+        testsuite: [
+            { name: 'None', testcase: { name: 'one', classname: 'None', time: '1' } },
+            { name: 'Invalid', timestamp: 'yesterday', testcase: { name: 'two', classname: 'Invalid', time: '1' } }
+        ]
+    });
+
+    assert.deepStrictEqual(startTimes, [['None.one', null], ['Invalid.two', null]]);
+});
+
+test('test runs without a start time end at the upload time', () => {
+    const parser = createParser();
+    parser.processTestSuites({ name: 'Suite', testcase: { name: 'one', classname: 'Suite', time: '2.5' } }, path.join(SAMPLES, 'report.xml'));
+    const postResults = new SpiraPostResults(parser.config);
+
+    const body = postResults.createTestRun(parser.testResults[0], new Date('2021-04-02T16:00:00Z'), -1).getBody();
+
+    assert.strictEqual(body.StartDate, '2021-04-02T15:59:57Z');
+    assert.strictEqual(body.EndDate, '2021-04-02T16:00:00Z');
+});
+
+test('test runs with a start time end after their duration', () => {
+    const parser = createParser();
+    parser.processTestSuites({
+        name: 'Suite',
+        timestamp: '2021-04-02T15:48:23Z',
+        testcase: { name: 'one', classname: 'Suite', time: '62' }
+    }, path.join(SAMPLES, 'report.xml'));
+    const postResults = new SpiraPostResults(parser.config);
+
+    const body = postResults.createTestRun(parser.testResults[0], new Date('2021-04-02T16:00:00Z'), -1).getBody();
+
+    assert.strictEqual(body.StartDate, '2021-04-02T15:48:23Z');
+    assert.strictEqual(body.EndDate, '2021-04-02T15:49:25Z');
+});
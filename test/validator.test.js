@@ -0,0 +1,109 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const { SpiraResultsParser, SpiraValidator } = require('../spira-xunit-reader');
+const { startMockSpira } = require('./mock-spira');
+
+const SAMPLES = path.join(__dirname, '..', 'samples');
+
+let spira;
+let folder;
+let configFile;
+
+/**
+ * Read the basic sample report with the config file, then check the config against it
+ */
+async function validate(online = false, overrides = {}) {
+    spira.requests.length = 0;
+    const parser = new SpiraResultsParser(configFile, overrides);
+    await parser.readResults([path.join(SAMPLES, 'junit-basic.xml')]);
+    return new SpiraValidator(parser).validate(online);
+}
+
+before(async () => {
+    spira = await startMockSpira();
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'spira-validator-test-'));
+    configFile = path.join(folder, 'spira.cfg');
+    fs.writeFileSync(configFile, [
+        '[credentials]',
+        `url = ${spira.url}`,
+        'username = tester',
+        'token = {TOKEN}',
+        'project_id = 1',
+        'release_id = 2',
+        'retries = 0',
+        '[test_cases]',
+        'LIS.Registration.registration1 = 7',
+        'LIS.Registration.registration9 = 8',
+        'LIS.Authentication.Login.* = 9',
+        'LIS.Authentication.auth1 = 10',
+        'LIS.Authentication.auth2 = 10',
+        'LIS.Circulation.* = 11',
+        '[test_sets]',
+        'LIS.Registration = 3',
+        ''
+    ].join('\n'));
+});
+
+after(async () => {
+    await spira.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('the unmapped tests, the mappings that match nothing and the ids mapped twice are problems', async () => {
+    const problems = await validate();
+
+    assert.deepStrictEqual(problems, [
+        "Test 'LIS.Registration.registration2' is not mapped to a Spira test case",
+        "Test 'LIS.Registration.registration3' is not mapped to a Spira test case",
+        "Test 'LIS.Authentication.auth3' is not mapped to a Spira test case",
+        "Mapping 'lis.registration.registration9' in [test_cases] does not match anything in the reports",
+        "Pattern 'LIS.Circulation.*' in [test_cases] does not match anything in the reports",
+        "Spira test case 10 is mapped more than once: 'lis.authentication.auth1', 'lis.authentication.auth2'"
+    ]);
+    // Nothing is sent to Spira unless checking online
+    assert.deepStrictEqual(spira.requests, []);
+});
+
+test('online, the project, release, test sets and test cases are looked up in Spira', async () => {
+    spira.reset();
+    spira.respond(/\/projects\/1$/, 200, { ProjectId: 1 });
+    spira.respond(/\/releases\/2$/, 404, {});
+    spira.respond(/\/test-cases\/9$/, 200, { ProjectId: 4 });
+
+    const problems = await validate(true);
+
+    assert.deepStrictEqual(problems.slice(6), [
+        'Unable to find Spira release 2',
+        'Spira test case 9 is in project PR:4, not PR:1'
+    ]);
+    const paths = spira.requests.map(request => `${request.method} ${request.path.replace(/^.*RestService\.svc\//, '')}`).sort();
+    assert.deepStrictEqual(paths, [
+        'GET projects/1',
+        'GET projects/1/releases/2',
+        'GET projects/1/test-cases/10',
+        'GET projects/1/test-cases/11',
+        'GET projects/1/test-cases/7',
+        'GET projects/1/test-cases/8',
+        'GET projects/1/test-cases/9',
+        'GET projects/1/test-sets/3'
+    ]);
+});
+
+test('online, nothing else is checked when the credentials do not work', async () => {
+    spira.reset();
+    spira.respond(/\/projects\/1$/, 401, {});
+
+    const problems = await validate(true);
+
+    assert.deepStrictEqual(problems.slice(6), ["Unable to sign into Spira as 'tester', check the username and token"]);
+    assert.strictEqual(spira.requests.length, 1);
+});
+
+test('online, an empty URL is a problem', async () => {
+    const problems = await validate(true, { url: '' });
+
+    assert.deepStrictEqual(problems.slice(6), ['Unable to check Spira since the URL in the configuration is empty']);
+});